@@ -0,0 +1,568 @@
+// assets/js/events.js
+// Upcoming meetups calendar for /events/: every meetup occurrence in the next DAYS_AHEAD days, as an agenda
+// (one list per day) or as month grids.
+//
+// Dates:
+// - v1 meetups (/assets/data/us-meetups/*.json): series[].recurrence through assets/js/lib/recurrence.mjs, in
+//   each series' time zone, with its skip/override exceptions (the same dates as the map popups and .ics feeds).
+// - meetups.json records not migrated yet: their schedule string ("Monthly | 3rd Wednesday | 7:00 PM ET") read by
+//   assets/js/lib/schedule-text.mjs, the parser scripts/migrate-meetups-v1.mjs uses. Schedules it can't read, and
+//   every-other-week ones (the flat format has no first date to count from), are listed under the calendar
+//   instead of guessed.
+//
+// Filters: ?state= takes the maps' values (state, code, comma list, region; "all" for every state) resolved by
+// assets/js/lib/state-registry.mjs, ?day=wed keeps one weekday, ?view=month shows the grids. The state dropdown
+// uses pushState (back/forward switch back), the others replaceState.
+//
+// Each event links to the meetup's pin on the meetups map (/meetups/?state=…&meetup=<id>).
+//
+// Local testing:
+//   python3 -m http.server 8000
+//
+(function () {
+  "use strict";
+
+  const BASE = new URL("..", window.location.href); // parent of /events/
+  const STATE_REGISTRY_URL = new URL("assets/js/lib/state-registry.mjs", BASE).toString();
+  const RECURRENCE_URL = new URL("assets/js/lib/recurrence.mjs", BASE).toString();
+  const SCHEDULE_TEXT_URL = new URL("assets/js/lib/schedule-text.mjs", BASE).toString();
+  const MEETUPS_URL = new URL("assets/data/meetups.json", BASE).toString();
+  const US_MEETUPS_INDEX_URL = new URL("assets/data/us-meetups/index.json", BASE).toString();
+
+  const DAYS_AHEAD = 60;
+  const ALL_STATES = "all";  // ?state=all
+  const VIEWS = ["agenda", "month"];
+
+  // Legacy schedules without a time ("Evenings") still get their dates. Noon is only a placeholder that keeps
+  // them on the right day: they are listed as "Time TBA" and kept for the whole of that date (see buildEvents).
+  const UNKNOWN_TIME = "12:00";
+
+  // ---------- DOM ----------
+  const statusEl = document.getElementById("status");
+  const countEl = document.getElementById("count");
+  const stateSelectEl = document.getElementById("stateSelect");
+  const daySelectEl = document.getElementById("daySelect");
+  const agendaEl = document.getElementById("agenda");
+  const monthsEl = document.getElementById("months");
+  const unscheduledEl = document.getElementById("unscheduled");
+  const viewButtons = [...document.querySelectorAll("button[data-view]")];
+
+  function setStatus(msg) {
+    if (statusEl) statusEl.textContent = msg || "";
+  }
+
+  function setText(id, value) {
+    const el = document.getElementById(id);
+    if (el) el.textContent = value;
+  }
+
+  function asText(v) {
+    return String(v ?? "").trim();
+  }
+
+  function escapeHtml(str) {
+    return String(str ?? "").replace(/[&<>"']/g, s => ({
+      "&": "&amp;",
+      "<": "&lt;",
+      ">": "&gt;",
+      '"': "&quot;",
+      "'": "&#39;"
+    }[s]));
+  }
+
+  function isActive(record) {
+    return asText(record?.status).toLowerCase() === "active";
+  }
+
+  const isFiniteGeo = (geo) => !!geo && Number.isFinite(geo.lat) && Number.isFinite(geo.lon);
+  const stateCodeOf = (v) => /^[A-Z]{2}$/.test(asText(v).toUpperCase()) ? asText(v).toUpperCase() : "";
+
+  let recurrence = null;   // assets/js/lib/recurrence.mjs (required)
+  let scheduleText = null; // assets/js/lib/schedule-text.mjs (without it, meetups.json records are unscheduled)
+
+  // ---------- Meetups ----------
+  // One shape for both sources:
+  //   { id, name, city, stateCode, states: [codes], onMap, venues: Map(slug → name), series: [recurrence.mjs series],
+  //     schedule (text, for the unscheduled list) }
+  // v1 series are passed to recurrence.mjs as they are; legacy ones are built to look the same.
+  let meetups = [];
+
+  function fromV1(m) {
+    if (!m || !isActive(m)) return null;
+
+    const stateCode = stateCodeOf(m.location?.region?.abbr);
+    const nearby = Array.isArray(m.map?.nearbyCities) ? m.map.nearbyCities : [];
+    const venues = (Array.isArray(m.venues) ? m.venues : []).filter(isActive);
+
+    return {
+      id: asText(m.slug),
+      name: asText(m.name) || "Bitcoin Meetup",
+      city: asText(m.location?.city),
+      stateCode,
+      states: [...new Set([stateCode, ...nearby.map(c => stateCodeOf(c?.regionAbbr))].filter(Boolean))],
+      onMap: m.map?.enabled !== false && isFiniteGeo(m.map?.geo),
+      venues: new Map(venues.map(v => [asText(v.slug), asText(v.name)])),
+      series: (Array.isArray(m.series) ? m.series : [])
+        .filter(isActive)
+        .filter(s => s.visibility?.discoverableOnMap !== false),
+      schedule: ""
+    };
+  }
+
+  function fromLegacy(m) {
+    const id = asText(m.id) || `${asText(m.name)}-${m.lat}-${m.lon}`; // same id as meetupmap.js
+    const stateCode = stateCodeOf(m.state_code) || stateCodeOf(m.state);
+    const states = [...new Set([stateCode, ...(Array.isArray(m.states) ? m.states : []).map(stateCodeOf)].filter(Boolean))];
+
+    const parsed = scheduleText ? scheduleText.parseSchedule(m.schedule) : { series: [], zone: "" };
+    const timeZone = parsed.series.length ? scheduleText.timeZoneFor(stateCode, parsed.zone) : "";
+
+    // Every other week: which weeks is anyone's guess without a first date
+    const series = parsed.series
+      .filter(s => !(s.recurrence.type === "weekly" && s.recurrence.interval > 1))
+      .map((s, i) => ({
+        slug: `${id}-${i + 1}`,
+        name: s.label ? `${s.label[0].toUpperCase()}${s.label.slice(1)}` : "",
+        timeZone,
+        venueSlug: "",
+        time: { start: s.start || UNKNOWN_TIME },
+        timeUnknown: !s.start,
+        recurrence: s.recurrence
+      }));
+
+    return {
+      id,
+      name: asText(m.name) || "Bitcoin Meetup",
+      city: asText(m.city),
+      stateCode,
+      states,
+      onMap: Number.isFinite(m.lat) && Number.isFinite(m.lon),
+      venues: new Map([["", asText(m.venue)]]),
+      series,
+      schedule: asText(m.schedule)
+    };
+  }
+
+  async function fetchJson(url, label) {
+    const res = await fetch(url, { headers: { "accept": "application/json" } });
+    if (!res.ok) throw new Error(`Failed to load ${label} (HTTP ${res.status}).`);
+    return res.json();
+  }
+
+  async function loadV1Meetups() {
+    const index = await fetchJson(US_MEETUPS_INDEX_URL, "us-meetups/index.json");
+    const files = Array.isArray(index?.files) ? index.files : [];
+
+    const results = await Promise.allSettled(files.map(async (f) => {
+      const doc = await fetchJson(new URL(f, US_MEETUPS_INDEX_URL).toString(), f);
+      if (!doc || !/^1\./.test(asText(doc.schemaVersion)) || !Array.isArray(doc.meetups)) {
+        throw new Error(`${f} is not a v1 meetups file (schemaVersion 1.x with a meetups array).`);
+      }
+      return doc.meetups;
+    }));
+
+    const out = { meetups: [], legacyIds: new Set() };
+    for (const r of results) {
+      if (r.status === "rejected") {
+        console.error("Meetups region file failed:", r.reason);
+        continue;
+      }
+      for (const m of r.value) {
+        // legacy.id (scripts/migrate-meetups-v1.mjs) supersedes the meetups.json record, even when inactive
+        if (asText(m?.legacy?.id)) out.legacyIds.add(asText(m.legacy.id));
+        const meetup = fromV1(m);
+        if (meetup) out.meetups.push(meetup);
+      }
+    }
+    return out;
+  }
+
+  async function loadLegacyMeetups() {
+    const data = await fetchJson(MEETUPS_URL, "meetups.json");
+    if (!Array.isArray(data)) throw new Error("meetups.json must be an array of meetup objects.");
+    return data.filter(Boolean).map(fromLegacy);
+  }
+
+  async function loadMeetups() {
+    setStatus("Loading meetups…");
+
+    const [v1, legacy] = await Promise.allSettled([loadV1Meetups(), loadLegacyMeetups()]);
+    if (v1.status === "rejected") console.error("v1 meetups load failed:", v1.reason);
+    if (legacy.status === "rejected") console.error("Meetups load failed:", legacy.reason);
+    if (v1.status === "rejected" && legacy.status === "rejected") throw new Error("Failed to load meetups data.");
+
+    const migrated = v1.status === "fulfilled" ? v1.value.legacyIds : new Set();
+    meetups = [
+      ...(v1.status === "fulfilled" ? v1.value.meetups : []),
+      ...(legacy.status === "fulfilled" ? legacy.value.filter(m => !migrated.has(m.id)) : [])
+    ];
+  }
+
+  // ---------- Occurrences ----------
+  // [{ meetup, series, occ, weekday }] from now until DAYS_AHEAD days out, by date; "Time TBA" first on its day
+  let events = [];
+  let windowDays = { first: 0, last: 0 }; // UTC-midnight ms (recurrence.parseYmd) of today and the last day shown
+
+  function localYmd(d) {
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+  }
+
+  function buildEvents() {
+    const now = new Date();
+    const until = new Date(now.getTime() + DAYS_AHEAD * 86400000);
+    const today = localYmd(now);
+    windowDays = { first: recurrence.parseYmd(today), last: recurrence.parseYmd(localYmd(until)) };
+
+    // From a day back so today's "Time TBA" dates are still found after their noon placeholder;
+    // timed events go by instant (still running or later), the others by date
+    const from = new Date(now.getTime() - 86400000);
+
+    events = [];
+    for (const meetup of meetups) {
+      for (const series of meetup.series) {
+        for (const occ of recurrence.occurrences(series, { from, until })) {
+          if (series.timeUnknown ? occ.date < today : (occ.end || occ.start) < now) continue;
+          const weekday = recurrence.WEEKDAYS[new Date(recurrence.parseYmd(occ.date)).getUTCDay()];
+          events.push({ meetup, series, occ, weekday });
+        }
+      }
+    }
+    events.sort((a, b) =>
+      a.occ.date.localeCompare(b.occ.date) ||
+      !!b.series.timeUnknown - !!a.series.timeUnknown ||
+      a.occ.start - b.occ.start ||
+      a.meetup.name.localeCompare(b.meetup.name));
+  }
+
+  // ---------- Filters (URL state) ----------
+  let stateRegistry = null; // { states, regions, resolve, paramKey } (null: registry missing → all states)
+  let view = null;          // registry view for ?state=; null for all states
+  let day = "";             // "wed", or "" for any day
+  let layout = "agenda";    // "agenda" | "month"
+
+  async function loadStateRegistry() {
+    try {
+      const { REGISTRY_URL, createStateResolver, paramKey } = await import(STATE_REGISTRY_URL);
+      const res = await fetch(REGISTRY_URL, { cache: "no-store" });
+      if (!res.ok) throw new Error(`Failed to load merchant-states.json (HTTP ${res.status})`);
+      stateRegistry = { ...createStateResolver(await res.json()), paramKey };
+    } catch (e) {
+      console.error("State registry failed to load:", e);
+      stateRegistry = null;
+    }
+  }
+
+  const viewSlug = (v) => v ? v.slug : ALL_STATES;
+
+  function readFilters() {
+    const params = new URLSearchParams(window.location.search);
+    const rawState = params.get("state");
+    view = !stateRegistry || stateRegistry.paramKey(rawState) === ALL_STATES ? null : stateRegistry.resolve(rawState);
+
+    const rawDay = asText(params.get("day")).toLowerCase().slice(0, 3);
+    day = recurrence.WEEKDAYS.some(w => w.startsWith(rawDay)) && rawDay.length === 3 ? rawDay : "";
+    layout = VIEWS.includes(params.get("view")) ? params.get("view") : "agenda";
+  }
+
+  // pushState for a new state (back returns to the previous one), replaceState otherwise
+  function writeFilters(push) {
+    const u = new URL(window.location.href);
+    const set = (k, v) => { if (v) u.searchParams.set(k, v); else u.searchParams.delete(k); };
+
+    if (stateRegistry) set("state", viewSlug(view));
+    set("day", day);
+    set("view", layout === "agenda" ? "" : layout);
+    u.search = u.search.replace(/%2C/gi, ",");
+
+    if (u.toString() === window.location.href) return;
+    if (push) window.history.pushState(null, "", u.toString());
+    else window.history.replaceState(window.history.state, "", u.toString());
+  }
+
+  // Meetups located in, or covering, one of the view's states (same rule as the meetups map)
+  function inView(meetup) {
+    if (!view) return true;
+    const codes = view.states.map(st => String(st.code).toUpperCase());
+    return codes.includes(meetup.stateCode) || meetup.states.some(s => codes.includes(s));
+  }
+
+  // <select id="stateSelect">: All states, then regions, then states (as on the meetups map)
+  function populateStateSelect() {
+    if (!stateSelectEl) return;
+    if (!stateRegistry) {
+      stateSelectEl.closest(".field")?.setAttribute("hidden", "");
+      return;
+    }
+
+    stateSelectEl.innerHTML = "";
+    const addOption = (parent, value, label) => {
+      const opt = document.createElement("option");
+      opt.value = value;
+      opt.textContent = label;
+      parent.appendChild(opt);
+    };
+    const addGroup = (label, entries) => {
+      const group = document.createElement("optgroup");
+      group.label = label;
+      for (const entry of entries) addOption(group, entry.slug, entry.name);
+      stateSelectEl.appendChild(group);
+    };
+
+    addOption(stateSelectEl, ALL_STATES, "All states");
+    if (stateRegistry.regions.length) addGroup("Regions", stateRegistry.regions);
+    addGroup("States", stateRegistry.states);
+  }
+
+  function populateDaySelect() {
+    if (!daySelectEl) return;
+    daySelectEl.innerHTML = '<option value="">Any day</option>' + recurrence.WEEKDAYS
+      .map(w => `<option value="${w.slice(0, 3)}">${w[0].toUpperCase()}${w.slice(1)}</option>`)
+      .join("");
+  }
+
+  // Page title + controls for the current filters
+  function showFilters() {
+    const slug = viewSlug(view);
+
+    document.title = view ? `${view.name} Meetup Calendar | bitcoINdiana` : "Meetup Calendar | bitcoINdiana";
+    setText("pageTitle", view ? `Upcoming Bitcoin Meetups in ${view.name}` : "Upcoming Bitcoin Meetups");
+
+    if (stateSelectEl && stateRegistry) {
+      // A comma-list view (?state=indiana,ohio) isn't in the dropdown: add it so the select can show it
+      if (![...stateSelectEl.options].some(o => o.value === slug)) {
+        const opt = document.createElement("option");
+        opt.value = slug;
+        opt.textContent = view.name;
+        stateSelectEl.insertBefore(opt, stateSelectEl.firstChild);
+      }
+      if (stateSelectEl.value !== slug) stateSelectEl.value = slug;
+    }
+    if (daySelectEl && daySelectEl.value !== day) daySelectEl.value = day;
+
+    for (const btn of viewButtons) btn.setAttribute("aria-pressed", String(btn.dataset.view === layout));
+  }
+
+  // ---------- Formatting ----------
+  const dateFormat = new Intl.DateTimeFormat("en-US", { timeZone: "UTC", weekday: "short", month: "short", day: "numeric" });
+  const monthFormat = new Intl.DateTimeFormat("en-US", { timeZone: "UTC", month: "long", year: "numeric" });
+  const timeFormats = new Map();
+
+  // "7:00 PM EDT" in the series' own time zone
+  function timeLabel(e) {
+    if (e.series.timeUnknown) return "Time TBA";
+    const tz = e.occ.timeZone;
+    if (!timeFormats.has(tz)) {
+      timeFormats.set(tz, new Intl.DateTimeFormat("en-US", { timeZone: tz, hour: "numeric", minute: "2-digit", timeZoneName: "short" }));
+    }
+    return timeFormats.get(tz).format(e.occ.start);
+  }
+
+  // The meetup's pin on the meetups map, in the state(s) shown here (the meetup is always inside them)
+  function pinUrl(meetup) {
+    return `/meetups/?state=${encodeURIComponent(viewSlug(view))}&meetup=${encodeURIComponent(meetup.id)}`;
+  }
+
+  function eventTitle(e) {
+    return e.series.name && e.series.name !== e.meetup.name ? `${e.meetup.name} — ${e.series.name}` : e.meetup.name;
+  }
+
+  function eventLink(e, text) {
+    return e.meetup.onMap
+      ? `<a href="${escapeHtml(pinUrl(e.meetup))}">${escapeHtml(text)}</a>`
+      : escapeHtml(text);
+  }
+
+  // Venue (an override can move one date) · City, ST · note
+  function eventWhere(e) {
+    const venueSlug = e.occ.venueSlug || e.series.venueSlug || "";
+    const place = [e.meetup.city, e.meetup.stateCode].filter(Boolean).join(", ");
+    return [e.meetup.venues.get(venueSlug), place, e.occ.note].filter(Boolean).join(" · ");
+  }
+
+  // ---------- Rendering ----------
+  function renderAgenda(list) {
+    const byDate = new Map();
+    for (const e of list) {
+      if (!byDate.has(e.occ.date)) byDate.set(e.occ.date, []);
+      byDate.get(e.occ.date).push(e);
+    }
+
+    const today = recurrence.formatYmd(windowDays.first);
+    agendaEl.innerHTML = [...byDate].map(([date, dayEvents]) => `
+      <section class="agenda-day">
+        <h2 class="h3">${escapeHtml(dateFormat.format(new Date(recurrence.parseYmd(date))))}${date === today ? ' <span class="muted">Today</span>' : ""}</h2>
+        <ul class="agenda-list">
+          ${dayEvents.map(e => `
+            <li class="agenda-event">
+              <span class="agenda-time">${escapeHtml(timeLabel(e))}</span>
+              <span class="agenda-what">
+                <strong>${eventLink(e, eventTitle(e))}</strong>
+                ${eventWhere(e) ? `<span class="muted">${escapeHtml(eventWhere(e))}</span>` : ""}
+              </span>
+            </li>`).join("")}
+        </ul>
+      </section>`).join("") ||
+      `<p class="muted">No meetups${view ? ` in ${escapeHtml(view.name)}` : ""}${day ? ` on ${escapeHtml(dayName(day))}s` : ""} in the next ${DAYS_AHEAD} days.</p>`;
+  }
+
+  function dayName(key) {
+    const w = recurrence.WEEKDAYS.find(x => x.startsWith(key)) || "";
+    return w ? `${w[0].toUpperCase()}${w.slice(1)}` : "";
+  }
+
+  // One Sunday-first grid per month the window touches; days outside the window are dimmed
+  function renderMonths(list) {
+    const byDate = new Map();
+    for (const e of list) {
+      if (!byDate.has(e.occ.date)) byDate.set(e.occ.date, []);
+      byDate.get(e.occ.date).push(e);
+    }
+
+    const DAY = 86400000;
+    const todayMs = windowDays.first;
+    const months = [];
+    const cursor = new Date(todayMs);
+    cursor.setUTCDate(1);
+    while (cursor.getTime() <= windowDays.last) {
+      months.push(cursor.getTime());
+      cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+    }
+
+    const head = recurrence.WEEKDAYS
+      .map(w => `<th scope="col" abbr="${dayName(w)}">${dayName(w).slice(0, 3)}</th>`)
+      .join("");
+
+    monthsEl.innerHTML = months.map(first => {
+      const month = new Date(first).getUTCMonth();
+      const cells = [];
+      for (let i = 0; i < new Date(first).getUTCDay(); i++) cells.push('<td class="is-blank"></td>');
+
+      for (let t = first; new Date(t).getUTCMonth() === month; t += DAY) {
+        const date = recurrence.formatYmd(t);
+        const classes = [
+          t < windowDays.first || t > windowDays.last ? "is-out" : "",
+          t === todayMs ? "is-today" : ""
+        ].filter(Boolean).join(" ");
+        const dayEvents = byDate.get(date) || [];
+        cells.push(`
+          <td${classes ? ` class="${classes}"` : ""}>
+            <div class="month-date">${new Date(t).getUTCDate()}</div>
+            ${dayEvents.map(e => `
+              <div class="month-event" title="${escapeHtml(`${timeLabel(e)} · ${eventWhere(e)}`)}">
+                ${e.series.timeUnknown ? "" : `<span class="muted">${escapeHtml(timeLabel(e).replace(/:00|\s[A-Z]{2,4}$/g, ""))}</span> `}${eventLink(e, eventTitle(e))}
+              </div>`).join("")}
+          </td>`);
+      }
+      while (cells.length % 7) cells.push('<td class="is-blank"></td>');
+
+      const rows = [];
+      for (let i = 0; i < cells.length; i += 7) rows.push(`<tr>${cells.slice(i, i + 7).join("")}</tr>`);
+
+      return `
+        <section class="month">
+          <h2 class="h3">${escapeHtml(monthFormat.format(new Date(first)))}</h2>
+          <div class="month-wrap">
+            <table class="month-grid">
+              <thead><tr>${head}</tr></thead>
+              <tbody>${rows.join("")}</tbody>
+            </table>
+          </div>
+        </section>`;
+    }).join("");
+  }
+
+  // Meetups in view that have no dates here, with their schedule so nobody is left out
+  function renderUnscheduled() {
+    if (!unscheduledEl) return;
+    const missing = meetups.filter(m => inView(m) && !m.series.length && m.schedule);
+
+    unscheduledEl.hidden = !missing.length;
+    unscheduledEl.innerHTML = missing.length ? `
+      <h2 class="h3">Not on the calendar</h2>
+      <p class="muted">These schedules don't give exact dates. Check with the meetup.</p>
+      <ul class="list">
+        ${missing.map(m => `<li>${m.onMap ? `<a href="${escapeHtml(pinUrl(m))}">${escapeHtml(m.name)}</a>` : escapeHtml(m.name)}: ${escapeHtml(m.schedule)}</li>`).join("")}
+      </ul>` : "";
+  }
+
+  function render() {
+    const list = events.filter(e => inView(e.meetup) && (!day || e.weekday.startsWith(day)));
+
+    if (agendaEl) agendaEl.hidden = layout !== "agenda";
+    if (monthsEl) monthsEl.hidden = layout !== "month";
+    if (layout === "agenda" && agendaEl) renderAgenda(list);
+    if (layout === "month" && monthsEl) renderMonths(list);
+    renderUnscheduled();
+
+    const meetupCount = new Set(list.map(e => e.meetup.id)).size;
+    if (countEl) countEl.textContent = String(list.length);
+    setStatus(
+      `${list.length} date(s) from ${meetupCount} meetup(s) in the next ${DAYS_AHEAD} days` +
+      `${view ? ` in ${view.name}` : ""}${day ? `, ${dayName(day)}s only` : ""}.`
+    );
+  }
+
+  // ---------- Events ----------
+  stateSelectEl?.addEventListener("change", () => {
+    view = stateSelectEl.value === ALL_STATES ? null : stateRegistry.resolve(stateSelectEl.value);
+    writeFilters(true);
+    showFilters();
+    render();
+  });
+
+  daySelectEl?.addEventListener("change", () => {
+    day = daySelectEl.value;
+    writeFilters(false);
+    render();
+  });
+
+  for (const btn of viewButtons) {
+    btn.addEventListener("click", () => {
+      layout = btn.dataset.view;
+      writeFilters(false);
+      showFilters();
+      render();
+    });
+  }
+
+  window.addEventListener("popstate", () => {
+    if (!recurrence) return;
+    readFilters();
+    showFilters();
+    render();
+  });
+
+  // ---------- Boot ----------
+  (async function boot() {
+    try {
+      setStatus("Loading…");
+      try {
+        recurrence = await import(RECURRENCE_URL);
+      } catch (e) {
+        console.error(e);
+        setStatus("Couldn't load the calendar engine (assets/js/lib/recurrence.mjs). Check your connection and reload.");
+        return;
+      }
+      try {
+        scheduleText = await import(SCHEDULE_TEXT_URL);
+      } catch (e) {
+        console.error("Schedule parser failed to load:", e);
+        scheduleText = null;
+      }
+
+      await loadStateRegistry();
+      readFilters();
+      writeFilters(false); // canonical ?state= slug
+      populateStateSelect();
+      populateDaySelect();
+      showFilters();
+
+      await loadMeetups();
+      buildEvents();
+      render();
+    } catch (e) {
+      console.error("Boot failed:", e);
+      setStatus("Initialization failed: " + (e.message || "Unknown error"));
+    }
+  })();
+})();
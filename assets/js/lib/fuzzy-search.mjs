@@ -0,0 +1,202 @@
+// assets/js/lib/fuzzy-search.mjs
+//
+// Typo-tolerant, ranked text search shared by map.js (BTC Map places) and meetupmap.js (meetups).
+//
+// - Text is folded before comparing: lowercase, accents stripped ("Café" → "cafe"), punctuation → spaces.
+// - Every query word has to match a word of the item, in any of its fields:
+//     exact word > word starts with it > typo (1 edit from 4 letters, 2 from 7) > typo in its start (from 5 letters)
+//     > inside a word
+//   ("cofee" finds "Coffee", "Louisvile" finds "Louisville", "sat" finds "Saturday").
+// - Scores add up over the query words, each weighted by its field (e.g. name 3 vs. address 1), so name hits rank first.
+//
+// createSearchIndex() splits every item into words once; a search then compares the query with each distinct
+// word rather than each item, and skips words lacking too many of the query's letters before any edit distance,
+// which keeps a few thousand places well under a frame per keystroke.
+//
+// No dependencies. Tests: node --test tests/
+
+// Per-word match scores, before the field weight
+const SCORE = { exact: 1, prefix: 0.85, typo: 0.7, typoPrefix: 0.55, inside: 0.5 };
+
+/**
+ * "Café Zoë's" → "cafe zoes"
+ * @param {*} s
+ * @returns {string}
+ */
+export function fold(s) {
+  return String(s ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+export function tokenize(s) {
+  const folded = fold(s);
+  return folded ? folded.split(" ") : [];
+}
+
+// Typos allowed for a query word of this length
+function maxEdits(len) {
+  return len < 4 ? 0 : len < 7 ? 1 : 2;
+}
+
+// Letters of a word as a 32-bit set (char code mod 32: a clash only lets more words through the filter below)
+function letterMask(s) {
+  let mask = 0;
+  for (let i = 0; i < s.length; i++) mask |= 1 << (s.charCodeAt(i) & 31);
+  return mask;
+}
+
+function bitCount(x) {
+  let n = 0;
+  for (; x; n++) x &= x - 1;
+  return n;
+}
+
+// Reused DP rows (one search compares the query with thousands of words)
+let rows = [new Int32Array(16), new Int32Array(16), new Int32Array(16)];
+
+// Optimal string alignment distance (a swap counts as one edit) from q to the whole word and to the closest start
+// of it: { full, prefix }, each max + 1 when it's further than max. Only the first q.length + max letters can matter
+// for a start, so long words cost no more than short ones.
+function typoDistances(q, word, max) {
+  const far = max + 1;
+  const n = q.length;
+  const m = Math.min(word.length, n + max);
+  if (m < n - max) return { full: far, prefix: far };
+
+  if (rows[0].length <= m) rows = rows.map(() => new Int32Array(m + 1));
+  let [prevPrev, prev, row] = rows;
+  for (let j = 0; j <= m; j++) prev[j] = j;
+
+  for (let i = 1; i <= n; i++) {
+    row[0] = i;
+    let rowMin = i;
+    for (let j = 1; j <= m; j++) {
+      const cost = q[i - 1] === word[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && q[i - 1] === word[j - 2] && q[i - 2] === word[j - 1]) d = Math.min(d, prevPrev[j - 2] + 1);
+      row[j] = d;
+      if (d < rowMin) rowMin = d;
+    }
+    if (rowMin > max) return { full: far, prefix: far };
+    [prevPrev, prev, row] = [prev, row, prevPrev];
+  }
+
+  let prefix = far;
+  for (let j = Math.max(1, n - max); j <= m; j++) prefix = Math.min(prefix, prev[j]);
+  const full = word.length === m ? Math.min(prev[m], far) : far;
+  return { full, prefix };
+}
+
+/**
+ * How well one folded query word matches one folded word of an item (0 = not at all)
+ * @param {string} q
+ * @param {string} word
+ * @returns {number}
+ */
+export function wordScore(q, word) {
+  if (word === q) return SCORE.exact;
+  if (word.startsWith(q)) return SCORE.prefix;
+
+  const max = maxEdits(q.length);
+  if (max) {
+    const { full, prefix } = typoDistances(q, word, max);
+    if (full <= max) return SCORE.typo - 0.1 * (full - 1);
+    if (prefix <= max && q.length >= 5) return SCORE.typoPrefix; // shorter: "indy" would find every "Indiana"
+  }
+
+  if (q.length >= 3 && word.includes(q)) return SCORE.inside;
+  return 0;
+}
+
+/**
+ * @param {Array} items
+ * @param {Array<{ get: (item) => (string|string[]|undefined), weight?: number }>} fields
+ * @returns {{ search: (query: string) => Array<{ item, score: number }> }}
+ *   search: items matching every query word, best first (ties keep the items' order); empty query → []
+ */
+export function createSearchIndex(items, fields) {
+  const list = Array.from(items || []);
+  const weights = fields.map(f => f.weight ?? 1);
+
+  // folded word → [item index, field index, item index, field index, …]
+  const postings = new Map();
+  list.forEach((item, i) => {
+    fields.forEach((f, fi) => {
+      const raw = f.get(item);
+      const text = Array.isArray(raw) ? raw.join(" ") : raw;
+      for (const word of new Set(tokenize(text))) {
+        if (!postings.has(word)) postings.set(word, []);
+        postings.get(word).push(i, fi);
+      }
+    });
+  });
+  const words = [...postings.keys()];
+  const masks = Int32Array.from(words, letterMask);
+
+  // Best weighted score per item for one query word (0 = no match)
+  function scoreWord(q) {
+    const best = new Float64Array(list.length);
+    const qMask = letterMask(q);
+    const max = maxEdits(q.length);
+    for (let w = 0; w < words.length; w++) {
+      // Each edit brings in at most one query letter the word lacks; lacking more, no kind of match is possible
+      if (bitCount(qMask & ~masks[w]) > max) continue;
+      const word = words[w];
+      const s = wordScore(q, word);
+      if (!s) continue;
+      const p = postings.get(word);
+      for (let k = 0; k < p.length; k += 2) {
+        const v = s * weights[p[k + 1]];
+        if (v > best[p[k]]) best[p[k]] = v;
+      }
+    }
+    return best;
+  }
+
+  function search(query) {
+    const qWords = [...new Set(tokenize(query))];
+    if (!qWords.length) return [];
+
+    const total = new Float64Array(list.length);
+    for (const q of qWords) {
+      const best = scoreWord(q);
+      for (let i = 0; i < list.length; i++) {
+        total[i] = total[i] >= 0 && best[i] ? total[i] + best[i] : -1; // -1: missed a word
+      }
+    }
+
+    const hits = [];
+    for (let i = 0; i < list.length; i++) {
+      if (total[i] > 0) hits.push({ item: list[i], score: total[i], i });
+    }
+    return hits
+      .sort((a, b) => b.score - a.score || a.i - b.i)
+      .map(({ item, score }) => ({ item, score }));
+  }
+
+  return { search };
+}
+
+/**
+ * Where the query matched in a piece of display text, for <mark>ing it
+ * @param {string} text
+ * @param {string} query
+ * @returns {Array<[number, number]>}  [start, end) offsets into text, in order
+ */
+export function matchRanges(text, query) {
+  const qWords = tokenize(query);
+  const ranges = [];
+  if (!qWords.length) return ranges;
+
+  // Words as fold() sees them: "Zoë's" is one
+  for (const m of String(text ?? "").matchAll(/[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu)) {
+    const word = fold(m[0]);
+    if (qWords.some(q => wordScore(q, word))) ranges.push([m.index, m.index + m[0].length]);
+  }
+  return ranges;
+}
@@ -0,0 +1,165 @@
+// assets/js/lib/geo.mjs
+//
+// Geo helpers shared by the maps (map.js and meetupmap.js load it with dynamic import())
+// and the Node scripts (import it directly): state-boundary tests and distances.
+// One copy means the browser filter and the snapshot/registry scripts always agree on which state a place is in.
+//
+// Points are [lon, lat] like GeoJSON; kmBetween/nearest take lat, lon like Leaflet.
+// Bounds are { minLon, minLat, maxLon, maxLat }.
+//
+// No single polygon may cross the antimeridian: Alaska's western Aleutians are separate polygons at +179°,
+// so plain lon/lat boxes work per polygon. Alaska's overall box then spans the globe, which is slower, not wrong.
+//
+// Points exactly on an edge follow the ray-casting rule: inside on the left/bottom edge, outside on the
+// right/top. Two states sharing a border therefore never both claim a border point.
+//
+// No dependencies. Tests: node --test tests/
+
+export const EARTH_RADIUS_KM = 6371;
+export const KM_PER_MILE = 1.609344;
+
+// ---------- GeoJSON ----------
+export function featureFromGeo(geo) {
+  if (!geo) throw new Error("Empty GeoJSON.");
+  if (geo.type === "Feature") return geo;
+  if (geo.type === "FeatureCollection" && Array.isArray(geo.features) && geo.features[0]) return geo.features[0];
+  throw new Error("Expected Feature or FeatureCollection with at least one feature.");
+}
+
+// Outer rings of a Polygon/MultiPolygon, one polygon's coordinates per entry
+function polygonsOf(feature) {
+  const g = feature?.geometry;
+  if (!g) throw new Error("Cannot compute bounds: missing geometry.");
+
+  if (g.type === "Polygon") return [g.coordinates];
+  if (g.type === "MultiPolygon") return g.coordinates;
+  throw new Error(`Unsupported geometry type: ${g.type}`);
+}
+
+function ringBounds(ring) {
+  let minLon = Infinity, minLat = Infinity, maxLon = -Infinity, maxLat = -Infinity;
+
+  for (const [lon, lat] of ring) {
+    if (lon < minLon) minLon = lon;
+    if (lat < minLat) minLat = lat;
+    if (lon > maxLon) maxLon = lon;
+    if (lat > maxLat) maxLat = lat;
+  }
+  return { minLon, minLat, maxLon, maxLat };
+}
+
+function unionBounds(list) {
+  return {
+    minLon: Math.min(...list.map(b => b.minLon)),
+    minLat: Math.min(...list.map(b => b.minLat)),
+    maxLon: Math.max(...list.map(b => b.maxLon)),
+    maxLat: Math.max(...list.map(b => b.maxLat))
+  };
+}
+
+// Holes can't reach outside the outer ring, so outer rings are enough
+export function featureBounds(feature) {
+  return unionBounds(polygonsOf(feature).map(poly => ringBounds(poly[0])));
+}
+
+// ---------- Point in polygon ----------
+export function pointInBounds([lon, lat], b) {
+  return lon >= b.minLon && lon <= b.maxLon && lat >= b.minLat && lat <= b.maxLat;
+}
+
+// Ray casting
+export function pointInRing(point, ring) {
+  const x = point[0], y = point[1];
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const xi = ring[i][0], yi = ring[i][1];
+    const xj = ring[j][0], yj = ring[j][1];
+
+    const intersect =
+      ((yi > y) !== (yj > y)) &&
+      (x < ((xj - xi) * (y - yi)) / (yj - yi + 0.0) + xi);
+
+    if (intersect) inside = !inside;
+  }
+  return inside;
+}
+
+export function pointInPolygon(point, polygonCoordinates) {
+  if (!polygonCoordinates || polygonCoordinates.length === 0) return false;
+  if (!pointInRing(point, polygonCoordinates[0])) return false; // outer ring
+  for (let i = 1; i < polygonCoordinates.length; i++) {
+    if (pointInRing(point, polygonCoordinates[i])) return false; // holes
+  }
+  return true;
+}
+
+export function pointInFeature(point, feature) {
+  const g = feature?.geometry;
+  if (!g) return false;
+
+  if (g.type === "Polygon") return pointInPolygon(point, g.coordinates);
+  if (g.type === "MultiPolygon") return g.coordinates.some(poly => pointInPolygon(point, poly));
+  return false;
+}
+
+// ---------- Indexed features (fast path) ----------
+/**
+ * Bounding boxes for a feature and each of its polygons, computed once. pointInIndex then only
+ * ray-casts polygons whose box holds the point: one of Hawaii's islands, one of Michigan's peninsulas.
+ * @param {object} feature  GeoJSON Feature with a Polygon or MultiPolygon geometry
+ * @returns {{ feature, bounds, polygons: Array<{ bounds, coordinates }> }}
+ */
+export function indexFeature(feature) {
+  const polygons = polygonsOf(feature)
+    .filter(poly => poly?.[0]?.length)
+    .map(coordinates => ({ bounds: ringBounds(coordinates[0]), coordinates }));
+  if (!polygons.length) throw new Error("Cannot index feature: no polygons.");
+
+  return { feature, bounds: unionBounds(polygons.map(p => p.bounds)), polygons };
+}
+
+// Same answer as pointInFeature(point, index.feature)
+export function pointInIndex(point, index) {
+  if (!pointInBounds(point, index.bounds)) return false;
+  return index.polygons.some(p => pointInBounds(point, p.bounds) && pointInPolygon(point, p.coordinates));
+}
+
+// ---------- Distance ----------
+// Haversine distance (km)
+export function kmBetween(lat1, lon1, lat2, lon2) {
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Items within maxKm of center, closest first.
+ * @param {Array} items
+ * @param {{lat:number, lon:number}} center
+ * @param {number} maxKm                     Infinity for "sort only"
+ * @param {(item) => {lat:number, lon:number}} [toLatLon]  default: the item itself
+ * @returns {Array<{item, km:number}>}
+ */
+export function nearest(items, center, maxKm, toLatLon = (item) => item) {
+  const out = [];
+  for (const item of items) {
+    const { lat, lon } = toLatLon(item) || {};
+    if (typeof lat !== "number" || typeof lon !== "number") continue;
+    const km = kmBetween(center.lat, center.lon, lat, lon);
+    if (km <= maxKm) out.push({ item, km });
+  }
+  return out.sort((a, b) => a.km - b.km);
+}
+
+// "0.4 mi", "2.3 mi", "18 mi"
+export function formatMiles(km) {
+  const mi = km / KM_PER_MILE;
+  return `${mi < 10 ? mi.toFixed(1) : Math.round(mi)} mi`;
+}
@@ -0,0 +1,322 @@
+// assets/js/lib/recurrence.mjs
+//
+// Recurrence engine for v1 meetup series (assets/data/us-meetups/*.json).
+// Shared by the browser (meetupmap.js loads it with dynamic import()) and the
+// Node scripts (import it directly), so both agree on when a meetup happens.
+//
+// Supported series[].recurrence types:
+// - monthly_nth_weekday  { interval, weekday, nth }       nth: 1-5, or -1 for "last"
+// - weekly               { interval, byWeekday: [...] }   interval counts Monday-start weeks
+// - semimonthly          { rules: [{ kind: "nth_weekday", nth, weekday }, ...] }
+//
+// Dates are computed on the series' own calendar (series.timeZone, IANA name),
+// then converted to real instants, so DST changes never shift the wall-clock time.
+// effective.startDate / endDate are inclusive. exceptions[] can "skip" a date or
+// "override" its start/end/venue/note.
+//
+// No dependencies; only Intl.DateTimeFormat with timeZone support.
+
+export const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Hard stop for day-by-day scans (a little over two years)
+const MAX_SCAN_DAYS = 800;
+
+function asText(v) {
+  return String(v ?? "").trim();
+}
+
+// ---------- Plain calendar dates ("YYYY-MM-DD") ----------
+// Represented internally as UTC-midnight epoch ms so arithmetic ignores DST.
+
+export function parseYmd(s) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(asText(s));
+  if (!m) return null;
+  const t = Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  const d = new Date(t);
+  // Reject rollovers like 2025-02-31
+  if (d.getUTCMonth() !== Number(m[2]) - 1 || d.getUTCDate() !== Number(m[3])) return null;
+  return t;
+}
+
+export function formatYmd(t) {
+  return new Date(t).toISOString().slice(0, 10);
+}
+
+function daysInMonth(year, monthIndex) {
+  return new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+}
+
+// Monday-start week index (RFC 5545 default WKST=MO)
+function weekIndex(t) {
+  const dow = (new Date(t).getUTCDay() + 6) % 7; // Monday = 0
+  return Math.floor((t - dow * DAY_MS) / (7 * DAY_MS));
+}
+
+function monthIndexOf(t) {
+  const d = new Date(t);
+  return d.getUTCFullYear() * 12 + d.getUTCMonth();
+}
+
+export function parseClock(s) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(asText(s));
+  if (!m) return null;
+  const h = Number(m[1]), min = Number(m[2]);
+  if (h > 23 || min > 59) return null;
+  return { h, min };
+}
+
+// ---------- Time zones ----------
+const partsFormatters = new Map();
+
+function partsFormatter(timeZone) {
+  if (!partsFormatters.has(timeZone)) {
+    partsFormatters.set(timeZone, new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric", month: "2-digit", day: "2-digit",
+      hour: "2-digit", minute: "2-digit", second: "2-digit"
+    }));
+  }
+  return partsFormatters.get(timeZone);
+}
+
+// Wall-clock fields of an instant in timeZone
+export function zonedParts(date, timeZone) {
+  const out = {};
+  for (const p of partsFormatter(timeZone).formatToParts(date)) {
+    if (p.type !== "literal") out[p.type] = Number(p.value);
+  }
+  return out;
+}
+
+// Offset (ms) of timeZone from UTC at the given instant
+function zoneOffsetMs(t, timeZone) {
+  const p = zonedParts(new Date(t), timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(t / 1000) * 1000;
+}
+
+// Local date + "HH:MM" in timeZone → Date (the real instant).
+// Ambiguous times (fall-back hour) resolve to the first one; non-existent times
+// (spring-forward gap) are pushed forward by the gap, e.g. 2:30 → 3:30.
+export function zonedDateTimeToUtc(ymd, hhmm, timeZone) {
+  const day = typeof ymd === "number" ? ymd : parseYmd(ymd);
+  const clock = parseClock(hhmm);
+  if (day === null || !clock) return null;
+
+  const wall = day + (clock.h * 60 + clock.min) * 60 * 1000;
+  const t1 = wall - zoneOffsetMs(wall, timeZone);
+  const o2 = zoneOffsetMs(t1, timeZone);
+  const t2 = wall - o2;
+  if (t2 === t1 || zoneOffsetMs(t2, timeZone) === o2) return new Date(t2);
+  return new Date(Math.max(t1, t2));
+}
+
+// The calendar date ("today") of an instant in timeZone, as UTC-midnight ms
+function zonedDay(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day);
+}
+
+export function isValidTimeZone(timeZone) {
+  if (!asText(timeZone)) return false;
+  try {
+    partsFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// ---------- Rule matching ----------
+function weekdayIndex(name) {
+  return WEEKDAYS.indexOf(asText(name).toLowerCase());
+}
+
+function positiveInt(v, fallback) {
+  return Number.isInteger(v) && v > 0 ? v : fallback;
+}
+
+// Does day t fall on the nth weekday of its month? (nth -1 = last)
+function isNthWeekday(t, nth, weekday) {
+  const d = new Date(t);
+  if (d.getUTCDay() !== weekdayIndex(weekday)) return false;
+
+  const dom = d.getUTCDate();
+  if (nth === -1) return dom + 7 > daysInMonth(d.getUTCFullYear(), d.getUTCMonth());
+  return Number.isInteger(nth) && nth >= 1 && Math.ceil(dom / 7) === nth;
+}
+
+// Returns a predicate (dayMs) => boolean, or null for unsupported recurrences
+function compileRule(recurrence, anchorDay) {
+  const r = recurrence || {};
+  const interval = positiveInt(r.interval, 1);
+
+  if (r.type === "monthly_nth_weekday") {
+    const anchorMonth = monthIndexOf(anchorDay);
+    return (t) =>
+      isNthWeekday(t, r.nth, r.weekday) &&
+      (monthIndexOf(t) - anchorMonth) % interval === 0;
+  }
+
+  if (r.type === "weekly") {
+    const days = new Set((Array.isArray(r.byWeekday) ? r.byWeekday : []).map(weekdayIndex).filter(i => i >= 0));
+    if (days.size === 0) return null;
+    const anchorWeek = weekIndex(anchorDay);
+    return (t) =>
+      days.has(new Date(t).getUTCDay()) &&
+      (weekIndex(t) - anchorWeek) % interval === 0;
+  }
+
+  if (r.type === "semimonthly") {
+    const rules = (Array.isArray(r.rules) ? r.rules : []).filter(x => x && x.kind === "nth_weekday");
+    if (rules.length === 0) return null;
+    return (t) => rules.some(x => isNthWeekday(t, x.nth, x.weekday));
+  }
+
+  return null;
+}
+
+export function isSupportedRecurrence(recurrence) {
+  return compileRule(recurrence, Date.UTC(2000, 0, 3)) !== null;
+}
+
+// ---------- Occurrences ----------
+function exceptionsByDate(series) {
+  const map = new Map();
+  for (const ex of Array.isArray(series?.exceptions) ? series.exceptions : []) {
+    const t = parseYmd(ex?.date);
+    if (t !== null) map.set(t, ex);
+  }
+  return map;
+}
+
+function buildOccurrence(series, day, ex) {
+  const timeZone = series.timeZone;
+  const override = ex?.action === "override" ? (ex.override || {}) : null;
+
+  const startClock = asText(override?.start) || asText(series.time?.start);
+  const endClock = asText(override?.end) || asText(series.time?.end);
+
+  const start = zonedDateTimeToUtc(day, startClock, timeZone);
+  if (!start) return null;
+
+  let end = endClock ? zonedDateTimeToUtc(day, endClock, timeZone) : null;
+  // Events that run past midnight end on the next calendar day
+  if (end && end <= start) end = zonedDateTimeToUtc(day + DAY_MS, endClock, timeZone);
+
+  return {
+    seriesSlug: asText(series.slug),
+    date: formatYmd(day),
+    start,
+    end,
+    timeZone,
+    venueSlug: asText(override?.venueSlug) || asText(series.venueSlug),
+    overridden: !!override,
+    note: asText(override?.note)
+  };
+}
+
+/**
+ * Occurrences of one series, in chronological order.
+ *
+ * @param {object} series  v1 series object
+ * @param {object} [opts]
+ * @param {Date}   [opts.from=new Date()]  only occurrences still running at/after this instant
+ * @param {Date}   [opts.until]            stop after this instant (inclusive)
+ * @param {number} [opts.count=3]          max occurrences (ignored when until is given and count is not)
+ * @param {boolean} [opts.includeSkipped=false]  yield skipped dates too (with skipped: true)
+ * @returns {Array<{seriesSlug,date,start,end,timeZone,venueSlug,overridden,note,skipped?}>}
+ */
+export function occurrences(series, opts = {}) {
+  const timeZone = asText(series?.timeZone);
+  if (!isValidTimeZone(timeZone) || !parseClock(series?.time?.start)) return [];
+
+  const from = opts.from instanceof Date ? opts.from : new Date();
+  const until = opts.until instanceof Date ? opts.until : null;
+  const count = Number.isInteger(opts.count) ? opts.count : (until ? Infinity : 3);
+  if (count <= 0) return [];
+
+  const startDay = parseYmd(series.effective?.startDate);
+  const endDay = parseYmd(series.effective?.endDate);
+  const anchorDay = startDay ?? parseYmd("2000-01-03");
+
+  const matches = compileRule(series.recurrence, anchorDay);
+  if (!matches) return [];
+
+  const exceptions = exceptionsByDate(series);
+  const out = [];
+
+  // Start one day early so an event running across midnight is still "current"
+  let day = Math.max(zonedDay(from, timeZone) - DAY_MS, startDay ?? -Infinity);
+  const lastDay = until ? zonedDay(until, timeZone) : Infinity;
+
+  for (let i = 0; i < MAX_SCAN_DAYS && out.length < count; i++, day += DAY_MS) {
+    if (day > lastDay) break;
+    if (endDay !== null && day > endDay) break;
+    if (!matches(day)) continue;
+
+    const ex = exceptions.get(day);
+    const skipped = ex?.action === "skip";
+    if (skipped && !opts.includeSkipped) continue;
+
+    const occ = buildOccurrence(series, day, skipped ? null : ex);
+    if (!occ) continue;
+    if ((occ.end || occ.start) < from) continue;
+    if (until && occ.start > until) break;
+
+    if (skipped) occ.skipped = true;
+    out.push(occ);
+  }
+
+  return out;
+}
+
+/**
+ * Why a series can't be exported as a recurring calendar event, or "" when it can.
+ * scripts/generate-calendars.mjs skips (and warns about) such series and writes no .ics for a meetup without
+ * any exportable one; meetupmap.js only links a meetup's .ics when one of its active series passes.
+ * @param {object} series  v1 series object (status is the caller's business)
+ * @returns {string}
+ */
+export function calendarExportProblem(series) {
+  const timeZone = asText(series?.timeZone);
+  if (!isValidTimeZone(timeZone)) return `invalid timeZone "${timeZone}"`;
+  if (!isSupportedRecurrence(series.recurrence)) return `unsupported recurrence "${series.recurrence?.type}"`;
+
+  const startDate = asText(series.effective?.startDate);
+  if (parseYmd(startDate) === null) return "effective.startDate is required for calendar export";
+
+  // DTSTART is the first date the rule produces, before any exception is applied
+  const [first] = occurrences({ ...series, exceptions: [] }, {
+    from: zonedDateTimeToUtc(startDate, "00:00", timeZone),
+    count: 1,
+    includeSkipped: true
+  });
+  return first ? "" : `no occurrences on or after ${startDate}`;
+}
+
+// Shorthand: the next N occurrences of a series
+export function nextOccurrences(series, count = 3, from = new Date()) {
+  return occurrences(series, { from, count });
+}
+
+// ---------- Formatting ----------
+const displayFormatters = new Map();
+
+// "Tue Mar 3, 7:00 PM" in the series' own time zone
+export function formatOccurrence(occ, locale = "en-US") {
+  if (!occ?.start) return "";
+  const key = `${locale}|${occ.timeZone}`;
+  if (!displayFormatters.has(key)) {
+    displayFormatters.set(key, new Intl.DateTimeFormat(locale, {
+      timeZone: occ.timeZone,
+      weekday: "short", month: "short", day: "numeric",
+      hour: "numeric", minute: "2-digit"
+    }));
+  }
+  // en-US renders "Tue, Mar 3, 7:00 PM"; drop the first comma for a tighter label
+  return displayFormatters.get(key).format(occ.start).replace(/^(\w+),/, "$1");
+}
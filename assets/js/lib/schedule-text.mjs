@@ -0,0 +1,145 @@
+// assets/js/lib/schedule-text.mjs
+//
+// Best-effort reading of the flat schedule strings in assets/data/meetups.json, e.g.
+//   "Monthly | 3rd Wednesday | 7:00 PM ET"
+//   "Weekly | Tuesdays | 6:00 PM ET"
+//   "1st Wednesday (learning) | 3rd Thursday (social) | Evenings"
+// into v1-style recurrence blocks (see recurrence.mjs). Shared by scripts/migrate-meetups-v1.mjs (which turns
+// them into real series) and events.js (calendar dates for meetups not migrated yet).
+//
+// Anything doubtful is pushed into the caller's review[] as a sentence, never thrown.
+
+import { WEEKDAYS } from "./recurrence.mjs";
+
+const ORDINALS = {
+  "1st": 1, first: 1,
+  "2nd": 2, second: 2,
+  "3rd": 3, third: 3,
+  "4th": 4, fourth: 4,
+  "5th": 5, fifth: 5,
+  last: -1
+};
+
+// Schedule zone abbreviation → IANA zone, per state where the state has its own zone names
+const ZONES_BY_STATE = {
+  IN: { ET: "America/Indiana/Indianapolis", CT: "America/Chicago" },
+  KY: { ET: "America/Kentucky/Louisville", CT: "America/Chicago" },
+  MI: { ET: "America/Detroit", CT: "America/Menominee" }
+};
+const ZONES = { ET: "America/New_York", CT: "America/Chicago", MT: "America/Denver", PT: "America/Los_Angeles" };
+const DEFAULT_ZONE_BY_STATE = { IN: "ET", KY: "ET", MI: "ET", OH: "ET", IL: "CT", MO: "CT" };
+
+function asStr(x) {
+  return (x === null || x === undefined) ? "" : String(x).trim();
+}
+
+function uniqCaseInsensitive(arr) {
+  const out = [];
+  const seen = new Set();
+  for (const v of arr) {
+    const s = asStr(v);
+    if (!s) continue;
+    const k = s.toLowerCase();
+    if (seen.has(k)) continue;
+    seen.add(k);
+    out.push(s);
+  }
+  return out;
+}
+
+function weekdayFrom(word) {
+  const w = asStr(word).toLowerCase().replace(/s$/, "");
+  return WEEKDAYS.find(d => d === w || d.slice(0, 3) === w) || "";
+}
+
+// "7:00 PM ET" / "7 PM" / "19:00" → { start: "19:00", zone: "ET" | "" }
+function parseTime(text) {
+  const m = /\b(\d{1,2})(?::(\d{2}))?\s*(am|pm)?\b(?:\s*([ECMP])T\b)?/i.exec(text);
+  if (!m || (!m[3] && !m[2])) return null;
+
+  let h = Number(m[1]);
+  const min = Number(m[2] || 0);
+  const ampm = asStr(m[3]).toLowerCase();
+  if (ampm === "pm" && h < 12) h += 12;
+  if (ampm === "am" && h === 12) h = 0;
+  if (h > 23 || min > 59) return null;
+
+  return {
+    start: `${String(h).padStart(2, "0")}:${String(min).padStart(2, "0")}`,
+    zone: m[4] ? `${m[4].toUpperCase()}T` : ""
+  };
+}
+
+// "3rd Wednesday (social)" → { nth: 3, weekday: "wednesday", label: "social" }
+function parseNthWeekday(text) {
+  const m = /\b(1st|2nd|3rd|4th|5th|first|second|third|fourth|fifth|last)\s+([a-z]+)(?:\s*\(([^)]+)\))?/i.exec(text);
+  if (!m) return null;
+  const weekday = weekdayFrom(m[2]);
+  if (!weekday) return null;
+  return { nth: ORDINALS[m[1].toLowerCase()], weekday, label: asStr(m[3]) };
+}
+
+/**
+ * IANA time zone for a schedule's zone abbreviation ("ET", or "" when the schedule has none) in a state.
+ * @param {string} stateCode  "IN"
+ * @param {string} zone       "ET" | "CT" | "MT" | "PT" | ""
+ * @param {string[]} [review]
+ * @returns {string}
+ */
+export function timeZoneFor(stateCode, zone, review = []) {
+  const z = zone || DEFAULT_ZONE_BY_STATE[stateCode] || "";
+  if (!zone) review.push(`schedule has no time zone; assumed ${z || "ET"} for ${stateCode}`);
+  return ZONES_BY_STATE[stateCode]?.[z] || ZONES[z] || ZONES.ET;
+}
+
+/**
+ * Best-effort parse of a flat schedule string into v1 series drafts.
+ * @param {string} schedule
+ * @param {string[]} [review]  doubts are pushed here
+ * @returns {{ series: Array<{ label: string, start: string, recurrence: object }>, zone: string }}
+ *   start is "HH:MM", or "" when the schedule names no time
+ */
+export function parseSchedule(schedule, review = []) {
+  const text = asStr(schedule);
+  if (!text) {
+    review.push("no schedule; add series[] by hand");
+    return { series: [], zone: "" };
+  }
+
+  const parts = text.split("|").map(asStr).filter(Boolean);
+  const time = parseTime(text);
+  const zone = time?.zone || "";
+  const lower = text.toLowerCase();
+
+  // "Weekly | Tuesdays | 6:00 PM ET" / "Every Other Thursday | 6:00 PM ET"
+  const everyOther = /\b(every other|biweekly|every 2 weeks)\b/.test(lower);
+  if (everyOther || /\bweekly\b/.test(lower)) {
+    const days = uniqCaseInsensitive(parts.flatMap(p => p.split(/[\s,&/]+/)).map(weekdayFrom));
+    if (days.length === 0) {
+      review.push(`could not find a weekday in schedule "${text}"`);
+      return { series: [], zone };
+    }
+    if (everyOther) review.push(`"${text}": every-other-week series need a real first date; check effective.startDate`);
+    return {
+      series: [{ label: "", start: time?.start || "", recurrence: { type: "weekly", interval: everyOther ? 2 : 1, byWeekday: days } }],
+      zone
+    };
+  }
+
+  // "Monthly | 3rd Wednesday | 7:00 PM ET" or "1st Wednesday (learning) | 3rd Thursday (social) | Evenings"
+  const nths = parts.map(parseNthWeekday).filter(Boolean);
+  if (nths.length) {
+    if (!/\bmonthly\b/.test(lower) && nths.length === 1) review.push(`"${text}": assumed monthly`);
+    return {
+      series: nths.map(n => ({
+        label: n.label,
+        start: time?.start || "",
+        recurrence: { type: "monthly_nth_weekday", interval: 1, weekday: n.weekday, nth: n.nth }
+      })),
+      zone
+    };
+  }
+
+  review.push(`could not parse schedule "${text}"; add series[] by hand`);
+  return { series: [], zone };
+}
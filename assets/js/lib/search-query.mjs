@@ -0,0 +1,96 @@
+// assets/js/lib/search-query.mjs
+//
+// A small search query language (meetupmap.js loads it with dynamic import()):
+//   indy                    plain text, matched however the caller likes
+//   "bitcoin meetup"        quoted phrase, one term
+//   day:wed  city:"st. louis"  field terms (only the caller's fields; anything else, like https://…, stays text)
+//   -county:marion  NOT day:mon  negation
+//   day:wed state:KY        terms next to each other must all match (AND is optional)
+//   state:KY OR state:OH    alternatives; OR (or |) binds loosest: a b OR c means (a AND b) OR c
+//
+// OR, AND and NOT are keywords only in capitals, so "or" in a name is still text.
+// A parsed query is { groups: [[term, …], …] }: any group matches when all of its terms do.
+// A term is { field, value, negate, quoted }; field is null for plain text.
+//
+// No dependencies. Tests: node --test tests/
+
+// -term, field:value, field:"quoted value", "quoted", word (a missing closing quote runs to the end)
+const TOKEN_RE = /(-?)(?:([a-z]+):(?=\S))?(?:"([^"]*)(?:"|$)|(\S+))/gi;
+
+/**
+ * @param {string} input
+ * @param {object} [opts]
+ * @param {string[]} [opts.fields]              field names the caller understands (lowercase)
+ * @param {Object<string,string>} [opts.aliases] other spellings → field name, e.g. { frequency: "freq" }
+ * @returns {{ groups: Array<Array<{ field: string|null, value: string, negate: boolean, quoted: boolean }>> }}
+ */
+export function parseQuery(input, { fields = [], aliases = {} } = {}) {
+  const known = new Set(fields);
+  const groups = [[]];
+  let negateNext = false;
+
+  for (const [raw, dash, prefix, quotedValue, word] of String(input ?? "").matchAll(TOKEN_RE)) {
+    const quoted = quotedValue !== undefined;
+
+    if (!quoted && !prefix) {
+      if (word === "OR" || word === "|") {
+        groups.push([]);
+        negateNext = false;
+        continue;
+      }
+      if (word === "AND" || word === "&&") continue;
+      if (word === "NOT") {
+        negateNext = true;
+        continue;
+      }
+    }
+
+    const name = prefix ? prefix.toLowerCase() : null;
+    const field = name && (known.has(name) ? name : (known.has(aliases[name]) ? aliases[name] : null));
+
+    // Unknown prefix: the whole token is text (minus a leading "-")
+    const value = field || !prefix ? (quoted ? quotedValue : word).trim() : raw.slice(dash.length);
+    if (!value || value === "-") continue;
+
+    groups[groups.length - 1].push({
+      field,
+      value,
+      negate: Boolean(dash) !== negateNext,
+      quoted: quoted && (field !== null || !prefix)
+    });
+    negateNext = false;
+  }
+
+  return { groups: groups.filter(g => g.length) };
+}
+
+export function isEmptyQuery(query) {
+  return !query?.groups?.length;
+}
+
+/**
+ * @param {object} query   from parseQuery
+ * @param {*} item
+ * @param {(term, item) => boolean} test  does the item match the term (ignoring term.negate)?
+ * @returns {boolean}      an empty query matches everything
+ */
+export function matchQuery(query, item, test) {
+  if (isEmptyQuery(query)) return true;
+  return query.groups.some(group => group.every(term => test(term, item) !== term.negate));
+}
+
+/**
+ * For status lines: day "wed" and state "KY", or not county "marion"
+ * @param {object} query
+ * @param {Object<string,string>} [labels]  field → label (default: the field name)
+ * @returns {string}
+ */
+export function describeQuery(query, labels = {}) {
+  if (isEmptyQuery(query)) return "";
+
+  const describeTerm = (t) => {
+    const what = t.field ? `${labels[t.field] || t.field} "${t.value}"` : `"${t.value}"`;
+    return t.negate ? `not ${what}` : what;
+  };
+  return query.groups.map(group => group.map(describeTerm).join(" and ")).join(", or ");
+}
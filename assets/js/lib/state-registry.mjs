@@ -0,0 +1,100 @@
+// assets/js/lib/state-registry.mjs
+//
+// ?state= lookups against the state registry (/assets/data/merchant-states.json), shared by
+// merchants-router.js and meetupmap.js (both load it with dynamic import()).
+//
+// A view is what a page shows for one ?state= value: one state, a comma list (?state=indiana,oh)
+// or a named region from registry.regions (?state=indiana-neighbors):
+//   { slug, name, code: "IN/OH", states: [registry entries], coverage: [merged circles] }
+//
+// No dependencies.
+
+export const REGISTRY_URL = "/assets/data/merchant-states.json";
+
+// Normalize any string to a clean lowercase slug (used for lookups and canonical URLs)
+export function norm(s) {
+  return String(s || "")
+    .trim()
+    .toLowerCase()
+    .replace(/_/g, "-")
+    .replace(/\s+/g, "-")
+    .replace(/[^a-z0-9-]/g, "")
+    .replace(/-+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+// "Indiana, OH" → "indiana,oh" (for lookups and comparing against the canonical form)
+export function paramKey(raw) {
+  return String(raw || "").split(",").map(norm).filter(Boolean).join(",");
+}
+
+// What the page shows: one state, or several (region) with their circles merged
+export function makeView(slug, name, states) {
+  return {
+    slug,
+    name,
+    code: states.map(st => st.code).join("/"),
+    states,
+    coverage: states.length === 1
+      ? (Array.isArray(states[0].coverage) ? states[0].coverage : [])
+      : states.flatMap(st => (Array.isArray(st.coverage) ? st.coverage : [])
+        .map(c => Object.assign({}, c, { name: `${st.code} ${c.name || "circle"}` })))
+  };
+}
+
+// Build fast lookup maps: slug → state, code → state
+function buildLookups(states) {
+  const bySlug = new Map();
+  const byCode = new Map();
+
+  for (const st of states) {
+    const slug = norm(st.slug);
+    const code = norm(st.code);
+    if (slug) bySlug.set(slug, st);
+    if (code) byCode.set(code, st);
+  }
+  return { bySlug, byCode };
+}
+
+/**
+ * @param {object} registry  parsed merchant-states.json
+ * @returns {{ states: Array, regions: Array, defaultSlug: string, resolve: (rawParam) => object }}
+ *   states sorted by name (dropdown order), regions as views; resolve maps a ?state= value to a view
+ *   (unknown or missing → registry.default)
+ */
+export function createStateResolver(registry) {
+  const states = Array.isArray(registry?.states) ? registry.states : [];
+  if (!states.length) throw new Error("No states found in merchant-states.json");
+
+  // Sort alphabetically by name for consistent dropdown order
+  const sortedStates = [...states].sort((a, b) => String(a.name).localeCompare(String(b.name)));
+
+  const { bySlug, byCode } = buildLookups(sortedStates);
+
+  const defaultSlug = norm(registry.default || "indiana");
+
+  // Named regions whose states all exist
+  const regionBySlug = new Map();
+  for (const r of Array.isArray(registry.regions) ? registry.regions : []) {
+    const regionStates = (r.states || []).map(slug => bySlug.get(norm(slug))).filter(Boolean);
+    if (norm(r.slug) && regionStates.length > 1) {
+      regionBySlug.set(norm(r.slug), makeView(norm(r.slug), r.name, regionStates));
+    }
+  }
+
+  // URL param → view: region slug, or one or more state slugs/codes; unknown or missing → default
+  const resolve = (rawParam) => {
+    const tokens = paramKey(rawParam).split(",").filter(Boolean);
+    if (tokens.length === 1 && regionBySlug.has(tokens[0])) return regionBySlug.get(tokens[0]);
+
+    const picked = [...new Set(tokens.map(t => bySlug.get(t) || byCode.get(t)).filter(Boolean))];
+    if (picked.length > 1) {
+      return makeView(picked.map(st => norm(st.slug)).join(","), picked.map(st => st.name).join(" + "), picked);
+    }
+
+    const st = picked[0] || bySlug.get(defaultSlug) || sortedStates[0];
+    return makeView(norm(st.slug), st.name, [st]);
+  };
+
+  return { states: sortedStates, regions: [...regionBySlug.values()], defaultSlug, resolve };
+}
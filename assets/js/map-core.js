@@ -0,0 +1,150 @@
+// assets/js/map-core.js
+//
+// Leaflet setup shared by the merchants map (map.js) and the meetups map (meetupmap.js),
+// exposed as window.BitcoinIndianaMap:
+// - getMap(): the page's one Leaflet map on #map, with the OpenStreetMap tiles, created on first use.
+//   Both scripts call it, so on the combined map (/map/) they draw on the same map.
+// - addOverlay(key, label, layer): adds a marker layer to the map and lists it in a layers control.
+//   The control only appears once a second layer joins (the combined map); one-layer pages look as before.
+//   Layers switched off are kept in the URL (&hide=meetups) like the other filters; showOverlay(key) turns one back on.
+// - markerIcon(modifier, { color }): .btc-marker DivIcons (btc-marker--<modifier>), one per modifier + color.
+//   Merchants are round dots, meetups map-pin drops (see site.css).
+// - loadBoundaryFeature(url, name) + OUTLINE_STYLE: a state boundary GeoJSON, drawn the same on every page.
+// - escapeHtml(), markHtml(text, ranges): escaped text with the searched-for words in <mark> (ranges from
+//   fuzzy-search.mjs matchRanges)
+//
+// Loaded (defer) after Leaflet and before map.js / meetupmap.js. No other dependencies.
+
+(function () {
+  "use strict";
+
+  const OUTLINE_STYLE = { color: "#F7931A", weight: 2, opacity: 0.65, fillOpacity: 0.04 };
+
+  function escapeHtml(str) {
+    return String(str ?? "").replace(/[&<>"']/g, s => ({
+      "&": "&amp;",
+      "<": "&lt;",
+      ">": "&gt;",
+      '"': "&quot;",
+      "'": "&#39;"
+    }[s]));
+  }
+
+  // [[start, end], …] in order → "Blue <mark>Coffee</mark> Co"
+  function markHtml(text, ranges) {
+    const str = String(text ?? "");
+    let html = "";
+    let at = 0;
+    for (const [start, end] of ranges || []) {
+      html += `${escapeHtml(str.slice(at, start))}<mark>${escapeHtml(str.slice(start, end))}</mark>`;
+      at = end;
+    }
+    return html + escapeHtml(str.slice(at));
+  }
+
+  // ---------- Map ----------
+  let leaflet = null; // { map }
+
+  function getMap() {
+    if (leaflet) return leaflet;
+
+    const map = L.map("map", { zoomControl: true });
+
+    L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", {
+      maxZoom: 19,
+      attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+    }).addTo(map);
+
+    map.on("overlayadd overlayremove", writeHiddenOverlays);
+
+    leaflet = { map };
+    return leaflet;
+  }
+
+  // ---------- Overlays (layers control) ----------
+  const overlays = []; // [{ key, label, layer }] in the order the scripts added them
+  let layersControl = null;
+
+  const hiddenAtLoad = new Set(
+    (new URLSearchParams(window.location.search).get("hide") || "").split(",").filter(Boolean)
+  );
+
+  // ?hide= only applies once there is a control to switch the layer back on
+  function addOverlay(key, label, layer) {
+    const { map } = getMap();
+    layer.addTo(map);
+    overlays.push({ key, label, layer });
+
+    if (layersControl) {
+      layersControl.addOverlay(layer, label);
+      if (hiddenAtLoad.has(key)) map.removeLayer(layer);
+    } else if (overlays.length > 1) {
+      layersControl = L.control.layers(null, null, { collapsed: false });
+      for (const o of overlays) {
+        layersControl.addOverlay(o.layer, o.label);
+        if (hiddenAtLoad.has(o.key)) map.removeLayer(o.layer);
+      }
+      layersControl.addTo(map);
+    }
+  }
+
+  function showOverlay(key) {
+    const o = overlays.find(x => x.key === key);
+    if (o && !leaflet.map.hasLayer(o.layer)) leaflet.map.addLayer(o.layer);
+  }
+
+  // replaceState, other parameters are left alone (same as the maps' own URL state)
+  function writeHiddenOverlays() {
+    const hidden = overlays.filter(o => !leaflet.map.hasLayer(o.layer)).map(o => o.key);
+    const u = new URL(window.location.href);
+    if (hidden.length) u.searchParams.set("hide", hidden.join(","));
+    else u.searchParams.delete("hide");
+    u.search = u.search.replace(/%2C/gi, ",");
+    if (u.toString() !== window.location.href) window.history.replaceState(window.history.state, "", u.toString());
+  }
+
+  // ---------- Markers ----------
+  const icons = new Map();
+
+  // Meetup drops point at their location with the tip, everything else is centered
+  function markerIcon(modifier, { color } = {}) {
+    const key = `${modifier}|${color || ""}`;
+    if (icons.has(key)) return icons.get(key);
+
+    const size = modifier === "venue" ? 14 : 18;
+    const tip = modifier === "meetup" ? Math.round(size / 2 + size * Math.SQRT1_2) : size / 2;
+    const icon = L.divIcon({
+      className: "",
+      html: `<div class="btc-marker btc-marker--${modifier}"${color ? ` style="background:${color};"` : ""} aria-hidden="true"></div>`,
+      iconSize: [size, size],
+      iconAnchor: [size / 2, tip],
+      popupAnchor: [0, -(tip + 1)]
+    });
+    icons.set(key, icon);
+    return icon;
+  }
+
+  // ---------- Boundaries ----------
+  async function loadBoundaryFeature(url, name) {
+    const res = await fetch(url, {
+      headers: { "accept": "application/geo+json,application/json" }
+    });
+    if (!res.ok) throw new Error(`Failed to load ${name} boundary (HTTP ${res.status}).`);
+
+    const geo = await res.json();
+    if (geo.type === "Feature") return geo;
+    if (geo.type === "FeatureCollection" && Array.isArray(geo.features) && geo.features.length > 0) return geo.features[0];
+    throw new Error("State GeoJSON must be a Feature or FeatureCollection with at least one feature.");
+  }
+
+  window.BitcoinIndianaMap = {
+    OUTLINE_STYLE,
+    escapeHtml,
+    markHtml,
+    getMap,
+    addOverlay,
+    showOverlay,
+    markerIcon,
+    loadBoundaryFeature
+  };
+})();
@@ -6,7 +6,61 @@
 // - Waits for merchants-router.js to provide config via CustomEvent:
 //     "bitcoinindiana:merchants-config"
 //   with detail:
-//     { stateName, stateCode, geojsonUrl, coverage, ... }
+//     { stateName, stateCode, geojsonUrl, coverage, states?, ... }
+// - Regions (?state=indiana,ohio or a named region) pass states[] with one boundary each: places are
+//   kept when inside any of them, and the status line shows a count per state.
+// - The router dispatches it again when the state dropdown (or back/forward) switches states: the
+//   previous state's outline, markers, listeners and status are torn down and the new one starts on the
+//   same Leaflet map, without a page reload.
+//
+// Offline + sync:
+// - The last successful load per state (filtered places + boundary GeoJSON) is kept in IndexedDB.
+//   On the next visit it is shown right away with an "as of" time while BTC Map is queried again.
+// - Repeat visits don't re-run every coverage-circle search: the saved snapshot is brought up to date
+//   with /v4/places?updated_since=<cursor> (changed + deleted places worldwide, filtered here).
+//   A full search still runs on first visit, when filters/boundary changed, or after FULL_RESYNC_MS.
+// - First visits start from the static snapshot /assets/data/merchants/<slug>.json
+//   (scripts/generate-merchant-snapshots.mjs) when one exists, then sync from its cursor.
+// - /sw.js (registered by site.js) caches the page, scripts, registry and viewed map tiles.
+//
+// Rendering:
+// - Markers are clustered with Leaflet.markercluster (unpkg) when it loaded; plain layer otherwise.
+// - One marker per place is built once; search only adds/removes the markers whose match changed.
+//
+// Search:
+// - The search box is typo-tolerant and accent-blind ("cofee", "Louisvile") and ranked: name hits above category
+//   above address (assets/js/lib/fuzzy-search.mjs, shared with meetupmap.js). While searching, the list shows the
+//   best matches first (until a column is picked) with the matched words highlighted.
+//
+// Filters:
+// - Category facets are built from the icon values of the loaded places, with counts for the current
+//   search; ticking several shows any of them (none ticked = all).
+// - ATMs/exchanges (CONFIG.excludedIcons) are kept in the data but hidden unless "Show ATMs & exchanges" is on.
+// - "Last verified" hides places whose BTC Map verified_at is older than N months, or missing (&verified=12).
+// - All of these are mirrored in the URL next to ?state= (&cat=local_cafe,restaurant&atms=1) so a view can be shared.
+//
+// Freshness:
+// - Markers are colored by how long ago the place was last verified (FRESHNESS; legend in the sidebar),
+//   and the status line breaks the state's places down the same way.
+//
+// Deep links:
+// - The search (q), map view (z/lat/lon) and open popup (place=<BTC Map id>) are kept in the URL with
+//   history.replaceState. Opening such a link restores the view and opens that place once it has loaded.
+//
+// Near me:
+// - "Near me" (Geolocation API) or a typed ZIP/city (OpenStreetMap Nominatim) draws a radius circle, keeps
+//   places within N miles and sorts the list by distance. The location is never put in the URL.
+// - Point-in-polygon and distance math come from assets/js/lib/geo.mjs (shared with meetupmap.js and
+//   the build scripts), loaded with dynamic import() before anything else.
+//
+// Shared map (assets/js/map-core.js):
+// - The Leaflet map, marker icons, boundary loading and escapeHtml come from window.BitcoinIndianaMap.
+//   The markers are its "merchants" overlay; on the combined map (/map/) meetupmap.js adds "meetups" next to it
+//   and a layers control switches either off.
+//
+// Report an issue:
+// - Each popup has a "Report an issue" box: pick a reason, then open BTC Map's verify page for the place
+//   (by its OSM element) or a new OpenStreetMap note at its coordinates, prefilled with the place and reason.
 //
 // Local testing:
 //   python3 -m http.server 8000
@@ -15,10 +69,250 @@
   "use strict";
 
   const DEFAULT_CONFIG = {
+    // Hidden until the ATM/exchange toggle is on (still fetched, so the toggle needs no reload)
     excludedIcons: ["currency_exchange", "local_atm"]
   };
 
   const BTCMAP_SEARCH_URL = "https://api.btcmap.org/v4/places/search/";
+  const BTCMAP_PLACES_URL = "https://api.btcmap.org/v4/places";
+  const SNAPSHOTS_BASE = "/assets/data/merchants/"; // scripts/generate-merchant-snapshots.mjs
+  const SEARCH_CONCURRENCY = 6;                        // coverage-circle searches in flight at once
+  const GEO_URL = "/assets/js/lib/geo.mjs";
+  const FUZZY_SEARCH_URL = "/assets/js/lib/fuzzy-search.mjs";
+  const NOMINATIM_URL = "https://nominatim.openstreetmap.org/search";
+
+  // Verification age buckets, newest first: marker color (.btc-marker--<key>), legend and status line.
+  // `months` is the upper bound; "unverified" is a place BTC Map has no verified_at for.
+  const FRESHNESS = [
+    { key: "fresh", months: 6, label: "under 6 months" },
+    { key: "aging", months: 12, label: "6–12 months" },
+    { key: "stale", months: Infinity, label: "over a year" },
+    { key: "unverified", months: null, label: "never" }
+  ];
+  const VERIFIED_WITHIN_MONTHS = [6, 12, 24]; // choices for the "hide unverified for over N months" filter
+
+  // Incremental sync
+  const SYNC_FIELDS = ["id", "lat", "lon", "icon", "name", "address", "website", "phone", "osm_url", "verified_at", "updated_at", "deleted_at"];
+  const SYNC_PAGE_SIZE = 2000;
+  const SYNC_MAX_PAGES = 10;                           // more changes than this → full search instead
+  const SYNC_CLOCK_SKEW_MS = 10 * 60 * 1000;           // first cursor is taken from our clock, minus a margin
+  const FULL_RESYNC_MS = 7 * 24 * 60 * 60 * 1000;      // weekly full search catches anything sync missed
+
+  // ---------- Offline cache (IndexedDB) ----------
+  // One record per state slug:
+  //   { slug, stateName, savedAt, fullAt, cursor, filterKey, fetchedCount, boundary, places }
+  // cursor is the updated_since value for the next sync (latest updated_at seen, ISO string).
+  // Every failure here is non-fatal: without IndexedDB the map simply loads from the network.
+  const DB_NAME = "bitcoinindiana";
+  const DB_VERSION = 1;
+  const PLACES_STORE = "merchantPlaces";
+
+  let dbPromise = null;
+
+  function openDb() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB is not available."));
+        return;
+      }
+
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(PLACES_STORE)) db.createObjectStore(PLACES_STORE, { keyPath: "slug" });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    }).catch(e => {
+      dbPromise = null; // allow a retry later (e.g. private browsing blocked it once)
+      throw e;
+    });
+
+    return dbPromise;
+  }
+
+  async function readCachedState(slug) {
+    try {
+      const db = await openDb();
+      return await new Promise((resolve, reject) => {
+        const req = db.transaction(PLACES_STORE, "readonly").objectStore(PLACES_STORE).get(slug);
+        req.onsuccess = () => resolve(req.result || null);
+        req.onerror = () => reject(req.error);
+      });
+    } catch (e) {
+      console.warn("Offline cache read failed:", e);
+      return null;
+    }
+  }
+
+  async function writeCachedState(record) {
+    try {
+      const db = await openDb();
+      await new Promise((resolve, reject) => {
+        const tx = db.transaction(PLACES_STORE, "readwrite");
+        tx.objectStore(PLACES_STORE).put(record);
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      });
+    } catch (e) {
+      console.warn("Offline cache write failed:", e);
+    }
+  }
+
+  // "Oct 18, 9:12 PM" (adds the year when it isn't this year)
+  function formatAsOf(ts) {
+    const d = new Date(ts);
+    const opts = { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" };
+    if (d.getFullYear() !== new Date().getFullYear()) opts.year = "numeric";
+    return d.toLocaleString(undefined, opts);
+  }
+
+  // assets/js/lib/geo.mjs, loaded once per page (state switches reuse it)
+  let geoPromise = null;
+
+  function loadGeo() {
+    if (!geoPromise) {
+      geoPromise = import(GEO_URL).catch(e => {
+        geoPromise = null; // allow a retry (e.g. came back online)
+        throw e;
+      });
+    }
+    return geoPromise;
+  }
+
+  // assets/js/lib/fuzzy-search.mjs, same; without it the search box falls back to plain substring matching
+  let fuzzyPromise = null;
+
+  function loadFuzzySearch() {
+    if (!fuzzyPromise) {
+      fuzzyPromise = import(FUZZY_SEARCH_URL).catch(e => {
+        console.error("Fuzzy search failed to load:", e);
+        fuzzyPromise = null;
+        return null;
+      });
+    }
+    return fuzzyPromise;
+  }
+
+  // ---------- Near me (where is "me"?) ----------
+  function currentPosition() {
+    return new Promise((resolve, reject) => {
+      if (!navigator.geolocation) {
+        reject(new Error("Location isn't available in this browser. Type a ZIP code or city instead."));
+        return;
+      }
+      navigator.geolocation.getCurrentPosition(
+        (pos) => resolve({ lat: pos.coords.latitude, lon: pos.coords.longitude, label: "your location" }),
+        (err) => reject(new Error(err.code === 1
+          ? "Location permission was denied. Type a ZIP code or city instead."
+          : "Couldn't get your location. Type a ZIP code or city instead.")),
+        { enableHighAccuracy: false, timeout: 10000, maximumAge: 5 * 60 * 1000 }
+      );
+    });
+  }
+
+  // ZIP code or "city, ST" → { lat, lon, label } (US only)
+  async function geocodePlace(query) {
+    const url = new URL(NOMINATIM_URL);
+    url.searchParams.set("q", query);
+    url.searchParams.set("format", "jsonv2");
+    url.searchParams.set("countrycodes", "us");
+    url.searchParams.set("limit", "1");
+
+    const res = await fetch(url.toString(), { headers: { "accept": "application/json" } });
+    if (!res.ok) throw new Error(`Location lookup failed (HTTP ${res.status}).`);
+
+    const [hit] = await res.json();
+    if (!hit) throw new Error(`No US location found for "${query}".`);
+    return { lat: Number(hit.lat), lon: Number(hit.lon), label: query };
+  }
+
+  // ---------- Report an issue (popup links) ----------
+  const REPORT_REASONS = [
+    { key: "no-btc", label: "No longer accepts bitcoin" },
+    { key: "closed", label: "Closed" },
+    { key: "location", label: "Wrong location" },
+    { key: "details", label: "Wrong name, address or contact details" }
+  ];
+
+  // "https://www.openstreetmap.org/node/123" → "node:123" (the id BTC Map's verify page takes)
+  function osmElementId(osmUrl) {
+    const m = /openstreetmap\.org\/(node|way|relation)\/(\d+)/.exec(osmUrl || "");
+    return m ? `${m[1]}:${m[2]}` : "";
+  }
+
+  // This page with ?place=<id>, so whoever handles the report can open the same popup
+  function placeLink(place) {
+    const u = new URL(window.location.href);
+    u.searchParams.set("place", String(place.id));
+    return u.toString().replace(/%2C/gi, ",");
+  }
+
+  function reportUrls(place, reasonKey) {
+    const reason = REPORT_REASONS.find(r => r.key === reasonKey) || REPORT_REASONS[0];
+    const lat = Number(place.lat).toFixed(5);
+    const lon = Number(place.lon).toFixed(5);
+
+    const osmId = osmElementId(place.osm_url);
+    const btcmap = osmId
+      ? `https://btcmap.org/verify-location?id=${encodeURIComponent(osmId)}`
+      : `https://btcmap.org/merchant/${encodeURIComponent(place.id)}`;
+
+    const text = [
+      `${reason.label}: ${place.name || `Place #${place.id}`}`,
+      `BTC Map place ${place.id}${osmId ? ` (OSM ${osmId})` : ""} at ${lat}, ${lon}`,
+      place.address ? `Address listed: ${place.address}` : "",
+      `Seen on ${placeLink(place)}`
+    ].filter(Boolean).join("\n");
+
+    const note = new URL("https://www.openstreetmap.org/note/new");
+    note.searchParams.set("lat", lat);
+    note.searchParams.set("lon", lon);
+    note.searchParams.set("text", text);
+    note.hash = `map=19/${lat}/${lon}`;
+
+    return { btcmap, osmNote: note.toString() };
+  }
+
+  // ---------- Leaflet map ----------
+  // One map per page (map-core.js): state switches reuse it (and its tiles), only outline + markers are rebuilt.
+  let leaflet = null; // { map, markersLayer }
+
+  // Cluster bubbles: orange btc-marker look, sized by how many places they hold
+  function clusterIcon(cluster) {
+    const n = cluster.getChildCount();
+    const size = n < 10 ? "sm" : n < 100 ? "md" : "lg";
+    const px = { sm: 30, md: 36, lg: 44 }[size];
+    return L.divIcon({
+      className: "",
+      html: `<div class="btc-cluster btc-cluster--${size}" aria-hidden="true"><span>${n}</span></div>`,
+      iconSize: [px, px],
+      iconAnchor: [px / 2, px / 2]
+    });
+  }
+
+  function getLeaflet() {
+    if (leaflet) return leaflet;
+
+    const { map } = window.BitcoinIndianaMap.getMap();
+
+    const markersLayer = (typeof L.markerClusterGroup === "function")
+      ? L.markerClusterGroup({
+        chunkedLoading: true,
+        showCoverageOnHover: false,
+        spiderfyOnMaxZoom: true,
+        maxClusterRadius: 50,
+        iconCreateFunction: clusterIcon
+      })
+      : L.layerGroup();
+    window.BitcoinIndianaMap.addOverlay("merchants", "Merchants", markersLayer);
+
+    leaflet = { map, markersLayer };
+    return leaflet;
+  }
 
   function startMerchantsMap(pageConfig) {
     const CONFIG = Object.assign({}, DEFAULT_CONFIG, pageConfig || {});
@@ -26,8 +320,16 @@
 
     // ---------- Config-derived ----------
     const GEOJSON_URL = CONFIG.geojsonUrl;
-    const EXCLUDED_ICONS = new Set(CONFIG.excludedIcons || DEFAULT_CONFIG.excludedIcons);
+    const ATM_ICONS = new Set(CONFIG.excludedIcons || DEFAULT_CONFIG.excludedIcons);
     const COVERAGE = CONFIG.coverage;
+    const STATE_SLUG = CONFIG.stateSlug || String(CONFIG.stateName || "").toLowerCase().replace(/[^a-z0-9]+/g, "-");
+    // One entry per boundary: just this state, or every state of a region
+    const STATES = (Array.isArray(CONFIG.states) && CONFIG.states.length)
+      ? CONFIG.states
+      : [{ slug: STATE_SLUG, code: CONFIG.stateCode, name: CONFIG.stateName, geojsonUrl: GEOJSON_URL }];
+    // A snapshot is only synced incrementally if it was built with the same boundaries and kept every
+    // category ("|<excluded icons>" is empty; older copies without ATMs/exchanges get a full search)
+    const FILTER_KEY = `${STATES.map(st => st.geojsonUrl).join(",")}|`;
 
     // ---------- DOM ----------
     const qEl = document.getElementById("q");
@@ -36,6 +338,20 @@
     const statusEl = document.getElementById("status");
     const btnFit = document.getElementById("btnFit");
     const btnReload = document.getElementById("btnReload");
+    const asOfEl = document.getElementById("asOf");
+    const facetsEl = document.getElementById("facets");
+    const showAtmsEl = document.getElementById("showAtms");
+    const verifiedWithinEl = document.getElementById("verifiedWithin");
+    const listHeadEl = document.getElementById("placeListHead");
+    const listRowsEl = document.getElementById("placeRows");
+    const listSummaryEl = document.getElementById("listSummary");
+    const listMoreEl = document.getElementById("listMore");
+    const mapEl = document.getElementById("map");
+    const nearFormEl = document.getElementById("nearForm");
+    const nearQEl = document.getElementById("nearQ");
+    const nearMilesEl = document.getElementById("nearMiles");
+    const btnNearMe = document.getElementById("btnNearMe");
+    const btnNearClear = document.getElementById("btnNearClear");
 
     const pageTitleEl = document.getElementById("pageTitle");
     const pageIntroEl = document.getElementById("pageIntro");
@@ -47,18 +363,12 @@
 
     if (btnFit) btnFit.textContent = CONFIG.fitLabel || `Fit ${CONFIG.stateName || "state"}`;
 
-    function setStatus(msg) {
-      if (statusEl) statusEl.textContent = msg || "";
-    }
+    // False once the router has switched to another state: late async work must not touch the page
+    let live = true;
+    const listeners = new AbortController();
 
-    function escapeHtml(str) {
-      return String(str ?? "").replace(/[&<>"']/g, s => ({
-        "&": "&amp;",
-        "<": "&lt;",
-        ">": "&gt;",
-        '"': "&quot;",
-        "'": "&#39;"
-      }[s]));
+    function setStatus(msg) {
+      if (live && statusEl) statusEl.textContent = msg || "";
     }
 
     if (!CONFIG.stateName || !GEOJSON_URL) {
@@ -71,161 +381,675 @@
       setStatus("Leaflet failed to load (L is undefined).");
       return;
     }
+    if (!window.BitcoinIndianaMap) {
+      setStatus("Map helpers failed to load (map-core.js).");
+      return;
+    }
 
-    const map = L.map("map", { zoomControl: true });
+    const { escapeHtml, markHtml, markerIcon, loadBoundaryFeature, OUTLINE_STYLE } = window.BitcoinIndianaMap;
 
-    L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", {
-      maxZoom: 19,
-      attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
-    }).addTo(map);
+    const { map, markersLayer } = getLeaflet();
 
-    const markersLayer = L.layerGroup().addTo(map);
+    // Batch add/remove: markercluster re-clusters once per call instead of once per marker
+    function addMarkers(list) {
+      if (!list.length) return;
+      if (markersLayer.addLayers) markersLayer.addLayers(list);
+      else list.forEach(m => markersLayer.addLayer(m));
+    }
 
-    const btcIcon = L.divIcon({
-      className: "",
-      html: '<div class="btc-marker" aria-hidden="true"></div>',
-      iconSize: [18, 18],
-      iconAnchor: [9, 9],
-      popupAnchor: [0, -10]
-    });
+    function removeMarkers(list) {
+      if (!list.length) return;
+      if (markersLayer.removeLayers) markersLayer.removeLayers(list);
+      else list.forEach(m => markersLayer.removeLayer(m));
+    }
 
-    let stateFeature = null;
+    // One marker icon per freshness bucket
+    const freshnessIcons = new Map(FRESHNESS.map(f => [f.key, markerIcon(f.key)]));
+
+    let stateBoundary = null;  // Feature, or FeatureCollection (one feature per STATES entry) for regions
+    let stateAreas = [];       // [{ name, index }] in STATES order (index: geo.indexFeature)
     let stateOutlineLayer = null;
-    let stateBounds = null; // {minLon,minLat,maxLon,maxLat}
+    let stateBounds = null;    // {minLon,minLat,maxLon,maxLat} around all of stateAreas
 
     let allFetched = [];
     let inPlaces = [];
 
-    // ---------- Geo helpers ----------
-    function featureBounds(feature) {
-      const g = feature?.geometry;
-      if (!g) throw new Error("Cannot compute bounds: missing geometry.");
-
-      let minLon = Infinity, minLat = Infinity, maxLon = -Infinity, maxLat = -Infinity;
+    let geo = null;          // assets/js/lib/geo.mjs (boot waits for it)
+    let fuzzy = null;        // assets/js/lib/fuzzy-search.mjs (boot waits for it; null → substring search)
 
-      const scanRing = (ring) => {
-        for (const [lon, lat] of ring) {
-          if (lon < minLon) minLon = lon;
-          if (lat < minLat) minLat = lat;
-          if (lon > maxLon) maxLon = lon;
-          if (lat > maxLat) maxLat = lat;
-        }
-      };
+    let dataAsOf = 0;        // ms timestamp of the places currently shown
+    let dataIsSaved = false; // true while showing the IndexedDB copy
+    let snapshot = null;     // last record read from / written to IndexedDB
 
-      if (g.type === "Polygon") scanRing(g.coordinates[0]);
-      else if (g.type === "MultiPolygon") for (const poly of g.coordinates) scanRing(poly[0]);
-      else throw new Error(`Unsupported geometry type: ${g.type}`);
+    // ---------- Filtering + rendering ----------
+    function categoryOf(place) {
+      return (place.icon || "").trim();
+    }
 
-      return { minLon, minLat, maxLon, maxLat };
+    function isAtmCategory(place) {
+      return ATM_ICONS.has(categoryOf(place));
     }
 
-    function pointInBounds([lon, lat], b) {
-      return lon >= b.minLon && lon <= b.maxLon && lat >= b.minLat && lat <= b.maxLat;
+    const CATEGORY_LABELS = { local_atm: "ATM" };
+
+    // "local_cafe" → "Local cafe"
+    function categoryLabel(icon) {
+      if (!icon) return "Uncategorized";
+      if (CATEGORY_LABELS[icon]) return CATEGORY_LABELS[icon];
+      const words = icon.replace(/_/g, " ");
+      return words.charAt(0).toUpperCase() + words.slice(1);
     }
 
-    function pointInRing(point, ring) {
-      const x = point[0], y = point[1];
-      let inside = false;
+    // Index into stateAreas of the state containing pt, or -1
+    function stateIndexOf(pt) {
+      if (!geo.pointInBounds(pt, stateBounds)) return -1;
+      return stateAreas.findIndex(a => geo.pointInIndex(pt, a.index));
+    }
 
-      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
-        const xi = ring[i][0], yi = ring[i][1];
-        const xj = ring[j][0], yj = ring[j][1];
+    // Same test for search results and synced changes: has coordinates, inside the state (any, for regions)
+    function isKeptPlace(p) {
+      if (typeof p.lat !== "number" || typeof p.lon !== "number") return false;
+      return stateIndexOf([p.lon, p.lat]) !== -1;
+    }
 
-        const intersect =
-          ((yi > y) !== (yj > y)) &&
-          (x < ((xj - xi) * (y - yi)) / (yj - yi + 0.0) + xi);
+    // "Indiana: 1,204" or, for a region, "Indiana + Ohio: 2,077 (Indiana: 1,204 · Ohio: 873)"
+    function stateCountsText() {
+      const total = `${CONFIG.stateName}: ${inPlaces.length.toLocaleString()}`;
+      if (stateAreas.length < 2) return total;
 
-        if (intersect) inside = !inside;
+      const counts = stateAreas.map(() => 0);
+      for (const p of inPlaces) {
+        const i = stateIndexOf([p.lon, p.lat]);
+        if (i !== -1) counts[i]++;
       }
-      return inside;
+      return `${total} (${stateAreas.map((a, i) => `${a.name}: ${counts[i].toLocaleString()}`).join(" · ")})`;
     }
 
-    function pointInPolygon(point, polygonCoordinates) {
-      if (!polygonCoordinates || polygonCoordinates.length === 0) return false;
-      if (!pointInRing(point, polygonCoordinates[0])) return false; // outer ring
-      for (let i = 1; i < polygonCoordinates.length; i++) {
-        if (pointInRing(point, polygonCoordinates[i])) return false; // holes
-      }
-      return true;
+    // ---------- Freshness (verified_at) ----------
+    // ms timestamp of "n months ago" (calendar months)
+    function monthsAgo(n) {
+      const d = new Date();
+      d.setMonth(d.getMonth() - n);
+      return d.getTime();
     }
 
-    function pointInFeature(point, feature) {
-      const g = feature?.geometry;
-      if (!g) return false;
+    function verifiedAt(place) {
+      return Date.parse(place.verified_at || "") || 0;
+    }
 
-      if (g.type === "Polygon") return pointInPolygon(point, g.coordinates);
-      if (g.type === "MultiPolygon") return g.coordinates.some(poly => pointInPolygon(point, poly));
-      return false;
+    function freshnessOf(place) {
+      const ts = verifiedAt(place);
+      if (!ts) return FRESHNESS[FRESHNESS.length - 1];
+      return FRESHNESS.find(f => f.months === Infinity || ts >= monthsAgo(f.months));
     }
 
-    // ---------- Filtering + rendering ----------
-    function isExcludedCategory(place) {
-      return EXCLUDED_ICONS.has((place.icon || "").trim());
+    // Never-verified places count as older than any N
+    function isVerifiedWithin(place, months) {
+      return !months || verifiedAt(place) >= monthsAgo(months);
     }
 
+    // "Last verified: 41% under 6 months · 22% 6–12 months · 30% over a year · 7% never"
+    function freshnessText() {
+      if (!inPlaces.length) return "";
+      const counts = new Map(FRESHNESS.map(f => [f.key, 0]));
+      for (const p of inPlaces) {
+        const key = freshnessOf(p).key;
+        counts.set(key, counts.get(key) + 1);
+      }
+      const pct = (n) => `${Math.round((n / inPlaces.length) * 100)}%`;
+      return `Last verified: ${FRESHNESS.map(f => `${pct(counts.get(f.key))} ${f.label}`).join(" · ")}.`;
+    }
+
+    // Without the fuzzy search module
     function matchesQuery(place, q) {
       if (!q) return true;
       const hay = `${place.name || ""} ${place.address || ""} ${place.icon || ""}`.toLowerCase();
       return hay.includes(q.toLowerCase());
     }
 
-    function render() {
-      const q = (qEl?.value || "").trim();
-      markersLayer.clearLayers();
+    // ---------- Search ----------
+    // Typo-tolerant and ranked: a name hit outranks a category hit, which outranks an address hit
+    const SEARCH_FIELDS = [
+      { get: (p) => p.name, weight: 3 },
+      { get: (p) => categoryOf(p) ? categoryLabel(categoryOf(p)) : "", weight: 1.5 },
+      { get: (p) => p.address, weight: 1 }
+    ];
+
+    let searchIndex = null;   // over inPlaces, rebuilt when inPlaces is replaced
+    let searchIndexOf = null;
+    let searchText = "";      // the search render() last ran
+    let searchScores = null;  // place id → relevance for searchText (null: no search, or substring fallback)
+
+    function searchPlaces(q) {
+      if (!fuzzy || !q) return null;
+      if (searchIndexOf !== inPlaces) {
+        searchIndex = fuzzy.createSearchIndex(inPlaces, SEARCH_FIELDS);
+        searchIndexOf = inPlaces;
+      }
+      return new Map(searchIndex.search(q).map(h => [h.item.id, h.score]));
+    }
+
+    // Place name with the matched words in <mark>
+    function placeNameHtml(p) {
+      const name = p.name || `Place #${p.id}`;
+      return searchScores ? markHtml(name, fuzzy.matchRanges(name, searchText)) : escapeHtml(name);
+    }
 
-      const filtered = inPlaces.filter(p => matchesQuery(p, q));
-
-      for (const p of filtered) {
-        const title = p.name || `Place #${p.id}`;
-        const btcMapUrl = `https://btcmap.org/merchant/${encodeURIComponent(p.id)}`;
-
-        const popup = `
-          <div style="min-width:220px; max-width:340px;">
-            <div style="font-weight:800; margin-bottom:4px;">${escapeHtml(title)}</div>
-            ${p.address ? `<div style="font-size:13px; margin-bottom:6px;">${escapeHtml(p.address)}</div>` : ""}
-            <div style="color:#9db0c6; font-size:12.5px;">
-              ${p.icon ? `Category: ${escapeHtml(p.icon)}` : ""}
-              ${p.verified_at ? `<br/>Verified: ${escapeHtml(String(p.verified_at).slice(0, 10))}` : ""}
-            </div>
-            <div style="margin-top:8px; display:grid; gap:6px;">
-              ${p.website ? `<a href="${p.website}" target="_blank" rel="noopener noreferrer">Website</a>` : ""}
-              ${p.phone ? `<a href="tel:${encodeURIComponent(p.phone)}">Call</a>` : ""}
-              ${p.osm_url ? `<a href="${p.osm_url}" target="_blank" rel="noopener noreferrer">OpenStreetMap</a>` : ""}
-              <a href="${btcMapUrl}" target="_blank" rel="noopener noreferrer">View on BTC Map</a>
-            </div>
+    // ---------- URL state (shareable links) ----------
+    const initialParams = new URLSearchParams(window.location.search);
+
+    if (qEl) qEl.value = initialParams.get("q") || "";
+
+    // ?z=12&lat=39.76840&lon=-86.15800 → used instead of fitting the state (once)
+    let urlView = (() => {
+      const z = Number(initialParams.get("z"));
+      const lat = Number(initialParams.get("lat"));
+      const lon = Number(initialParams.get("lon"));
+      if (!initialParams.has("z") || !Number.isFinite(z) || !Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+      if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+      return { z: Math.max(0, Math.min(19, Math.round(z))), lat, lon };
+    })();
+
+    let pendingPlaceId = Number(initialParams.get("place")) || null; // opened once the place has loaded
+    let openPlaceId = null;
+    let viewParams = null; // { z, lat, lon } strings, kept up to date on moveend
+
+    const coord = (n) => String(Number(n.toFixed(5)));
+    if (urlView) viewParams = { z: String(urlView.z), lat: coord(urlView.lat), lon: coord(urlView.lon) };
+
+    // replaceState: typing, panning and ticking boxes shouldn't fill the back button.
+    // ?state= and any other parameter is left alone.
+    function writeUrlState() {
+      if (!live) return;
+      const u = new URL(window.location.href);
+      const set = (k, v) => { if (v) u.searchParams.set(k, v); else u.searchParams.delete(k); };
+
+      set("q", (qEl?.value || "").trim());
+      set("cat", [...selectedCategories].sort().join(","));
+      set("atms", showAtms ? "1" : "");
+      set("verified", verifiedWithin ? String(verifiedWithin) : "");
+      set("z", viewParams?.z);
+      set("lat", viewParams?.lat);
+      set("lon", viewParams?.lon);
+      set("place", String(openPlaceId ?? pendingPlaceId ?? ""));
+
+      u.search = u.search.replace(/%2C/gi, ","); // readable ?cat=a,b when shared
+      if (u.toString() !== window.location.href) window.history.replaceState(window.history.state, "", u.toString());
+    }
+
+    function rememberView() {
+      const c = map.getCenter();
+      viewParams = { z: String(map.getZoom()), lat: coord(c.lat), lon: coord(c.lng) };
+      writeUrlState();
+    }
+
+    // Shared link to a place: open it on the first render that shows it
+    function openPendingPlace() {
+      if (pendingPlaceId === null || !shownIds.has(pendingPlaceId)) return;
+
+      const id = pendingPlaceId;
+      pendingPlaceId = null;
+      openPlace(id);
+    }
+
+    function openPlace(id) {
+      const { marker } = markerById.get(id);
+      window.BitcoinIndianaMap.showOverlay("merchants"); // in case it was switched off in the layers control
+
+      // Inside a cluster the marker isn't on the map yet: zoom until it is
+      if (markersLayer.zoomToShowLayer) markersLayer.zoomToShowLayer(marker, () => marker.openPopup());
+      else {
+        map.setView(marker.getLatLng(), Math.max(map.getZoom(), 15));
+        marker.openPopup();
+      }
+    }
+
+    // ---------- List view ----------
+    // Same places as the map (render() passes its filtered list), sortable, LIST_PAGE_SIZE rows at a time
+    const LIST_PAGE_SIZE = 50;
+    const collator = new Intl.Collator(undefined, { sensitivity: "base", numeric: true });
+
+    let listSort = { key: "name", dir: 1 };
+    let listLimit = LIST_PAGE_SIZE;
+    let listFilterKey = "";  // q + facets the current listLimit belongs to
+    let listPlaces = [];     // last filtered list from render()
+
+    // "123 Main St, Indianapolis, IN 46204, USA" → "Indianapolis" (BTC Map only has the one address string)
+    function placeCity(p) {
+      const parts = String(p.address || "").split(",").map(x => x.trim()).filter(Boolean);
+      while (parts.length > 1 && /^(usa|united states|[A-Z]{2}(\s+\d{5}(-\d{4})?)?|\d{5}(-\d{4})?)$/i.test(parts[parts.length - 1])) {
+        parts.pop();
+      }
+      return parts.length > 1 ? parts[parts.length - 1] : "";
+    }
+
+    const LIST_COLUMNS = {
+      name: (p) => p.name || "",
+      category: (p) => categoryOf(p) ? categoryLabel(categoryOf(p)) : "",
+      city: placeCity,
+      verified: (p) => String(p.verified_at || "").slice(0, 10),
+      distance: (p) => nearKmById.get(p.id),
+      relevance: (p) => -(searchScores?.get(p.id) || 0) // best match first; no column, it's the order while searching
+    };
+
+    // Empty values sort last in either direction
+    function sortForList(places) {
+      const key = LIST_COLUMNS[listSort.key];
+      const empty = (k) => k === undefined || k === "";
+      return places
+        .map(p => ({ p, k: key(p) }))
+        .sort((a, b) => {
+          if (empty(a.k) || empty(b.k)) return (empty(a.k) ? 1 : 0) - (empty(b.k) ? 1 : 0);
+          const byKey = typeof a.k === "number" ? a.k - b.k : collator.compare(a.k, b.k);
+          return listSort.dir * byKey || collator.compare(a.p.name || "", b.p.name || "");
+        })
+        .map(x => x.p);
+    }
+
+    function renderList(places, filterKey) {
+      listPlaces = places;
+      if (!listRowsEl) return;
+
+      if (filterKey !== listFilterKey) {
+        listFilterKey = filterKey;
+        listLimit = LIST_PAGE_SIZE;
+      }
+
+      const rows = sortForList(places).slice(0, listLimit);
+
+      listRowsEl.innerHTML = rows.map(p => `
+        <tr>
+          <th scope="row"><button type="button" class="place-link" data-id="${p.id}">${placeNameHtml(p)}</button></th>
+          <td>${escapeHtml(LIST_COLUMNS.category(p))}</td>
+          <td>${escapeHtml(placeCity(p))}</td>
+          <td>${escapeHtml(LIST_COLUMNS.verified(p))}</td>
+          ${near ? `<td>${escapeHtml(geo.formatMiles(nearKmById.get(p.id)))}</td>` : ""}
+        </tr>`).join("") ||
+        `<tr><td colspan="${near ? 5 : 4}" class="muted">No places match.</td></tr>`;
+
+      if (listSummaryEl) {
+        listSummaryEl.textContent = places.length > rows.length
+          ? `${rows.length.toLocaleString()} of ${places.length.toLocaleString()}`
+          : `${places.length.toLocaleString()} ${places.length === 1 ? "place" : "places"}`;
+      }
+      if (listMoreEl) listMoreEl.hidden = places.length <= rows.length;
+
+      for (const th of listHeadEl?.querySelectorAll("th[data-sort]") || []) {
+        if (th.dataset.sort === "distance") th.hidden = !near;
+        const active = th.dataset.sort === listSort.key;
+        th.setAttribute("aria-sort", active ? (listSort.dir === 1 ? "ascending" : "descending") : "none");
+      }
+    }
+
+    // Arrow keys move between the rows' buttons (Home/End jump to the first/last one shown)
+    function onListKeydown(e) {
+      if (!["ArrowDown", "ArrowUp", "Home", "End"].includes(e.key)) return;
+      const buttons = [...listRowsEl.querySelectorAll(".place-link")];
+      const i = buttons.indexOf(document.activeElement);
+      if (i === -1) return;
+
+      const next = e.key === "Home" ? 0
+        : e.key === "End" ? buttons.length - 1
+        : Math.max(0, Math.min(buttons.length - 1, i + (e.key === "ArrowDown" ? 1 : -1)));
+      e.preventDefault();
+      buttons[next].focus();
+    }
+
+    // ---------- Near me ----------
+    let near = null;              // { lat, lon, label, km }
+    let nearLayer = null;         // radius circle
+    let nearKmById = new Map();   // place id → km from near, for places inside the radius
+
+    function setNear(center) {
+      if (!live) return;
+
+      nearLayer?.remove();
+      nearLayer = null;
+      near = center ? Object.assign({}, center, { km: (Number(nearMilesEl?.value) || 10) * geo.KM_PER_MILE }) : null;
+
+      if (near) {
+        nearLayer = L.circle([near.lat, near.lon], {
+          radius: near.km * 1000,
+          color: "#F7931A",
+          weight: 1.5,
+          fillOpacity: 0.06,
+          dashArray: "4 4",
+          interactive: false
+        }).addTo(map);
+        map.fitBounds(nearLayer.getBounds(), { padding: [14, 14] });
+        listSort = { key: "distance", dir: 1 };
+      } else if (listSort.key === "distance") {
+        listSort = { key: searchScores ? "relevance" : "name", dir: 1 };
+      }
+
+      if (btnNearClear) btnNearClear.hidden = !near;
+      render();
+
+      if (near) {
+        setStatus(
+          `${countEl?.textContent || 0} ${CONFIG.stateName} places within ${geo.formatMiles(near.km)} of ${near.label}, ` +
+          "closest first in the list."
+        );
+      }
+    }
+
+    async function showNear(findCenter, pendingMsg) {
+      setStatus(pendingMsg);
+      try {
+        geo = geo || await loadGeo();
+        setNear(await findCenter());
+      } catch (e) {
+        console.warn("Near me failed:", e);
+        setStatus(e?.message || String(e));
+      }
+    }
+
+    // ---------- Facets (mirrored in the URL) ----------
+    const selectedCategories = new Set(
+      (initialParams.get("cat") || "").split(",").map(s => s.trim()).filter(Boolean)
+    );
+    let showAtms = initialParams.get("atms") === "1" ||
+      [...selectedCategories].some(c => ATM_ICONS.has(c)); // a shared ?cat=local_atm should show ATMs
+
+    if (showAtmsEl) showAtmsEl.checked = showAtms;
+
+    let verifiedWithin = Number(initialParams.get("verified")); // months; 0 = show all
+    if (!VERIFIED_WITHIN_MONTHS.includes(verifiedWithin)) verifiedWithin = 0;
+    if (verifiedWithinEl) verifiedWithinEl.value = verifiedWithin ? String(verifiedWithin) : "";
+
+    // One checkbox per category present in `places` (search + ATM toggle applied), biggest first.
+    // Ticked categories stay listed even at 0 so they can be unticked.
+    function renderFacets(places) {
+      if (!facetsEl) return;
+
+      const counts = new Map();
+      for (const p of places) {
+        const c = categoryOf(p);
+        counts.set(c, (counts.get(c) || 0) + 1);
+      }
+      for (const c of selectedCategories) if (!counts.has(c)) counts.set(c, 0);
+
+      const rows = [...counts].sort((a, b) => b[1] - a[1] || categoryLabel(a[0]).localeCompare(categoryLabel(b[0])));
+
+      // Rebuilding on every keystroke would drop keyboard focus from the checkbox being toggled
+      const focused = document.activeElement?.closest?.("#facets") ? document.activeElement.value : null;
+
+      facetsEl.innerHTML = rows.length
+        ? rows.map(([c, n]) => `
+          <label class="facet">
+            <input type="checkbox" value="${escapeHtml(c)}"${selectedCategories.has(c) ? " checked" : ""} />
+            <span class="facet-name">${escapeHtml(categoryLabel(c))}</span>
+            <span class="facet-count">${n.toLocaleString()}</span>
+          </label>`).join("")
+        : '<div class="muted">No categories match.</div>';
+
+      if (focused !== null) {
+        const again = [...facetsEl.querySelectorAll("input")].find(i => i.value === focused);
+        again?.focus();
+      }
+    }
+
+    function placePopup(p) {
+      const title = p.name || `Place #${p.id}`;
+      const btcMapUrl = `https://btcmap.org/merchant/${encodeURIComponent(p.id)}`;
+
+      return `
+        <div style="min-width:220px; max-width:340px;">
+          <div style="font-weight:800; margin-bottom:4px;">${escapeHtml(title)}</div>
+          ${p.address ? `<div style="font-size:13px; margin-bottom:6px;">${escapeHtml(p.address)}</div>` : ""}
+          <div style="color:#9db0c6; font-size:12.5px;">
+            ${p.icon ? `Category: ${escapeHtml(p.icon)}` : ""}
+            <br/>${p.verified_at
+              ? `Verified: ${escapeHtml(String(p.verified_at).slice(0, 10))} (${escapeHtml(freshnessOf(p).label)} ago)`
+              : "Never verified on BTC Map"}
+            ${nearKmById.has(p.id) ? `<br/>${escapeHtml(geo.formatMiles(nearKmById.get(p.id)))} from ${escapeHtml(near.label)}` : ""}
+          </div>
+          <div style="margin-top:8px; display:grid; gap:6px;">
+            ${p.website ? `<a href="${p.website}" target="_blank" rel="noopener noreferrer">Website</a>` : ""}
+            ${p.phone ? `<a href="tel:${encodeURIComponent(p.phone)}">Call</a>` : ""}
+            ${p.osm_url ? `<a href="${p.osm_url}" target="_blank" rel="noopener noreferrer">OpenStreetMap</a>` : ""}
+            <a href="${btcMapUrl}" target="_blank" rel="noopener noreferrer">View on BTC Map</a>
           </div>
-        `;
+          ${reportBox(p)}
+        </div>
+      `;
+    }
+
+    // Reason picker + upstream links; the change handler below rewrites the links when the reason changes
+    function reportBox(p) {
+      const urls = reportUrls(p, REPORT_REASONS[0].key);
+      return `
+        <details class="report" data-id="${p.id}" style="margin-top:10px; font-size:13px;">
+          <summary style="cursor:pointer;">Report an issue</summary>
+          <div style="margin-top:6px; display:grid; gap:6px;">
+            <select class="report-reason" aria-label="What's wrong?">
+              ${REPORT_REASONS.map(r => `<option value="${r.key}">${escapeHtml(r.label)}</option>`).join("")}
+            </select>
+            <a class="report-btcmap" href="${escapeHtml(urls.btcmap)}" target="_blank" rel="noopener noreferrer">Verify or edit on BTC Map</a>
+            <a class="report-osm" href="${escapeHtml(urls.osmNote)}" target="_blank" rel="noopener noreferrer">Leave an OpenStreetMap note</a>
+          </div>
+        </details>
+      `;
+    }
+
+    // place id → { place, marker }; markers are built once per place object and reused across searches
+    const markerById = new Map();
+    const shownIds = new Set();
+    let markersBuiltFrom = null; // the inPlaces array markerById reflects
+
+    // Bring markerById in line with inPlaces: drop gone/changed places, build markers for new ones
+    function syncMarkers() {
+      if (markersBuiltFrom === inPlaces) return;
+      markersBuiltFrom = inPlaces;
+
+      const next = new Map(inPlaces.map(p => [p.id, p]));
+      const stale = [];
+      for (const [id, entry] of markerById) {
+        if (next.get(id) === entry.place) continue; // unchanged (sync keeps untouched objects)
+        if (shownIds.delete(id)) stale.push(entry.marker);
+        markerById.delete(id);
+      }
+      removeMarkers(stale);
+
+      for (const p of inPlaces) {
+        if (markerById.has(p.id)) continue;
+        const marker = L.marker([p.lat, p.lon], { title: p.name || `Place #${p.id}`, icon: freshnessIcons.get(freshnessOf(p).key) })
+          .bindPopup(() => placePopup(p)) // popup HTML is built on first open
+          .on("popupopen", () => {
+            openPlaceId = p.id;
+            writeUrlState();
+          })
+          .on("popupclose", () => {
+            if (openPlaceId !== p.id) return;
+            openPlaceId = null;
+            writeUrlState();
+          });
+        markerById.set(p.id, { place: p, marker });
+      }
+    }
 
-        L.marker([p.lat, p.lon], { title, icon: btcIcon })
-          .addTo(markersLayer)
-          .bindPopup(popup);
+    function render() {
+      if (!live) return;
+      const q = (qEl?.value || "").trim();
+      syncMarkers();
+
+      nearKmById = near ? new Map(geo.nearest(inPlaces, near, near.km).map(r => [r.item.id, r.km])) : new Map();
+
+      // Starting a search lists best matches first, ending one goes back to names; a clicked column stays
+      const wasSearching = Boolean(searchScores);
+      searchText = q;
+      searchScores = searchPlaces(q);
+      if (searchScores && !wasSearching && !near && listSort.key === "name") listSort = { key: "relevance", dir: 1 };
+      if (!searchScores && listSort.key === "relevance") listSort = { key: "name", dir: 1 };
+
+      // Facet counts reflect the search + ATM toggle + radius + freshness, not the ticked categories themselves
+      const candidates = inPlaces.filter(p =>
+        (!near || nearKmById.has(p.id)) && (showAtms || !isAtmCategory(p)) &&
+        isVerifiedWithin(p, verifiedWithin) && (searchScores ? searchScores.has(p.id) : matchesQuery(p, q)));
+      renderFacets(candidates);
+
+      const filtered = selectedCategories.size
+        ? candidates.filter(p => selectedCategories.has(categoryOf(p)))
+        : candidates;
+      const wanted = new Set(filtered.map(p => p.id));
+      renderList(filtered, `${q}|${[...selectedCategories].sort()}|${showAtms}|${verifiedWithin}`);
+
+      const toRemove = [];
+      for (const id of shownIds) {
+        if (wanted.has(id)) continue;
+        shownIds.delete(id);
+        toRemove.push(markerById.get(id).marker);
       }
 
+      const toAdd = [];
+      for (const id of wanted) {
+        if (shownIds.has(id)) continue;
+        shownIds.add(id);
+        toAdd.push(markerById.get(id).marker);
+      }
+
+      removeMarkers(toRemove);
+      addMarkers(toAdd);
+
       if (countEl) countEl.textContent = String(filtered.length);
       if (countNoteEl) countNoteEl.textContent = (filtered.length === 1) ? "location" : "locations";
+
+      writeUrlState();
+      openPendingPlace();
+    }
+
+    // Typing fires input per keystroke; render at most once per frame
+    let renderQueued = false;
+    function scheduleRender() {
+      if (renderQueued) return;
+      renderQueued = true;
+      requestAnimationFrame(() => {
+        renderQueued = false;
+        render();
+      });
+    }
+
+    function showAsOf(ts, saved) {
+      if (!live) return;
+      dataAsOf = ts;
+      dataIsSaved = saved;
+      if (!asOfEl) return;
+      asOfEl.hidden = !ts;
+      asOfEl.textContent = ts ? `${saved ? "Saved copy" : "BTC Map data"} as of ${formatAsOf(ts)}` : "";
     }
 
     // ---------- Loaders ----------
-    async function loadStatePolygon() {
-      setStatus(`Loading ${CONFIG.stateName} boundary…`);
+    function showStateOutline(boundary) {
+      if (!live) return;
 
-      const res = await fetch(GEOJSON_URL, {
-        headers: { "accept": "application/geo+json,application/json" }
-      });
-      if (!res.ok) throw new Error(`Failed to load ${CONFIG.stateName} boundary (HTTP ${res.status}).`);
+      const features = boundary?.type === "FeatureCollection" ? boundary.features : [boundary];
+      if (!Array.isArray(features) || features.length !== STATES.length) {
+        throw new Error(`Expected ${STATES.length} boundary feature(s).`);
+      }
 
-      const geo = await res.json();
-      if (geo.type === "Feature") stateFeature = geo;
-      else if (geo.type === "FeatureCollection" && Array.isArray(geo.features) && geo.features.length > 0) stateFeature = geo.features[0];
-      else throw new Error("State GeoJSON must be a Feature or FeatureCollection with at least one feature.");
+      const areas = features.map((feature, i) => ({ name: STATES[i].name, index: geo.indexFeature(feature) }));
+      stateBoundary = boundary;
+      stateAreas = areas;
+      stateBounds = {
+        minLon: Math.min(...areas.map(a => a.index.bounds.minLon)),
+        minLat: Math.min(...areas.map(a => a.index.bounds.minLat)),
+        maxLon: Math.max(...areas.map(a => a.index.bounds.maxLon)),
+        maxLat: Math.max(...areas.map(a => a.index.bounds.maxLat))
+      };
 
-      stateBounds = featureBounds(stateFeature);
+      stateOutlineLayer = L.geoJSON(boundary, { style: OUTLINE_STYLE }).addTo(map);
 
-      stateOutlineLayer = L.geoJSON(stateFeature, {
-        style: { color: "#F7931A", weight: 2, opacity: 0.65, fillOpacity: 0.04 }
-      }).addTo(map);
+      if (urlView) {
+        map.setView([urlView.lat, urlView.lon], urlView.z);
+        urlView = null;
+      } else {
+        map.fitBounds(stateOutlineLayer.getBounds(), { padding: [14, 14] });
+      }
+    }
 
-      map.fitBounds(stateOutlineLayer.getBounds(), { padding: [14, 14] });
+    // Paint the last saved copy immediately; returns false when there is none
+    async function showCachedState() {
+      const saved = await readCachedState(STATE_SLUG);
+      if (!saved || !saved.boundary || !Array.isArray(saved.places)) return false;
+
+      try {
+        showStateOutline(saved.boundary);
+      } catch (e) {
+        console.warn("Ignoring unusable saved boundary:", e);
+        return false;
+      }
+
+      snapshot = saved;
+      allFetched = saved.places;
+      inPlaces = saved.places;
+      showAsOf(saved.savedAt, true);
+      render();
+
+      setStatus(
+        `Showing ${inPlaces.length.toLocaleString()} saved places for ${CONFIG.stateName} ` +
+        `(as of ${formatAsOf(saved.savedAt)}). Refreshing from BTC Map…`
+      );
+      return true;
+    }
+
+    async function fetchStaticSnapshot(st) {
+      try {
+        const res = await fetch(`${SNAPSHOTS_BASE}${encodeURIComponent(st.slug)}.json`, { headers: { "accept": "application/json" } });
+        if (!res.ok) return null;
+        const doc = await res.json();
+        return (doc && doc.schemaVersion === 1 && Array.isArray(doc.places)) ? doc : null;
+      } catch (e) {
+        console.warn(`Static merchant snapshot unavailable (${st.slug}):`, e);
+        return null;
+      }
+    }
+
+    // No saved copy: try the build-time snapshot(s), then sync from the cursor like a saved copy.
+    // Regions need one per state; the oldest checkedAt/cursor wins so no state misses changes.
+    // checkedAt (the generator's last successful run; older files only have generatedAt) seeds fullAt, so a
+    // snapshot whose places haven't changed in weeks still counts as a recent full search.
+    async function showStaticSnapshot() {
+      const docs = await Promise.all(STATES.map(fetchStaticSnapshot));
+      if (docs.some(doc => !doc)) return false;
+
+      const checkedAt = Math.min(...docs.map(doc => Date.parse(doc.checkedAt || doc.generatedAt) || 0));
+      const sameFilters = docs.every((doc, i) => doc.geojsonUrl === STATES[i].geojsonUrl && !(doc.excludedIcons || []).length);
+      const cursor = docs.map(doc => doc.cursor).sort((a, b) => (Date.parse(a) || 0) - (Date.parse(b) || 0))[0];
+
+      const byId = new Map();
+      for (const doc of docs) for (const p of doc.places) if (!byId.has(p.id)) byId.set(p.id, p);
+      const places = [...byId.values()];
+
+      if (!stateBoundary) await loadStatePolygon();
+
+      snapshot = {
+        slug: STATE_SLUG,
+        stateName: CONFIG.stateName,
+        savedAt: checkedAt,
+        fullAt: checkedAt,
+        cursor,
+        filterKey: sameFilters ? FILTER_KEY : "",
+        fetchedCount: docs.reduce((n, doc) => n + (doc.fetchedCount || doc.places.length), 0),
+        boundary: stateBoundary,
+        places
+      };
+      allFetched = places;
+      inPlaces = places;
+      showAsOf(checkedAt, true);
+      render();
+
+      setStatus(
+        `Showing ${inPlaces.length.toLocaleString()} places for ${CONFIG.stateName} from the ${formatAsOf(checkedAt)} snapshot. ` +
+        "Refreshing from BTC Map…"
+      );
+      return true;
+    }
+
+    async function loadStatePolygon() {
+      setStatus(`Loading ${CONFIG.stateName} boundary…`);
+
+      const features = await Promise.all(STATES.map(st => loadBoundaryFeature(st.geojsonUrl, st.name)));
+      showStateOutline(features.length === 1 ? features[0] : { type: "FeatureCollection", features });
     }
 
     async function fetchCircle(circle) {
@@ -242,8 +1066,22 @@
       return data;
     }
 
+    // Like Promise.all(items.map(fn)) with at most `limit` requests in flight (regions have dozens of circles)
+    async function mapWithLimit(items, limit, fn) {
+      const results = new Array(items.length);
+      let next = 0;
+      const worker = async () => {
+        while (next < items.length) {
+          const i = next++;
+          results[i] = await fn(items[i]);
+        }
+      };
+      await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+      return results;
+    }
+
     async function loadPlacesViaSearch() {
-      if (!stateFeature || !stateBounds) throw new Error("State boundary not loaded.");
+      if (!stateBoundary || !stateBounds) throw new Error("State boundary not loaded.");
 
       if (!Array.isArray(COVERAGE) || COVERAGE.length === 0) {
         setStatus(`No coverage circles configured for ${CONFIG.stateName}.`);
@@ -255,7 +1093,8 @@
 
       setStatus(`Loading BTC Map places for ${CONFIG.stateName} (search)…`);
 
-      const results = await Promise.all(COVERAGE.map(fetchCircle));
+      const startedAt = Date.now();
+      const results = await mapWithLimit(COVERAGE, SEARCH_CONCURRENCY, fetchCircle);
       const flat = results.flat();
 
       const byId = new Map();
@@ -265,60 +1104,333 @@
       }
 
       allFetched = [...byId.values()];
+      inPlaces = allFetched.filter(isKeptPlace);
 
-      inPlaces = allFetched.filter(p => {
-        if (typeof p.lat !== "number" || typeof p.lon !== "number") return false;
-        if (isExcludedCategory(p)) return false;
-
-        const pt = [p.lon, p.lat];
-        if (!pointInBounds(pt, stateBounds)) return false;
-        return pointInFeature(pt, stateFeature);
-      });
+      const savedAt = Date.now();
+      showAsOf(savedAt, false);
 
       setStatus(
         `Fetched ${allFetched.length.toLocaleString()} unique places near ${CONFIG.stateName}. ` +
-        `${CONFIG.stateName}: ${inPlaces.length.toLocaleString()}.`
+        `${stateCountsText()}. ${freshnessText()}`
       );
       render();
+
+      // Search results may not carry updated_at; fall back to our own (skewed) clock
+      const cursor = latestUpdatedAt(allFetched, new Date(startedAt - SYNC_CLOCK_SKEW_MS).toISOString());
+      await saveSnapshot({ savedAt, fullAt: savedAt, cursor, fetchedCount: allFetched.length });
+    }
+
+    async function saveSnapshot(fields) {
+      snapshot = Object.assign({
+        slug: STATE_SLUG,
+        stateName: CONFIG.stateName,
+        filterKey: FILTER_KEY,
+        boundary: stateBoundary,
+        places: inPlaces
+      }, fields);
+      await writeCachedState(snapshot);
+    }
+
+    // ---------- Incremental sync ----------
+    function latestUpdatedAt(places, fallback) {
+      let latest = fallback || "";
+      for (const p of places) {
+        const t = typeof p?.updated_at === "string" ? p.updated_at : "";
+        if (t && Date.parse(t) > (Date.parse(latest) || 0)) latest = t;
+      }
+      return latest;
+    }
+
+    function canSyncIncrementally(snap) {
+      return !!snap &&
+        typeof snap.cursor === "string" && !Number.isNaN(Date.parse(snap.cursor)) &&
+        snap.filterKey === FILTER_KEY &&
+        Date.now() - (snap.fullAt || 0) < FULL_RESYNC_MS;
+    }
+
+    // Thrown when sync can't be trusted; the caller falls back to a full search
+    function needsFullSearch(message) {
+      const e = new Error(message);
+      e.needsFullSearch = true;
+      return e;
+    }
+
+    // All places changed (or deleted) since cursor, oldest first, following pages by updated_at
+    async function fetchChangesSince(cursor) {
+      const changes = [];
+      let since = cursor;
+
+      for (let page = 0; page < SYNC_MAX_PAGES; page++) {
+        const url = new URL(BTCMAP_PLACES_URL);
+        url.searchParams.set("updated_since", since);
+        url.searchParams.set("include_deleted", "true");
+        url.searchParams.set("fields", SYNC_FIELDS.join(","));
+        url.searchParams.set("limit", String(SYNC_PAGE_SIZE));
+
+        const res = await fetch(url.toString(), { headers: { "accept": "application/json" } });
+        if (!res.ok) throw new Error(`Sync failed HTTP ${res.status}`);
+
+        const data = await res.json();
+        if (!Array.isArray(data)) throw needsFullSearch("Unexpected sync response: expected an array");
+
+        changes.push(...data);
+        if (data.length < SYNC_PAGE_SIZE) return changes;
+
+        const next = latestUpdatedAt(data, since);
+        if (next === since) throw needsFullSearch("Sync page did not advance (many changes share one updated_at)");
+        since = next;
+      }
+
+      throw needsFullSearch(`More than ${SYNC_MAX_PAGES * SYNC_PAGE_SIZE} changes since ${cursor}`);
+    }
+
+    // Applies changes to the current places by id: deleted/moved-out places drop out
+    function applyChanges(places, changes) {
+      const byId = new Map(places.map(p => [p.id, p]));
+      const counts = { added: 0, updated: 0, removed: 0 };
+
+      for (const c of changes) {
+        if (!c || typeof c.id !== "number") continue;
+        const prev = byId.get(c.id);
+
+        // Changes only carry SYNC_FIELDS; keep anything else the search gave us
+        const merged = prev ? Object.assign({}, prev, c) : c;
+
+        if (c.deleted_at || !isKeptPlace(merged)) {
+          if (prev) {
+            byId.delete(c.id);
+            counts.removed++;
+          }
+          continue;
+        }
+
+        byId.set(c.id, merged);
+        if (!prev) counts.added++;
+        else if (prev.updated_at !== c.updated_at) counts.updated++; // updated_since is inclusive: skip re-sends
+      }
+
+      return { places: [...byId.values()], counts };
+    }
+
+    async function loadPlacesViaSync() {
+      const since = snapshot.savedAt;
+      setStatus(`Checking BTC Map for changes in ${CONFIG.stateName} since ${formatAsOf(since)}…`);
+
+      const changes = await fetchChangesSince(snapshot.cursor);
+      const { places, counts } = applyChanges(inPlaces, changes);
+
+      allFetched = places;
+      inPlaces = places;
+
+      const savedAt = Date.now();
+      showAsOf(savedAt, false);
+
+      setStatus(
+        `Synced ${CONFIG.stateName}: ${counts.added} added, ${counts.updated} updated, ${counts.removed} removed ` +
+        `since ${formatAsOf(since)}. ${stateCountsText()}. ${freshnessText()}`
+      );
+      render();
+
+      await saveSnapshot({
+        savedAt,
+        fullAt: snapshot.fullAt,
+        cursor: latestUpdatedAt(changes, snapshot.cursor),
+        fetchedCount: snapshot.fetchedCount
+      });
+    }
+
+    // Incremental when the saved snapshot allows it, full coverage search otherwise
+    async function syncPlaces() {
+      if (!canSyncIncrementally(snapshot)) {
+        await loadPlacesViaSearch();
+        return;
+      }
+
+      try {
+        await loadPlacesViaSync();
+      } catch (e) {
+        if (!e.needsFullSearch) throw e;
+        console.warn(`${e.message}; running a full search.`);
+        await loadPlacesViaSearch();
+      }
+    }
+
+    // Network failed: keep whatever is on screen and say how old it is
+    function reportRefreshFailure(e) {
+      console.error(e);
+      if (!dataAsOf) {
+        setStatus(e?.message || String(e));
+        return;
+      }
+      setStatus(
+        `Couldn't reach BTC Map (${e?.message || e}). ` +
+        `Showing ${inPlaces.length.toLocaleString()} ${dataIsSaved ? "saved " : ""}places as of ${formatAsOf(dataAsOf)}.`
+      );
     }
 
     // ---------- Events ----------
-    qEl?.addEventListener("input", render);
+    const { signal } = listeners;
+
+    qEl?.addEventListener("input", scheduleRender, { signal });
+
+    map.on("moveend", rememberView);
+
+    facetsEl?.addEventListener("change", (e) => {
+      const input = e.target;
+      if (!input || input.type !== "checkbox") return;
+      if (input.checked) selectedCategories.add(input.value);
+      else selectedCategories.delete(input.value);
+      writeUrlState();
+      render();
+    }, { signal });
+
+    showAtmsEl?.addEventListener("change", () => {
+      showAtms = showAtmsEl.checked;
+      if (!showAtms) for (const c of ATM_ICONS) selectedCategories.delete(c);
+      writeUrlState();
+      render();
+    }, { signal });
+
+    // Popups live inside the map container
+    mapEl?.addEventListener("change", (e) => {
+      const select = e.target?.closest?.(".report-reason");
+      const box = select?.closest(".report");
+      const entry = box && markerById.get(Number(box.dataset.id));
+      if (!entry) return;
+
+      const urls = reportUrls(entry.place, select.value);
+      box.querySelector(".report-btcmap").href = urls.btcmap;
+      box.querySelector(".report-osm").href = urls.osmNote;
+    }, { signal });
+
+    verifiedWithinEl?.addEventListener("change", () => {
+      verifiedWithin = Number(verifiedWithinEl.value) || 0;
+      writeUrlState();
+      render();
+    }, { signal });
 
     btnFit?.addEventListener("click", () => {
       if (stateOutlineLayer) map.fitBounds(stateOutlineLayer.getBounds(), { padding: [14, 14] });
-    });
+    }, { signal });
 
     btnReload?.addEventListener("click", async () => {
       try {
-        await loadPlacesViaSearch();
+        if (!stateBoundary) await loadStatePolygon();
+        await syncPlaces();
       } catch (e) {
-        console.error(e);
-        setStatus(e?.message || String(e));
+        reportRefreshFailure(e);
       }
-    });
+    }, { signal });
+
+    listRowsEl?.addEventListener("click", (e) => {
+      const btn = e.target.closest?.(".place-link");
+      if (!btn) return;
+      const id = Number(btn.dataset.id);
+      if (!markerById.has(id)) return;
+      mapEl?.scrollIntoView({ block: "nearest", behavior: "smooth" }); // phones: the map is above the list
+      openPlace(id);
+    }, { signal });
+
+    listRowsEl?.addEventListener("keydown", onListKeydown, { signal });
+
+    listHeadEl?.addEventListener("click", (e) => {
+      const th = e.target.closest?.("th[data-sort]");
+      if (!th) return;
+      const key = th.dataset.sort;
+      // Newest verification first on the first click; text columns start A→Z
+      listSort = listSort.key === key ? { key, dir: -listSort.dir } : { key, dir: key === "verified" ? -1 : 1 };
+      renderList(listPlaces, listFilterKey);
+    }, { signal });
+
+    listMoreEl?.addEventListener("click", () => {
+      listLimit += LIST_PAGE_SIZE;
+      renderList(listPlaces, listFilterKey);
+    }, { signal });
+
+    nearFormEl?.addEventListener("submit", (e) => {
+      e.preventDefault();
+      const query = (nearQEl?.value || "").trim();
+      if (query) showNear(() => geocodePlace(query), `Looking up ${query}…`);
+    }, { signal });
+
+    btnNearMe?.addEventListener("click", () => {
+      showNear(currentPosition, "Finding your location…");
+    }, { signal });
+
+    nearMilesEl?.addEventListener("change", () => {
+      if (near) setNear(near);
+    }, { signal });
+
+    btnNearClear?.addEventListener("click", () => {
+      if (nearQEl) nearQEl.value = "";
+      setNear(null);
+      setStatus(`Showing all of ${CONFIG.stateName}.`);
+    }, { signal });
+
+    // ---------- Teardown ----------
+    // In-flight loads may still finish (and save to IndexedDB); `live` keeps them off the page
+    function destroy() {
+      live = false;
+      listeners.abort();
+      map.off("moveend", rememberView);
+      map.closePopup();
+      markersLayer.clearLayers();
+      stateOutlineLayer?.remove();
+      nearLayer?.remove();
+      if (btnNearClear) btnNearClear.hidden = true;
+      if (asOfEl) asOfEl.hidden = true;
+      if (statusEl) statusEl.textContent = "";
+      if (listRowsEl) listRowsEl.innerHTML = "";
+      if (listSummaryEl) listSummaryEl.textContent = "";
+      if (listMoreEl) listMoreEl.hidden = true;
+    }
 
     // ---------- Boot ----------
     (async function boot() {
       try {
-        await loadStatePolygon();
-        await loadPlacesViaSearch();
-        setStatus(`${statusEl?.textContent || ""} Ready.`.trim());
+        geo = await loadGeo();
+        fuzzy = await loadFuzzySearch();
       } catch (e) {
         console.error(e);
-        setStatus(e?.message || String(e));
+        setStatus("Couldn't load the map's geo helpers (assets/js/lib/geo.mjs). Check your connection and reload.");
+        return;
+      }
+
+      const hasSaved = await showCachedState();
+      try {
+        if (!hasSaved && !(await showStaticSnapshot())) await loadStatePolygon();
+        await syncPlaces();
+        setStatus(`${statusEl?.textContent || ""} Ready.`.trim());
+
+        // The linked place is gone (or filtered out): don't keep sharing a dead ?place=
+        if (pendingPlaceId !== null) {
+          pendingPlaceId = null;
+          writeUrlState();
+        }
+      } catch (e) {
+        reportRefreshFailure(e);
       }
     })();
+
+    return { destroy };
+  }
+
+  // One running state at a time; each config from the router replaces the previous one
+  let current = null;
+
+  function switchState(config) {
+    current?.destroy();
+    current = startMerchantsMap(config) || null;
   }
 
-  // Wait for router to provide config
+  // Wait for router to provide config (first load and every state switch)
   window.addEventListener("bitcoinindiana:merchants-config", (e) => {
-    startMerchantsMap(e.detail);
-  }, { once: true });
+    switchState(e.detail);
+  });
 
   // If router already ran before this script executed (unlikely with defer, but safe),
   // start immediately.
   if (window.BITCOININDIANA_MAP_CONFIG && window.BITCOININDIANA_MAP_CONFIG.geojsonUrl) {
-    startMerchantsMap(window.BITCOININDIANA_MAP_CONFIG);
+    switchState(window.BITCOININDIANA_MAP_CONFIG);
   }
 })();
@@ -1,34 +1,92 @@
 // assets/js/meetupmap.js
-// Map + search for Indiana Bitcoin meetups from a local JSON file.
+// Map + search for Bitcoin meetups from local JSON files.
+//
+// State routing: /meetups/?state=<slug|code> (or a region / comma list) resolves against the merchants'
+// registry (/assets/data/merchant-states.json) via assets/js/lib/state-registry.mjs, like merchants-router.js.
+// The chosen view sets the outline, fit bounds, title/meta/canonical tags and the default filter (meetups in
+// or covering one of its states). ?state=all shows every meetup without an outline. Missing or unknown →
+// registry.default; the URL is canonicalized to slug form with replaceState. The dropdown (#stateSelect)
+// switches in place with pushState; back/forward switch the same way.
+//
+// Data sources (loaded in parallel, either may be missing):
+// - v1 region files listed in /assets/data/us-meetups/index.json
+//   (schemaVersion "1.0.0": meetups[] with venues[] and series[])
+// - legacy flat array in /assets/data/meetups.json (kept during the transition)
+//
+// Search: plain text matches anywhere, typo-tolerant and ranked by where it hit (assets/js/lib/fuzzy-search.mjs);
+// day:wed, state:KY, county:marion, freq:weekly, city:"st. louis" and name: match one field, -term / NOT term
+// exclude, OR separates alternatives (assets/js/lib/search-query.mjs). Exactly two letters is a state code.
+// The status line spells out how the query was read and names the best matches; popups mark the matched words.
+//
+// Deep links: the search (q), map view (z/lat/lon) and open meetup popup (meetup=<id>) are kept in the
+// URL with history.replaceState, and restored when the page is opened from such a link.
+//
+// Near me: "Near me" (Geolocation API) or a typed ZIP/city (OpenStreetMap Nominatim) draws a radius circle and
+// keeps meetups within N miles, closest first in the status line. Distances come from assets/js/lib/geo.mjs.
+// The location is never put in the URL.
+//
+// Report an issue: each meetup popup can open a prefilled GitHub issue (meetup id, name, data file,
+// coordinates and the chosen reason) against this site's repository.
+//
+// Shared map (assets/js/map-core.js): the Leaflet map, pin icons, boundary loading and escapeHtml come from
+// window.BitcoinIndianaMap; the meetup pins are its "meetups" overlay.
+//
+// Combined map (/map/, <body data-map="combined">): merchants-router.js and map.js own the page (search, near,
+// map view in the URL, state routing, outline). Meetups are one layer there: they follow the merchants' state
+// (the router's config event), skip the page controls and report in #meetupsStatus / #meetupsCount.
 //
 // Local testing:
 //   python3 -m http.server 8000
 //
 (function () {
   const BASE = new URL("..", window.location.href); // parent of /meetups/
-  const INDIANA_GEOJSON_URL = new URL("assets/data/indiana.geojson", BASE).toString();
+  const STATE_REGISTRY_URL = new URL("assets/js/lib/state-registry.mjs", BASE).toString();
   const MEETUPS_URL = new URL("assets/data/meetups.json", BASE).toString();
+  const US_MEETUPS_INDEX_URL = new URL("assets/data/us-meetups/index.json", BASE).toString();
+  const RECURRENCE_URL = new URL("assets/js/lib/recurrence.mjs", BASE).toString();
+  const CALENDARS_URL = new URL("assets/data/calendars/", BASE).toString(); // scripts/generate-calendars.mjs
+  const GEO_URL = new URL("assets/js/lib/geo.mjs", BASE).toString();
+  const SEARCH_QUERY_URL = new URL("assets/js/lib/search-query.mjs", BASE).toString();
+  const FUZZY_SEARCH_URL = new URL("assets/js/lib/fuzzy-search.mjs", BASE).toString();
+  const NOMINATIM_URL = "https://nominatim.openstreetmap.org/search";
+  const REPO_URL = "https://github.com/RelativelyIrrelevant/bitcoindiana.org";
+
+  const ALL_STATES = "all";         // ?state=all
+  const US_CENTER = [39.8, -98.6];  // fallback view when there's nothing to fit
+
+  // Map view + open popup belong to one state; they are dropped when switching (the search is kept)
+  const STATE_SCOPED_PARAMS = ["z", "lat", "lon", "meetup"];
+
+  // Fallback pin colors when a v1 file has no defaults.pinColors
+  const DEFAULT_PIN_COLORS = { meetup: "#f7931a", venue: "#ffcc00" };
+
+  const LAYER_MODE = document.body?.dataset.map === "combined";
 
   // ---------- DOM ----------
-  const qEl = document.getElementById("q");
-  const countEl = document.getElementById("count");
-  const countNoteEl = document.getElementById("countNote");
-  const statusEl = document.getElementById("status");
-  const btnFit = document.getElementById("btnFit");
-  const btnReload = document.getElementById("btnReload");
+  // Page controls belong to the merchants map on the combined map
+  const pageEl = (id) => LAYER_MODE ? null : document.getElementById(id);
+
+  const qEl = pageEl("q");
+  const countEl = document.getElementById(LAYER_MODE ? "meetupsCount" : "count");
+  const countNoteEl = pageEl("countNote");
+  const statusEl = document.getElementById(LAYER_MODE ? "meetupsStatus" : "status");
+  const btnFit = pageEl("btnFit");
+  const stateSelectEl = pageEl("stateSelect");
+  const pageIntroEl = pageEl("pageIntro");
+  const btnReload = pageEl("btnReload");
+  const nearFormEl = pageEl("nearForm");
+  const nearQEl = pageEl("nearQ");
+  const nearMilesEl = pageEl("nearMiles");
+  const btnNearMe = pageEl("btnNearMe");
+  const btnNearClear = pageEl("btnNearClear");
 
   function setStatus(msg) {
     if (statusEl) statusEl.textContent = msg || "";
   }
 
-  function escapeHtml(str) {
-    return String(str ?? "").replace(/[&<>"']/g, s => ({
-      "&": "&amp;",
-      "<": "&lt;",
-      ">": "&gt;",
-      '"': "&quot;",
-      "'": "&#39;"
-    }[s]));
+  function setText(id, value) {
+    const el = document.getElementById(id);
+    if (el) el.textContent = value;
   }
 
   function googleMapsUrlForAddress(address) {
@@ -61,6 +119,20 @@
     });
   }
 
+  // Only allow plain hex colors from data files into inline styles
+  function safeColor(v, fallback) {
+    const s = asText(v);
+    return /^#[0-9a-f]{3,8}$/i.test(s) ? s : fallback;
+  }
+
+  function isActive(record) {
+    return asText(record?.status).toLowerCase() === "active";
+  }
+
+  function isFiniteGeo(geo) {
+    return !!geo && Number.isFinite(geo.lat) && Number.isFinite(geo.lon);
+  }
+
   // If the user types exactly 2 letters (optionally with punctuation/spaces),
   // treat it as a state code filter (exact match) rather than substring search.
   // Example: "IN" should match Indiana only, not "bitcoIN" in meetup names.
@@ -80,130 +152,689 @@
     return;
   }
 
-  // ---------- Leaflet init ----------
-  const map = L.map("map", { zoomControl: true });
+  if (!window.BitcoinIndianaMap) {
+    setStatus("Map helpers failed to load (map-core.js). Map unavailable.");
+    return;
+  }
 
-  L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", {
-    maxZoom: 19,
-    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
-  }).addTo(map);
+  const { escapeHtml, markHtml, markerIcon, loadBoundaryFeature, OUTLINE_STYLE } = window.BitcoinIndianaMap;
 
-  const markersLayer = L.layerGroup().addTo(map);
+  // ---------- Leaflet init ----------
+  const { map } = window.BitcoinIndianaMap.getMap();
 
-  const btcIcon = L.divIcon({
-    className: "",
-    html: '<div class="btc-marker" aria-hidden="true"></div>',
-    iconSize: [18, 18],
-    iconAnchor: [9, 9],
-    popupAnchor: [0, -10]
-  });
+  const markersLayer = L.layerGroup();
+  window.BitcoinIndianaMap.addOverlay("meetups", "Meetups", markersLayer);
 
-  let indianaOutlineLayer = null;
+  // Legacy meetups have no map.pin: plain orange drop; v1 pins carry their own kind/color
+  function pinIcon(pin) {
+    if (!pin) return markerIcon("meetup");
+    return markerIcon(pin.kind === "venue" ? "venue" : "meetup", { color: pin.color });
+  }
+
+  const outlineLayer = L.featureGroup().addTo(map); // boundaries of the chosen state(s); map.js draws them on /map/
   let meetups = [];
+  let recurrence = null; // assets/js/lib/recurrence.mjs (loaded at boot; popups fall back to schedule text)
+  let geo = null;        // assets/js/lib/geo.mjs (loaded at boot; only "Near me" needs it)
+  let searchQuery = null; // assets/js/lib/search-query.mjs (loaded at boot; plain substring search without it)
+  let fuzzy = null;       // assets/js/lib/fuzzy-search.mjs (loaded at boot; text terms match as substrings without it)
+
+  // ---------- URL state (shareable links) ----------
+  const initialParams = new URLSearchParams(window.location.search);
+
+  if (qEl && initialParams.has("q")) qEl.value = initialParams.get("q");
+
+  // ?z=9&lat=39.76840&lon=-86.15800 → used instead of fitting the state (once)
+  function readUrlView(params) {
+    const z = Number(params.get("z"));
+    const lat = Number(params.get("lat"));
+    const lon = Number(params.get("lon"));
+    if (!params.has("z") || !Number.isFinite(z) || !Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+    if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+    return { z: Math.max(0, Math.min(19, Math.round(z))), lat, lon };
+  }
+
+  let urlView = LAYER_MODE ? null : readUrlView(initialParams);
+  let pendingMeetupId = initialParams.get("meetup") || null; // opened by the first render that shows it
+  let openMeetupId = null;
+  let viewParams = null; // { z, lat, lon } strings, kept up to date on moveend
+  let viewShown = false; // the map has had a center + zoom
+  const meetupMarkers = new Map(); // meetup id → marker, for the current render
+
+  const coord = (n) => String(Number(n.toFixed(5)));
+  const paramsFromView = (v) => v ? { z: String(v.z), lat: coord(v.lat), lon: coord(v.lon) } : null;
+  viewParams = paramsFromView(urlView);
+
+  // replaceState: typing and panning shouldn't fill the back button; other parameters are left alone
+  function writeUrlState() {
+    const u = new URL(window.location.href);
+    const set = (k, v) => { if (v) u.searchParams.set(k, v); else u.searchParams.delete(k); };
+
+    if (!LAYER_MODE) {
+      set("q", (qEl?.value || "").trim());
+      set("z", viewParams?.z);
+      set("lat", viewParams?.lat);
+      set("lon", viewParams?.lon);
+    }
+    set("meetup", openMeetupId ?? pendingMeetupId);
+
+    if (u.toString() !== window.location.href) window.history.replaceState(window.history.state, "", u.toString());
+  }
+
+  function rememberView() {
+    const c = map.getCenter();
+    viewParams = { z: String(map.getZoom()), lat: coord(c.lat), lon: coord(c.lng) };
+    writeUrlState();
+  }
+
+  function showInitialView() {
+    if (urlView) {
+      map.setView([urlView.lat, urlView.lon], urlView.z);
+      urlView = null;
+    } else {
+      fitView();
+    }
+    viewShown = true;
+  }
+
+  // The state outline, or every meetup shown when there is none (all states)
+  function fitView() {
+    const pts = meetups.filter(inView).map(m => [m.lat, m.lon]);
+    const bounds = outlineLayer.getLayers().length ? outlineLayer.getBounds() : pts.length ? L.latLngBounds(pts) : null;
+
+    if (bounds?.isValid()) map.fitBounds(bounds, { padding: [14, 14] });
+    else map.setView(US_CENTER, 4);
+  }
+
+  function openPendingMeetup() {
+    if (pendingMeetupId === null || !meetupMarkers.has(pendingMeetupId)) return;
+    const marker = meetupMarkers.get(pendingMeetupId);
+    pendingMeetupId = null;
+    marker.openPopup();
+  }
 
   // ---------- Loaders ----------
-  async function loadIndianaPolygon() {
-    setStatus("Loading Indiana boundary…");
+  async function loadRecurrence() {
+    try {
+      recurrence = await import(RECURRENCE_URL);
+    } catch (e) {
+      console.error("Recurrence engine failed to load:", e);
+      recurrence = null;
+    }
+  }
 
+  async function loadSearchQuery() {
     try {
-      const res = await fetch(INDIANA_GEOJSON_URL, {
-        headers: { "accept": "application/geo+json,application/json" }
-      });
-      if (!res.ok) throw new Error(`Failed to load Indiana boundary (HTTP ${res.status}).`);
+      searchQuery = await import(SEARCH_QUERY_URL);
+    } catch (e) {
+      console.error("Search syntax failed to load:", e);
+      searchQuery = null;
+    }
+  }
 
-      const geo = await res.json();
-      const feature =
-        geo.type === "Feature" ? geo :
-        (geo.type === "FeatureCollection" && geo.features?.[0]) ? geo.features[0] :
-        null;
+  async function loadFuzzySearch() {
+    try {
+      fuzzy = await import(FUZZY_SEARCH_URL);
+    } catch (e) {
+      console.error("Fuzzy search failed to load:", e);
+      fuzzy = null;
+    }
+  }
 
-      if (!feature) throw new Error("indiana.geojson must be a GeoJSON Feature or FeatureCollection with at least one feature.");
+  async function loadGeo() {
+    try {
+      geo = await import(GEO_URL);
+    } catch (e) {
+      console.error("Geo helpers failed to load:", e);
+      geo = null;
+    }
+  }
 
-      indianaOutlineLayer = L.geoJSON(feature, {
-        style: { color: "#F7931A", weight: 2, opacity: 0.65, fillOpacity: 0.04 }
-      }).addTo(map);
+  // ---------- State routing (?state=) ----------
+  let stateRegistry = null; // { states, regions, resolve, paramKey } (null: registry missing → all states)
+  let view = null;          // registry view { slug, name, code, states } for ?state=; null for all states
+  let viewSeq = 0;          // the latest switch wins over slower outline loads
+
+  async function loadStateRegistry() {
+    setStatus("Loading states…");
 
-      map.fitBounds(indianaOutlineLayer.getBounds(), { padding: [14, 14] });
+    try {
+      const { REGISTRY_URL, createStateResolver, paramKey } = await import(STATE_REGISTRY_URL);
+      const res = await fetch(REGISTRY_URL, { cache: "no-store" });
+      if (!res.ok) throw new Error(`Failed to load merchant-states.json (HTTP ${res.status})`);
+      stateRegistry = { ...createStateResolver(await res.json()), paramKey };
     } catch (e) {
-      console.error("Indiana boundary load failed:", e);
-      setStatus("Failed to load Indiana boundary.");
+      console.error("State registry failed to load:", e);
+      stateRegistry = null;
+    }
+  }
+
+  function getStateParam() {
+    return new URL(window.location.href).searchParams.get("state");
+  }
+
+  function resolveView(rawParam) {
+    if (!stateRegistry || stateRegistry.paramKey(rawParam) === ALL_STATES) return null;
+    return stateRegistry.resolve(rawParam);
+  }
+
+  const viewSlug = (v) => v ? v.slug : ALL_STATES;
+
+  // ?state=in → ?state=indiana (replaceState, so back doesn't bounce between the two)
+  function canonicalizeStateParam() {
+    if (!stateRegistry || stateRegistry.paramKey(getStateParam()) === viewSlug(view)) return;
+    const u = new URL(window.location.href);
+    u.searchParams.set("state", viewSlug(view));
+    u.search = u.search.replace(/%2C/gi, ",");
+    window.history.replaceState(window.history.state, "", u.toString());
+  }
+
+  // The default filter: meetups located in, or covering, one of the view's states
+  function inView(m) {
+    if (!view) return true;
+    const codes = view.states.map(st => String(st.code).toUpperCase());
+    return codes.includes(m.state_code) || (m.states || []).some(s => codes.includes(String(s).toUpperCase()));
+  }
+
+  // <select id="stateSelect">: All states, then regions, then states
+  function populateStateSelect() {
+    if (!stateSelectEl || !stateRegistry) return;
+
+    stateSelectEl.innerHTML = "";
+
+    const addOption = (parent, value, label) => {
+      const opt = document.createElement("option");
+      opt.value = value;
+      opt.textContent = label;
+      parent.appendChild(opt);
+    };
+    const addGroup = (label, entries) => {
+      const group = document.createElement("optgroup");
+      group.label = label;
+      for (const entry of entries) addOption(group, entry.slug, entry.name);
+      stateSelectEl.appendChild(group);
+    };
+
+    addOption(stateSelectEl, ALL_STATES, "All states");
+    if (stateRegistry.regions.length) addGroup("Regions", stateRegistry.regions);
+    addGroup("States", stateRegistry.states);
+  }
+
+  // SEO, page text, fit button and dropdown for the current view
+  function showStatePage() {
+    const slug = viewSlug(view);
+
+    document.title = view ? `${view.name} Meetups | bitcoINdiana` : "Meetups | bitcoINdiana";
+    document.querySelector('meta[name="description"]')?.setAttribute("content", view
+      ? `A map of Bitcoin meetups that meet regularly in ${view.name} (${view.code}).`
+      : "A map of Bitcoin meetups that meet regularly across the United States.");
+    document.querySelector('link[rel="canonical"]')
+      ?.setAttribute("href", `${window.location.origin}/meetups/?state=${encodeURIComponent(slug)}`);
+
+    setText("pageTitle", view ? `Bitcoin ${view.name} Meetups` : "Bitcoin Meetups");
+    if (pageIntroEl) {
+      const where = view
+        ? `<a href="/meetups/?state=${encodeURIComponent(slug)}">${escapeHtml(view.name)}</a>`
+        : `<a href="/meetups/?state=${ALL_STATES}">every state we list</a>`;
+      pageIntroEl.innerHTML =
+        `Map of recurring Bitcoin meetups in ${where}. Please confirm details from the meetup before traveling. ` +
+        'Return (Back Home Again in) <a href="/meetups/?state=indiana">Indiana</a>.';
+    }
+
+    if (btnFit) btnFit.textContent = view ? `Fit ${view.name}` : "Fit all";
+
+    if (stateSelectEl && stateRegistry) {
+      // A comma-list view (?state=indiana,ohio) isn't in the dropdown: add it so the select can show it
+      if (![...stateSelectEl.options].some(o => o.value === slug)) {
+        const opt = document.createElement("option");
+        opt.value = slug;
+        opt.textContent = view.name;
+        stateSelectEl.insertBefore(opt, stateSelectEl.firstChild);
+      }
+      if (stateSelectEl.value !== slug) stateSelectEl.value = slug;
+    }
+  }
+
+  // Boundaries of the view's states (none for all states); false when a newer switch took over
+  async function loadOutlines(seq) {
+    const features = await Promise.all((view?.states || []).map(async (st) => {
+      try {
+        return await loadBoundaryFeature(st.geojsonUrl, st.name);
+      } catch (e) {
+        console.error(`${st.name} boundary load failed:`, e);
+        return null;
+      }
+    }));
+    if (seq !== viewSeq) return false;
+
+    outlineLayer.clearLayers();
+    for (const feature of features.filter(Boolean)) {
+      L.geoJSON(feature, { style: OUTLINE_STYLE }).addTo(outlineLayer);
+    }
+    if (features.includes(null)) setStatus(`Failed to load the ${view.name} boundary.`);
+    return true;
+  }
+
+  // Switch in place (dropdown or back/forward); the URL already holds the new state
+  async function switchState(next) {
+    view = next;
+    const seq = ++viewSeq;
+
+    map.closePopup();
+    const params = new URLSearchParams(window.location.search);
+    urlView = readUrlView(params);
+    viewParams = paramsFromView(urlView);
+    openMeetupId = null;
+    pendingMeetupId = params.get("meetup") || null;
+
+    showStatePage();
+    render();
+
+    if (await loadOutlines(seq)) showInitialView();
+  }
+
+  // Combined map: same states as the merchants map; it owns the outline and the map view
+  function viewFromConfig(config) {
+    if (!config?.stateName) return null;
+    const states = Array.isArray(config.states) && config.states.length
+      ? config.states
+      : [{ code: config.stateCode, name: config.stateName }];
+    return { slug: config.stateSlug, name: config.stateName, code: config.stateCode, states };
+  }
+
+  function followMerchantsState(config) {
+    view = viewFromConfig(config);
+
+    map.closePopup();
+    openMeetupId = null;
+    pendingMeetupId = new URLSearchParams(window.location.search).get("meetup") || null;
+
+    if (meetups.length) map.whenReady(render);
+  }
+
+  // Legacy flat record (assets/data/meetups.json) → internal meetup shape
+  function normalizeLegacyMeetup(m) {
+    // Physical state (single)
+    const stateLegacy = normalizeStateCode(m.state);
+    const stateCode = normalizeStateCode(m.state_code) || stateLegacy;
+    const stateName = asText(m.state_name);
+
+    // Coverage states (array)
+    const states = normalizeStringArray(m.states).map(normalizeStateCode).filter(Boolean);
+    const statesFinal = (() => {
+      const set = new Set(states);
+      if (stateCode) set.add(stateCode);
+      return [...set];
+    })();
+
+    // Physical city (single) + coverage cities (array)
+    const city = asText(m.city);
+    const cities = normalizeStringArray(m.cities);
+    const citiesFinal = (() => {
+      const set = new Map(); // lower -> original
+      for (const c of cities) set.set(c.toLowerCase(), c);
+      if (city) set.set(city.toLowerCase(), city);
+      return [...set.values()];
+    })();
+
+    return {
+      id: asText(m.id) || `${asText(m.name)}-${m.lat}-${m.lon}`,
+      name: asText(m.name) || "Bitcoin Meetup",
+      schedule: asText(m.schedule),
+      day: asText(m.day),
+      frequency: asText(m.frequency),
+      venue: asText(m.venue),
+      address: asText(m.address),
+
+      city,
+      county: asText(m.county),
+      zip: asText(m.zip),
+
+      // legacy + new
+      state: stateLegacy || stateCode,
+      state_code: stateCode,
+      state_name: stateName,
+
+      // coverage / aliases
+      states: statesFinal,
+      cities: citiesFinal,
+
+      lat: m.lat,
+      lon: m.lon,
+      notes: asText(m.notes),
+      links: Array.isArray(m.links) ? m.links.filter(Boolean).map(l => ({
+        type: asText(l.type),
+        label: asText(l.label),
+        url: asText(l.url)
+      })) : [],
+
+      // v1-only fields (kept empty so render/search don't need to branch)
+      addressCta: "",
+      rsvpUrl: "",
+      precision: "exact",
+      pin: null,
+      venues: [],
+      series: [],
+      calendarUrl: "",
+
+      source: "assets/data/meetups.json"
+    };
+  }
+
+  // ---------- v1 schema helpers ----------
+  const WEEKDAY_LABELS = {
+    sunday: "Sunday", monday: "Monday", tuesday: "Tuesday", wednesday: "Wednesday",
+    thursday: "Thursday", friday: "Friday", saturday: "Saturday"
+  };
+
+  function weekdayLabel(v) {
+    return WEEKDAY_LABELS[asText(v).toLowerCase()] || "";
+  }
+
+  function ordinalLabel(n) {
+    if (n === -1) return "Last";
+    const suffix = (n % 10 === 1 && n !== 11) ? "st" : (n % 10 === 2 && n !== 12) ? "nd" : (n % 10 === 3 && n !== 13) ? "rd" : "th";
+    return `${n}${suffix}`;
+  }
+
+  // "19:00" → "7:00 PM"
+  function clockLabel(hhmm) {
+    const m = /^(\d{1,2}):(\d{2})$/.exec(asText(hhmm));
+    if (!m) return "";
+    const h = Number(m[1]);
+    return `${((h + 11) % 12) + 1}:${m[2]} ${h < 12 ? "AM" : "PM"}`;
+  }
+
+  // Human-readable frequency + weekday(s) for a series recurrence block
+  function describeRecurrence(r) {
+    const type = asText(r?.type);
+    const interval = Number.isInteger(r?.interval) && r.interval > 1 ? r.interval : 1;
+
+    if (type === "monthly_nth_weekday") {
+      return {
+        frequency: interval === 1 ? "Monthly" : `Every ${interval} months`,
+        days: [weekdayLabel(r.weekday)].filter(Boolean),
+        text: `${ordinalLabel(r.nth)} ${weekdayLabel(r.weekday)}`
+      };
+    }
+
+    if (type === "weekly") {
+      const days = (Array.isArray(r.byWeekday) ? r.byWeekday : []).map(weekdayLabel).filter(Boolean);
+      return {
+        frequency: interval === 1 ? "Weekly" : `Every ${interval} weeks`,
+        days,
+        text: days.map(d => `${d}s`).join(" & ")
+      };
+    }
+
+    if (type === "semimonthly") {
+      const rules = (Array.isArray(r.rules) ? r.rules : []).filter(x => x && x.kind === "nth_weekday");
+      const days = normalizeStringArray(rules.map(x => weekdayLabel(x.weekday)));
+      return {
+        frequency: "Twice monthly",
+        days,
+        text: rules.map(x => `${ordinalLabel(x.nth)} ${weekdayLabel(x.weekday)}`).join(" & ")
+      };
+    }
+
+    return { frequency: "", days: [], text: "" };
+  }
+
+  function v1AddressText(address) {
+    if (!address) return "";
+    const street = [address.line1, address.line2].map(asText).filter(Boolean).join(", ");
+    const region = asText(address.region?.abbr);
+    const cityLine = [asText(address.city), [region, asText(address.postalCode)].filter(Boolean).join(" ")]
+      .filter(Boolean)
+      .join(", ");
+    return [street, cityLine].filter(Boolean).join(", ");
+  }
+
+  // ---------- Venue privacy ----------
+  // Private venues (homes, members-only spaces) never get an exact pin, street address or maps link.
+  // Coordinates are snapped to a grid (2 decimals ≈ 1 km, 3 ≈ 110 m) and drawn as an area circle.
+  // Same rule as scripts/lib/venue-privacy.mjs (validator, .ics feeds): change both together.
+  const GEO_DECIMALS = { approximate: 3, city_level: 2 };
+  const AREA_RADIUS_M = { approximate: 400, city_level: 2500 };
+
+  function isPrivateVenue(v) {
+    const p = v?.privacy || {};
+    return v?.space === "private" ||
+      p.showExactAddressOnMap === false ||
+      p.addressDisclosure === "rsvp_required" ||
+      p.addressDisclosure === "on_request";
+  }
+
+  // Private venues are at least city_level unless they ask for "approximate"
+  function venuePrecision(v) {
+    const precision = asText(v?.privacy?.geoPrecision);
+    if (!isPrivateVenue(v)) return precision in GEO_DECIMALS ? precision : "exact";
+    return precision === "approximate" ? "approximate" : "city_level";
+  }
+
+  function coarsen(n, precision) {
+    const d = GEO_DECIMALS[precision];
+    if (d === undefined) return n;
+    const f = 10 ** d;
+    return Math.round(n * f) / f;
+  }
+
+  // Street-free address text for private venues: "Bedford, IN"
+  function v1PublicAddressText(v) {
+    if (!isPrivateVenue(v)) return v1AddressText(v?.address);
+    return v1AddressText({ ...v?.address, line1: null, line2: null, postalCode: null });
+  }
+
+  function v1AddressCta(v) {
+    if (!isPrivateVenue(v)) return "";
+    return v?.privacy?.addressDisclosure === "on_request" ? "Address on request" : "RSVP for address";
+  }
+
+  // Where the "RSVP for address" call to action points: the meetup's own page, if it has one
+  const RSVP_LINK_TYPES = ["meetup", "website", "linktree"];
+
+  function rsvpUrl(links) {
+    for (const t of RSVP_LINK_TYPES) {
+      const l = links.find(x => x.type.toLowerCase() === t);
+      if (l) return l.url;
+    }
+    return links[0]?.url || "";
+  }
+
+  function v1Links(links) {
+    if (!Array.isArray(links)) return [];
+    return links
+      .filter(l => l && asText(l.url))
+      .map(l => ({ type: asText(l.type), label: asText(l.handle) || asText(l.label), url: asText(l.url) }));
+  }
+
+  // v1 meetup (us-meetups/*.json) → internal meetup shape, or null if hidden
+  function normalizeV1Meetup(m, defaults) {
+    if (!m || !isActive(m)) return null;
+    if (m.map?.enabled === false || !isFiniteGeo(m.map?.geo)) return null;
+
+    const pinColors = Object.assign({}, DEFAULT_PIN_COLORS, defaults?.pinColors || {});
+
+    const stateCode = normalizeStateCode(m.location?.region?.abbr);
+    const city = asText(m.location?.city);
+    const nearby = Array.isArray(m.map?.nearbyCities) ? m.map.nearbyCities : [];
+
+    const states = [...new Set([stateCode, ...nearby.map(c => normalizeStateCode(c?.regionAbbr))].filter(Boolean))];
+    const cities = normalizeStringArray([city, ...nearby.map(c => c?.city)]);
+
+    const venuesAll = (Array.isArray(m.venues) ? m.venues : []).filter(isActive);
+    const venueBySlug = new Map(venuesAll.map(v => [asText(v.slug), v]));
+
+    const series = (Array.isArray(m.series) ? m.series : [])
+      .filter(isActive)
+      .filter(s => s.visibility?.discoverableOnMap !== false)
+      .map(s => {
+        const rec = describeRecurrence(s.recurrence);
+        const venue = venueBySlug.get(asText(s.venueSlug)) || null;
+        const start = clockLabel(s.time?.start);
+        return {
+          slug: asText(s.slug),
+          name: asText(s.name),
+          type: asText(s.type),
+          description: asText(s.description),
+          timeZone: asText(s.timeZone),
+          venueSlug: venue ? asText(venue.slug) : "",
+          venueName: venue ? asText(venue.name) : "",
+          rsvpRequired: s.visibility?.rsvpRequired === true,
+          frequency: rec.frequency,
+          days: rec.days,
+          schedule: [rec.frequency, rec.text, start].filter(Boolean).join(" | "),
+          raw: s
+        };
+      });
+
+    const venues = venuesAll
+      .filter(v => v.map?.enabled !== false && isFiniteGeo(v.geo))
+      .map(v => ({
+        slug: asText(v.slug),
+        name: asText(v.name) || "Venue",
+        category: asText(v.category),
+        address: v1PublicAddressText(v),
+        addressCta: v1AddressCta(v),
+        precision: venuePrecision(v),
+        lat: coarsen(v.geo.lat, venuePrecision(v)),
+        lon: coarsen(v.geo.lon, venuePrecision(v)),
+        links: v1Links(v.links),
+        pin: { kind: "venue", color: safeColor(v.map?.pin?.color, pinColors.venue) },
+        series: series.filter(s => s.venueSlug === asText(v.slug)).map(s => s.name).filter(Boolean)
+      }));
+
+    // Primary venue: the one used by the first series, else the first active venue
+    const primaryVenue = venueBySlug.get(series[0]?.venueSlug) || venuesAll[0] || null;
+    const links = v1Links(m.links);
+
+    // The meetup pin is never more precise than a private venue it meets at
+    const declared = asText(m.map?.geoPrecision);
+    const precision = venuesAll.some(v => isPrivateVenue(v) && series.some(s => s.venueSlug === asText(v.slug)))
+      ? (declared === "approximate" ? "approximate" : "city_level")
+      : (declared in GEO_DECIMALS ? declared : "exact");
+
+    return {
+      id: asText(m.slug) || `${asText(m.name)}-${m.map.geo.lat}-${m.map.geo.lon}`,
+      name: asText(m.name) || "Bitcoin Meetup",
+      schedule: series.map(s => s.name ? `${s.name}: ${s.schedule}` : s.schedule).join("\n"),
+      day: normalizeStringArray(series.flatMap(s => s.days)).join(" | "),
+      frequency: normalizeStringArray(series.map(s => s.frequency)).join(" | "),
+      venue: primaryVenue ? asText(primaryVenue.name) : "",
+      address: primaryVenue ? v1PublicAddressText(primaryVenue) : "",
+      addressCta: primaryVenue ? v1AddressCta(primaryVenue) : "",
+      rsvpUrl: rsvpUrl(links), // only shown next to a private venue's address
+
+      city,
+      county: asText(m.location?.county),
+      zip: asText(m.location?.postalCode),
+
+      state: stateCode,
+      state_code: stateCode,
+      state_name: asText(m.location?.region?.name),
+
+      states,
+      cities,
+
+      precision,
+      lat: coarsen(m.map.geo.lat, precision),
+      lon: coarsen(m.map.geo.lon, precision),
+      notes: asText(m.description),
+      links,
+
+      pin: { kind: "meetup", color: safeColor(m.map?.pin?.color, pinColors.meetup) },
+      venues,
+      series,
+
+      // scripts/generate-calendars.mjs writes a file only when an active series passes calendarExportProblem()
+      calendarUrl: asText(m.slug) && recurrence &&
+        (Array.isArray(m.series) ? m.series : []).some(s => isActive(s) && !recurrence.calendarExportProblem(s))
+        ? new URL(`meetups/${encodeURIComponent(asText(m.slug))}.ics`, CALENDARS_URL).toString() : "",
+
+      source: "" // set by loadV1RegionFile
+    };
+  }
+
+  async function loadLegacyMeetups() {
+    const res = await fetch(MEETUPS_URL, { headers: { "accept": "application/json" } });
+    if (!res.ok) throw new Error(`Failed to load meetups.json (HTTP ${res.status}).`);
+
+    const data = await res.json();
+    if (!Array.isArray(data)) throw new Error("meetups.json must be an array of meetup objects.");
+
+    return data
+      .filter(m => m && Number.isFinite(m.lat) && Number.isFinite(m.lon))
+      .map(normalizeLegacyMeetup);
+  }
+
+  async function loadV1RegionFile(url) {
+    const res = await fetch(url, { headers: { "accept": "application/json" } });
+    if (!res.ok) throw new Error(`Failed to load ${url} (HTTP ${res.status}).`);
+
+    const doc = await res.json();
+    if (!doc || !/^1\./.test(asText(doc.schemaVersion)) || !Array.isArray(doc.meetups)) {
+      throw new Error(`${url} is not a v1 meetups file (schemaVersion 1.x with a meetups array).`);
     }
+
+    // legacy.id (scripts/migrate-meetups-v1.mjs) supersedes the meetups.json record, even when hidden
+    const legacyIds = doc.meetups.map(m => asText(m?.legacy?.id)).filter(Boolean);
+
+    // Repo path of the file, for issue reports ("assets/data/us-meetups/us-in.json")
+    const source = url.startsWith(BASE.href) ? url.slice(BASE.href.length) : url;
+
+    return {
+      meetups: doc.meetups
+        .map(m => normalizeV1Meetup(m, doc.defaults))
+        .filter(Boolean)
+        .map(m => Object.assign(m, { source })),
+      legacyIds
+    };
+  }
+
+  async function loadV1Meetups() {
+    const res = await fetch(US_MEETUPS_INDEX_URL, { headers: { "accept": "application/json" } });
+    if (!res.ok) throw new Error(`Failed to load us-meetups/index.json (HTTP ${res.status}).`);
+
+    const index = await res.json();
+    const files = Array.isArray(index?.files) ? index.files : [];
+
+    const results = await Promise.allSettled(
+      files.map(f => loadV1RegionFile(new URL(f, US_MEETUPS_INDEX_URL).toString()))
+    );
+
+    const out = { meetups: [], legacyIds: new Set() };
+    for (const r of results) {
+      if (r.status === "fulfilled") {
+        out.meetups.push(...r.value.meetups);
+        for (const id of r.value.legacyIds) out.legacyIds.add(id);
+      } else {
+        console.error("Meetups region file failed:", r.reason);
+      }
+    }
+    return out;
   }
 
   async function loadMeetups() {
     setStatus("Loading meetups…");
 
-    try {
-      const res = await fetch(MEETUPS_URL, { headers: { "accept": "application/json" } });
-      if (!res.ok) throw new Error(`Failed to load meetups.json (HTTP ${res.status}).`);
-
-      const data = await res.json();
-      if (!Array.isArray(data)) throw new Error("meetups.json must be an array of meetup objects.");
-
-      meetups = data
-        .filter(m => m && Number.isFinite(m.lat) && Number.isFinite(m.lon))
-        .map(m => {
-          // Physical state (single)
-          const stateLegacy = normalizeStateCode(m.state);
-          const stateCode = normalizeStateCode(m.state_code) || stateLegacy;
-          const stateName = asText(m.state_name);
-
-          // Coverage states (array)
-          const states = normalizeStringArray(m.states).map(normalizeStateCode).filter(Boolean);
-          const statesFinal = (() => {
-            const set = new Set(states);
-            if (stateCode) set.add(stateCode);
-            return [...set];
-          })();
-
-          // Physical city (single) + coverage cities (array)
-          const city = asText(m.city);
-          const cities = normalizeStringArray(m.cities);
-          const citiesFinal = (() => {
-            const set = new Map(); // lower -> original
-            for (const c of cities) set.set(c.toLowerCase(), c);
-            if (city) set.set(city.toLowerCase(), city);
-            return [...set.values()];
-          })();
-
-          return {
-            id: asText(m.id) || `${asText(m.name)}-${m.lat}-${m.lon}`,
-            name: asText(m.name) || "Bitcoin Meetup",
-            schedule: asText(m.schedule),
-            day: asText(m.day),
-            frequency: asText(m.frequency),
-            venue: asText(m.venue),
-            address: asText(m.address),
-
-            city,
-            county: asText(m.county),
-            zip: asText(m.zip),
-
-            // legacy + new
-            state: stateLegacy || stateCode,
-            state_code: stateCode,
-            state_name: stateName,
-
-            // coverage / aliases
-            states: statesFinal,
-            cities: citiesFinal,
-
-            lat: m.lat,
-            lon: m.lon,
-            notes: asText(m.notes),
-            links: Array.isArray(m.links) ? m.links.filter(Boolean).map(l => ({
-              type: asText(l.type),
-              label: asText(l.label),
-              url: asText(l.url)
-            })) : []
-          };
-        });
+    const [v1, legacy] = await Promise.allSettled([loadV1Meetups(), loadLegacyMeetups()]);
 
-      setStatus(`Loaded ${meetups.length} meetup(s).`);
-    } catch (e) {
-      console.error("Meetups load failed:", e);
+    if (v1.status === "rejected") console.error("v1 meetups load failed:", v1.reason);
+    if (legacy.status === "rejected") console.error("Meetups load failed:", legacy.reason);
+
+    if (v1.status === "rejected" && legacy.status === "rejected") {
+      meetups = [];
       setStatus("Failed to load meetups data.");
+      return;
     }
+
+    const migrated = v1.status === "fulfilled" ? v1.value.legacyIds : new Set();
+
+    meetups = [
+      ...(v1.status === "fulfilled" ? v1.value.meetups : []),
+      ...(legacy.status === "fulfilled" ? legacy.value.filter(m => !migrated.has(m.id)) : [])
+    ];
+
+    setStatus(`Loaded ${meetups.length} meetup(s).`);
   }
 
   // ---------- Search ----------
@@ -224,6 +855,10 @@
       ...(m.states || []),
       ...(m.cities || []),
 
+      // v1: every venue + series name, not just the primary one
+      ...(m.venues || []).map(v => `${v.name} ${v.address}`),
+      ...(m.series || []).map(s => `${s.name} ${s.type}`),
+
       m.notes,
       linkText
     ]
@@ -232,19 +867,229 @@
       .toLowerCase();
   }
 
-  function matchesQuery(m, qRaw) {
+  // Field prefixes understood by the search box (assets/js/lib/search-query.mjs has the syntax)
+  const SEARCH_FIELDS = ["day", "state", "city", "county", "freq", "name"];
+  const SEARCH_ALIASES = { frequency: "freq", st: "state", days: "day" };
+  const SEARCH_LABELS = { freq: "frequency" };
+
+  // "wed", "Weds", "thurs" → that weekday; m.day is "Wednesday" or, for v1 series, "Wednesday | Thursday"
+  function matchesDay(m, v) {
+    return asText(m.day).toLowerCase().split("|").map(asText)
+      .some(d => d && (d.startsWith(v) || (v.length > 3 && v.startsWith(d.slice(0, 3)))));
+  }
+
+  // Plain-text terms are typo-tolerant and ranked: name, then venue, then place, then schedule, then the rest
+  const TEXT_FIELDS = [
+    { get: (m) => m.name, weight: 3 },
+    { get: (m) => [m.venue, ...(m.venues || []).map(v => v.name)], weight: 2 },
+    { get: (m) => [m.city, m.county, m.state_name, m.state_code, ...(m.states || []), ...(m.cities || [])], weight: 1.5 },
+    { get: (m) => [m.schedule, m.day, m.frequency, ...(m.series || []).map(s => `${s.name} ${s.type}`)], weight: 1 },
+    {
+      get: (m) => [m.address, m.zip, ...(m.venues || []).map(v => v.address), m.notes,
+        ...(m.links || []).map(l => `${l.type} ${l.label} ${l.url}`)],
+      weight: 0.5
+    }
+  ];
+
+  let textIndex = null;       // over meetups, rebuilt when meetups is replaced
+  let textIndexOf = null;
+  let textScores = new Map(); // text term value → Map(meetup → score), for the current render
+
+  function scoreTextTerms(query) {
+    textScores = new Map();
+    if (!fuzzy) return;
+    if (textIndexOf !== meetups) {
+      textIndex = fuzzy.createSearchIndex(meetups, TEXT_FIELDS);
+      textIndexOf = meetups;
+    }
+    for (const t of query.groups.flat()) {
+      if (t.field || textScores.has(t.value)) continue;
+      textScores.set(t.value, new Map(textIndex.search(t.value).map(h => [h.item, h.score])));
+    }
+  }
+
+  // The text terms a meetup is looked for by (negated ones don't rank or highlight)
+  const wantedText = (query) => query.groups.flat().filter(t => !t.field && !t.negate).map(t => t.value);
+
+  function relevance(m, query) {
+    return wantedText(query).reduce((sum, v) => sum + (textScores.get(v)?.get(m) || 0), 0);
+  }
+
+  // One term, ignoring term.negate (matchQuery applies it)
+  function matchesTerm(term, m) {
+    const v = asText(term.value).toLowerCase();
+    const has = (values) => values.some(x => asText(x).toLowerCase().includes(v));
+
+    switch (term.field) {
+      case "day": return matchesDay(m, v);
+      case "state": return [m.state_code, m.state_name, ...(m.states || [])].some(x => asText(x).toLowerCase() === v);
+      case "city": return has([m.city, ...(m.cities || [])]);
+      case "county": return has([m.county]);
+      case "freq": return has([m.frequency]);
+      case "name": return has([m.name]);
+      default: return textScores.has(term.value) ? textScores.get(term.value).has(m) : meetupHaystack(m).includes(v);
+    }
+  }
+
+  // Parsed once per render. Without the syntax module the whole box is one text term.
+  function parseSearch(qRaw) {
     const q = asText(qRaw);
-    if (!q) return true;
+    if (!q) return { groups: [] };
 
     // State-code filter (2 letters)
     const stateCodeQuery = parseTwoLetterStateCodeQuery(q);
-    if (stateCodeQuery) {
-      if ((m.state_code || "").toUpperCase() === stateCodeQuery) return true;
-      return (m.states || []).some(s => (s || "").toUpperCase() === stateCodeQuery);
+    if (stateCodeQuery) return { groups: [[{ field: "state", value: stateCodeQuery, negate: false }]] };
+
+    if (!searchQuery) return { groups: [[{ field: null, value: q, negate: false }]] };
+    return searchQuery.parseQuery(q, { fields: SEARCH_FIELDS, aliases: SEARCH_ALIASES });
+  }
+
+  function matchesQuery(m, query) {
+    if (!query.groups.length) return true;
+    if (!searchQuery) return matchesTerm(query.groups[0][0], m);
+    return searchQuery.matchQuery(query, m, matchesTerm);
+  }
+
+  // For the status line: state "KY" and not day "mon"
+  function describeSearch(query) {
+    if (searchQuery) return searchQuery.describeQuery(query, SEARCH_LABELS);
+    const t = query.groups[0][0];
+    return t.field ? `${t.field} "${t.value}"` : `"${t.value}"`;
+  }
+
+  // ---------- Near me ----------
+  let near = null;              // { lat, lon, label, km }
+  let nearLayer = null;         // radius circle (on the map itself: render() clears markersLayer)
+  let nearKmById = new Map();   // meetup id → km from near, for meetups inside the radius
+
+  function currentPosition() {
+    return new Promise((resolve, reject) => {
+      if (!navigator.geolocation) {
+        reject(new Error("Location isn't available in this browser. Type a ZIP code or city instead."));
+        return;
+      }
+      navigator.geolocation.getCurrentPosition(
+        (pos) => resolve({ lat: pos.coords.latitude, lon: pos.coords.longitude, label: "your location" }),
+        (err) => reject(new Error(err.code === 1
+          ? "Location permission was denied. Type a ZIP code or city instead."
+          : "Couldn't get your location. Type a ZIP code or city instead.")),
+        { enableHighAccuracy: false, timeout: 10000, maximumAge: 5 * 60 * 1000 }
+      );
+    });
+  }
+
+  // ZIP code or "city, ST" → { lat, lon, label } (US only)
+  async function geocodePlace(query) {
+    const url = new URL(NOMINATIM_URL);
+    url.searchParams.set("q", query);
+    url.searchParams.set("format", "jsonv2");
+    url.searchParams.set("countrycodes", "us");
+    url.searchParams.set("limit", "1");
+
+    const res = await fetch(url.toString(), { headers: { "accept": "application/json" } });
+    if (!res.ok) throw new Error(`Location lookup failed (HTTP ${res.status}).`);
+
+    const [hit] = await res.json();
+    if (!hit) throw new Error(`No US location found for "${query}".`);
+    return { lat: Number(hit.lat), lon: Number(hit.lon), label: query };
+  }
+
+  function setNear(center) {
+    nearLayer?.remove();
+    nearLayer = null;
+    near = center ? Object.assign({}, center, { km: (Number(nearMilesEl?.value) || 10) * geo.KM_PER_MILE }) : null;
+
+    if (near) {
+      nearLayer = L.circle([near.lat, near.lon], {
+        radius: near.km * 1000,
+        color: "#F7931A",
+        weight: 1.5,
+        fillOpacity: 0.06,
+        dashArray: "4 4",
+        interactive: false
+      }).addTo(map);
+      map.fitBounds(nearLayer.getBounds(), { padding: [14, 14] });
+    }
+
+    if (btnNearClear) btnNearClear.hidden = !near;
+    render();
+  }
+
+  async function showNear(findCenter, pendingMsg) {
+    if (!geo) {
+      setStatus("Near me is unavailable: the geo helpers failed to load. Reload the page to try again.");
+      return;
     }
+    setStatus(pendingMsg);
+    try {
+      setNear(await findCenter());
+    } catch (e) {
+      console.warn("Near me failed:", e);
+      setStatus(e?.message || String(e));
+    }
+  }
+
+  // "Showing 3 meetup(s) within 10 mi of 46201: A (1.2 mi), B (4.0 mi), C (9.8 mi)."
+  function nearStatus(filtered) {
+    const closest = filtered
+      .slice(0, 5)
+      .map(m => `${m.name} (${geo.formatMiles(nearKmById.get(m.id))})`);
+    const more = filtered.length > closest.length ? `, +${filtered.length - closest.length} more` : "";
+
+    return `Showing ${filtered.length} meetup(s) within ${geo.formatMiles(near.km)} of ${near.label}` +
+      (closest.length ? `: ${closest.join(", ")}${more}.` : ".");
+  }
+
+  // ---------- Report an issue (GitHub) ----------
+  const REPORT_REASONS = [
+    { key: "inactive", label: "No longer meets" },
+    { key: "schedule", label: "Wrong day or time" },
+    { key: "location", label: "Wrong venue or location" },
+    { key: "links", label: "Broken or missing link" },
+    { key: "other", label: "Something else" }
+  ];
+
+  function meetupLink(m) {
+    const u = new URL(window.location.href);
+    u.searchParams.set("meetup", m.id);
+    return u.toString();
+  }
+
+  function reportIssueUrl(m, reasonKey) {
+    const reason = REPORT_REASONS.find(r => r.key === reasonKey) || REPORT_REASONS[0];
 
-    // Normal substring search
-    return meetupHaystack(m).includes(q.toLowerCase());
+    const body = [
+      `**Problem:** ${reason.label}`,
+      "",
+      `- Meetup: ${m.name}`,
+      `- Id: \`${m.id}\``,
+      `- Data file: \`${m.source}\``,
+      `- Map pin: ${m.lat}, ${m.lon}`,
+      `- Link: ${meetupLink(m)}`,
+      "",
+      "**What should it say instead?**",
+      ""
+    ].join("\n");
+
+    const url = new URL(`${REPO_URL}/issues/new`);
+    url.searchParams.set("title", `Meetup correction: ${m.name} (${reason.label.toLowerCase()})`);
+    url.searchParams.set("body", body);
+    return url.toString();
+  }
+
+  // Reason picker + issue link; the change handler under Events rewrites the link when the reason changes
+  function renderReportBox(m) {
+    return `
+      <details class="report" data-id="${escapeHtml(m.id)}" style="margin-top:10px; font-size:13px;">
+        <summary style="cursor:pointer;">Report an issue</summary>
+        <div style="margin-top:6px; display:grid; gap:6px;">
+          <select class="report-reason" aria-label="What's wrong?">
+            ${REPORT_REASONS.map(r => `<option value="${r.key}">${escapeHtml(r.label)}</option>`).join("")}
+          </select>
+          <a class="report-github" href="${escapeHtml(reportIssueUrl(m, REPORT_REASONS[0].key))}" target="_blank" rel="noopener noreferrer">Open a GitHub issue</a>
+        </div>
+      </details>
+    `;
   }
 
   // ---------- Rendering ----------
@@ -262,14 +1107,106 @@
     return `<div style="margin-top:8px; display:grid; gap:6px;">${rows.join("")}</div>`;
   }
 
+  // v1 series → "Next: Tue Mar 3, 7:00 PM" per series (computed in the series' time zone).
+  // Empty when the engine is unavailable or nothing is scheduled, so callers fall back to m.schedule.
+  function nextOccurrenceLines(m) {
+    if (!recurrence || !m.series?.length) return [];
+
+    const venueNames = new Map(m.venues.map(v => [v.slug, v.name]));
+    const lines = [];
+
+    for (const s of m.series) {
+      const [next] = recurrence.nextOccurrences(s.raw, 1);
+      if (!next) {
+        if (s.schedule) lines.push(s.name ? `${s.name}: ${s.schedule}` : s.schedule);
+        continue;
+      }
+
+      let line = `Next: ${recurrence.formatOccurrence(next)}`;
+      if (next.overridden && next.venueSlug !== s.venueSlug && venueNames.has(next.venueSlug)) {
+        line += ` at ${venueNames.get(next.venueSlug)}`;
+      }
+      if (next.note) line += ` (${next.note})`;
+      lines.push(s.name ? `${s.name} — ${line}` : line);
+    }
+
+    return lines;
+  }
+
+  // Exact addresses link to Google Maps; private ones show the city plus an RSVP call to action
+  function renderAddress(address, cta, ctaUrl) {
+    if (!address && !cta) return "";
+    if (!cta) {
+      return `<div style="margin-bottom:6px;"><strong>Address:</strong><br/><a href="${googleMapsUrlForAddress(address)}" target="_blank" rel="noopener noreferrer">${escapeHtml(address)}</a></div>`;
+    }
+
+    const action = ctaUrl
+      ? `<a href="${escapeHtml(ctaUrl)}" target="_blank" rel="noopener noreferrer">${escapeHtml(cta)}</a>`
+      : escapeHtml(cta);
+    return `<div style="margin-bottom:6px;"><strong>Address:</strong><br/>${address ? `${escapeHtml(address)} (approximate area)<br/>` : ""}${action}</div>`;
+  }
+
+  // Approximate-area circle used instead of an exact pin
+  function renderArea(lat, lon, precision, color) {
+    return L.circle([lat, lon], {
+      radius: AREA_RADIUS_M[precision] || AREA_RADIUS_M.city_level,
+      color,
+      weight: 1.5,
+      opacity: 0.8,
+      fillOpacity: 0.12,
+      dashArray: "4 4"
+    }).addTo(markersLayer);
+  }
+
+  // v1 venues get their own (smaller) pin that points back to the meetup
+  function renderVenueMarker(m, v) {
+    const popup = `
+      <div style="min-width:220px; max-width:360px;">
+        <div style="font-weight:800; margin-bottom:4px;">${escapeHtml(v.name)}</div>
+        <div style="margin-bottom:6px; color:#9db0c6; font-size:12.5px;">Venue for ${escapeHtml(m.name)}</div>
+
+        ${v.series.length ? `<div style="margin-bottom:6px;"><strong>Hosts:</strong><br/>${v.series.map(escapeHtml).join("<br/>")}</div>` : ""}
+        ${renderAddress(v.address, v.addressCta, m.rsvpUrl)}
+
+        ${renderLinks(v.links)}
+      </div>
+    `;
+
+    if (v.precision !== "exact") {
+      renderArea(v.lat, v.lon, v.precision, v.pin.color).bindPopup(popup);
+      return;
+    }
+
+    L.marker([v.lat, v.lon], { title: `${v.name} (${m.name})`, icon: pinIcon(v.pin) })
+      .addTo(markersLayer)
+      .bindPopup(popup);
+  }
+
   function render() {
     const q = (qEl?.value || "").trim();
 
     markersLayer.clearLayers();
-    const filtered = meetups.filter(m => matchesQuery(m, q));
+    meetupMarkers.clear();
+    const query = parseSearch(q);
+    scoreTextTerms(query);
+    let filtered = meetups.filter(m => inView(m) && matchesQuery(m, query));
 
-    for (const m of filtered) {
-      const whenLine = m.schedule || [m.frequency, m.day].filter(Boolean).join(" ");
+    nearKmById = new Map();
+    if (near) {
+      const hits = geo.nearest(filtered, near, near.km);
+      nearKmById = new Map(hits.map(r => [r.item.id, r.km]));
+      filtered = hits.map(r => r.item);
+    }
+
+    // Best text match first (unless near: closest first); the top few sit above pins they overlap
+    const ranked = !near && wantedText(query).some(v => textScores.has(v));
+    if (ranked) {
+      filtered = filtered.map(m => ({ m, r: relevance(m, query) })).sort((a, b) => b.r - a.r).map(x => x.m);
+    }
+    const markWords = ranked ? wantedText(query).join(" ") : "";
+
+    for (const [rank, m] of filtered.entries()) {
+      const whenLine = nextOccurrenceLines(m).join("\n") || m.schedule || [m.frequency, m.day].filter(Boolean).join(" ");
 
       const whereParts = [];
       if (m.city) whereParts.push(m.city);
@@ -278,42 +1215,124 @@
 
       const popup = `
         <div style="min-width:220px; max-width:360px;">
-          <div style="font-weight:800; margin-bottom:6px;">${escapeHtml(m.name)}</div>
+          <div style="font-weight:800; margin-bottom:6px;">${markWords ? markHtml(m.name, fuzzy.matchRanges(m.name, markWords)) : escapeHtml(m.name)}</div>
 
           ${whereLine ? `<div style="margin-bottom:6px; color:#9db0c6; font-size:12.5px;">${escapeHtml(whereLine)}</div>` : ""}
+          ${nearKmById.has(m.id) ? `<div style="margin-bottom:6px; color:#9db0c6; font-size:12.5px;">${escapeHtml(geo.formatMiles(nearKmById.get(m.id)))} from ${escapeHtml(near.label)}</div>` : ""}
 
-          ${whenLine ? `<div style="margin-bottom:6px;"><strong>When:</strong><br/>${escapeHtml(whenLine)}</div>` : ""}
+          ${whenLine ? `<div style="margin-bottom:6px;"><strong>When:</strong><br/>${escapeHtml(whenLine).replace(/\n/g, "<br/>")}</div>` : ""}
           ${m.venue ? `<div style="margin-bottom:6px;"><strong>Where:</strong><br/>${escapeHtml(m.venue)}</div>` : ""}
-          ${m.address ? `<div style="margin-bottom:6px;"><strong>Address:</strong><br/><a href="${googleMapsUrlForAddress(m.address)}" target="_blank" rel="noopener noreferrer">${escapeHtml(m.address)}</a></div>` : ""}
+          ${renderAddress(m.address, m.addressCta, m.rsvpUrl)}
 
           ${renderLinks(m.links)}
+          ${m.calendarUrl ? `<div style="margin-top:8px;"><a href="${escapeHtml(m.calendarUrl)}" download>Add to calendar (.ics)</a></div>` : ""}
 
           ${m.notes ? `<div style="margin-top:8px; color:#9db0c6; font-size:12.5px;">${escapeHtml(m.notes)}</div>` : ""}
+          ${renderReportBox(m)}
         </div>
       `;
 
-      L.marker([m.lat, m.lon], { title: m.name, icon: btcIcon })
+      // City-level / approximate meetups keep a (snapped) pin so they stay clickable, plus the area
+      if (m.precision !== "exact") renderArea(m.lat, m.lon, m.precision, m.pin?.color || DEFAULT_PIN_COLORS.meetup);
+
+      const marker = L.marker([m.lat, m.lon], { title: m.name, icon: pinIcon(m.pin), zIndexOffset: ranked && rank < 3 ? 1000 : 0 })
         .addTo(markersLayer)
-        .bindPopup(popup);
+        .bindPopup(popup)
+        .on("popupopen", () => {
+          openMeetupId = m.id;
+          writeUrlState();
+        })
+        .on("popupclose", () => {
+          if (openMeetupId !== m.id) return;
+          openMeetupId = null;
+          writeUrlState();
+        });
+      meetupMarkers.set(m.id, marker);
+
+      for (const v of m.venues) renderVenueMarker(m, v);
     }
 
     if (countEl) countEl.textContent = String(filtered.length);
     if (countNoteEl) countNoteEl.textContent = (filtered.length === 1) ? "meetup" : "meetups";
 
-    // Optional: show helpful status for state filtering
-    const stateCodeQuery = parseTwoLetterStateCodeQuery(q);
-    if (stateCodeQuery) {
-      setStatus(`Filtering by state code: ${stateCodeQuery}. Showing ${filtered.length} meetup(s).`);
+    // Spell out how the search was read (fields, OR, negation)
+    if (near) {
+      setStatus(nearStatus(filtered));
+    } else if (view && !q && !filtered.length) {
+      setStatus(`No meetups in ${view.name} yet. Choose "All states" to see every meetup.`);
+    } else if (query.groups.length) {
+      const best = ranked && filtered.length
+        ? ` Best match${filtered.length > 1 ? "es" : ""}: ${filtered.slice(0, 3).map(m => m.name).join(", ")}.`
+        : "";
+      setStatus(`Searching for ${describeSearch(query)}. Showing ${filtered.length} meetup(s)${view ? ` in ${view.name}` : ""}.${best}`);
     } else {
-      setStatus(`Showing ${filtered.length} meetup(s).`);
+      setStatus(`Showing ${filtered.length} meetup(s)${view ? ` in ${view.name}` : ""}.`);
     }
+
+    writeUrlState();
+    openPendingMeetup();
   }
 
   // ---------- Events ----------
   qEl?.addEventListener("input", render);
 
-  btnFit?.addEventListener("click", () => {
-    if (indianaOutlineLayer) map.fitBounds(indianaOutlineLayer.getBounds(), { padding: [14, 14] });
+  if (!LAYER_MODE) map.on("moveend", rememberView);
+
+  btnFit?.addEventListener("click", fitView);
+
+  // Dropdown → new history entry + in-place switch (no reload)
+  stateSelectEl?.addEventListener("change", () => {
+    const next = resolveView(stateSelectEl.value);
+    if (viewSlug(next) === viewSlug(view)) return;
+
+    const u = new URL(window.location.href);
+    u.searchParams.set("state", viewSlug(next));
+    for (const k of STATE_SCOPED_PARAMS) u.searchParams.delete(k);
+    u.search = u.search.replace(/%2C/gi, ",");
+    window.history.pushState({ state: viewSlug(next) }, "", u.toString());
+
+    switchState(next);
+  });
+
+  // Back/forward: the URL holds that entry's state (and its view, kept there by writeUrlState)
+  if (!LAYER_MODE) {
+    window.addEventListener("popstate", () => {
+      const next = resolveView(getStateParam());
+      if (viewSlug(next) !== viewSlug(view)) switchState(next);
+    });
+  }
+
+  // Combined map: the router's config (first load, dropdown, back/forward) carries the merchants' state
+  if (LAYER_MODE) {
+    window.addEventListener("bitcoinindiana:merchants-config", (e) => followMerchantsState(e.detail));
+  }
+
+  nearFormEl?.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const query = (nearQEl?.value || "").trim();
+    if (query) showNear(() => geocodePlace(query), `Looking up ${query}…`);
+  });
+
+  btnNearMe?.addEventListener("click", () => {
+    showNear(currentPosition, "Finding your location…");
+  });
+
+  nearMilesEl?.addEventListener("change", () => {
+    if (near) setNear(near);
+  });
+
+  btnNearClear?.addEventListener("click", () => {
+    if (nearQEl) nearQEl.value = "";
+    setNear(null);
+  });
+
+  // Popups live inside the map container
+  map.getContainer().addEventListener("change", (e) => {
+    const select = e.target?.closest?.(".report-reason");
+    const box = select?.closest(".report");
+    const m = box && meetups.find(x => x.id === box.dataset.id);
+    if (!m) return;
+    box.querySelector(".report-github").href = reportIssueUrl(m, select.value);
   });
 
   btnReload?.addEventListener("click", async () => {
@@ -330,10 +1349,36 @@
   // ---------- Boot ----------
   (async function boot() {
     try {
-      await loadIndianaPolygon();
+      if (LAYER_MODE) {
+        view = viewFromConfig(window.BITCOININDIANA_MAP_CONFIG);
+      } else {
+        await loadStateRegistry();
+        view = resolveView(getStateParam());
+        canonicalizeStateParam();
+        populateStateSelect();
+        showStatePage();
+
+        // Outline first so the map shows the state while meetups load
+        if (await loadOutlines(viewSeq) && view) showInitialView();
+      }
+
+      await loadRecurrence();
+      await loadGeo();
+      await loadSearchQuery();
+      await loadFuzzySearch();
       await loadMeetups();
-      render();
-      setStatus(`Loaded ${meetups.length} meetup(s). Ready.`);
+      if (LAYER_MODE) {
+        await new Promise(resolve => map.whenReady(resolve)); // the merchants map sets the view; pins need one
+      } else if (!viewShown) {
+        showInitialView(); // all states: fit the meetups themselves
+      }
+      render(); // its status explains the search / state / near filter of a deep link
+
+      // The linked meetup is gone (or hidden by the search): don't keep sharing a dead ?meetup=
+      if (pendingMeetupId !== null) {
+        pendingMeetupId = null;
+        writeUrlState();
+      }
     } catch (e) {
       console.error("Boot failed:", e);
       setStatus("Initialization failed: " + (e.message || "Unknown error"));
@@ -2,7 +2,10 @@
 //
 // Single-page router for the merchants map:
 // - Loads the central registry (/assets/data/merchant-states.json)
-// - Reads ?state= from URL (accepts slug like "kentucky" or code like "ky", case-insensitive)
+// - Reads ?state= from URL (accepts slug like "kentucky" or code like "ky", case-insensitive);
+//   lookups live in assets/js/lib/state-registry.mjs (shared with meetupmap.js)
+// - Regional views: a comma list (?state=indiana,oh) or a named region from registry.regions
+//   (?state=indiana-neighbors). map.js gets every state's boundary plus their merged coverage circles.
 // - Defaults to registry.default (usually "indiana")
 // - Canonicalizes URL to slug form (?state=kentucky) using history.replaceState
 // - Updates SEO (title, meta description, canonical link)
@@ -10,25 +13,36 @@
 // - Populates the state dropdown (#stateSelect)
 // - Exposes window.BITCOININDIANA_MAP_CONFIG for map.js to consume
 // - Dispatches CustomEvent so map.js knows when config is ready
+// - Switching states (dropdown) stays on the page: pushState + a new config event, which map.js
+//   handles by rebuilding in place. Back/forward (popstate) switches states the same way.
+//
+// - Also routes the combined map (/map/, <body data-map="combined">): same ?state= handling, with that
+//   page's path and "Merchants & Meetups" wording (PAGE).
 //
 // This script runs deferred, after DOM is parsed.
 
 (function () {
   "use strict";
 
-  const REGISTRY_URL = "/assets/data/merchant-states.json";
-
-  // Normalize any string to a clean lowercase slug (used for lookups and canonical URLs)
-  function norm(s) {
-    return String(s || "")
-      .trim()
-      .toLowerCase()
-      .replace(/_/g, "-")
-      .replace(/\s+/g, "-")
-      .replace(/[^a-z0-9-]/g, "")
-      .replace(/-+/g, "-")
-      .replace(/^-+|-+$/g, "");
-  }
+  const STATE_REGISTRY_URL = "/assets/js/lib/state-registry.mjs";
+
+  // Map view + open popup belong to one state; they are dropped when switching (search + facets are kept)
+  const STATE_SCOPED_PARAMS = ["z", "lat", "lon", "place", "meetup"];
+
+  // Where canonical/intro links point and what the page calls itself
+  const PAGE = document.body?.dataset.map === "combined"
+    ? {
+      path: "/map/",
+      noun: "Merchants & Meetups",
+      intro: "Bitcoin-accepting merchants and recurring Bitcoin meetups",
+      desc: "merchants that accept Bitcoin and recurring Bitcoin meetups"
+    }
+    : {
+      path: "/merchants/",
+      noun: "Merchants",
+      intro: "Bitcoin-accepting merchants",
+      desc: "merchants that accept Bitcoin"
+    };
 
   // Get current ?state= value from URL
   function getStateParam() {
@@ -40,6 +54,7 @@
   function setCanonicalSlug(slug) {
     const u = new URL(window.location.href);
     u.searchParams.set("state", slug);
+    u.search = u.search.replace(/%2C/gi, ","); // ?state=indiana,ohio stays readable
     // Use replaceState so back/forward doesn't bounce between ky → kentucky
     window.history.replaceState({}, "", u.toString());
   }
@@ -71,11 +86,11 @@
     const stateName = chosen.name;
     const stateSlug = chosen.slug;
 
-    const currentLink = `<a href="/merchants/?state=${encodeURIComponent(stateSlug)}">${escapeHtml(stateName)}</a>`;
-    const indianaLink = `<a href="/merchants/?state=indiana">Indiana</a>`;
+    const currentLink = `<a href="${PAGE.path}?state=${encodeURIComponent(stateSlug)}">${escapeHtml(stateName)}</a>`;
+    const indianaLink = `<a href="${PAGE.path}?state=indiana">Indiana</a>`;
 
     introEl.innerHTML =
-      'Map of Bitcoin-accepting merchants in ' +
+      `Map of ${PAGE.intro} in ` +
       currentLink +
       '. ' +
       'Please confirm merchant details before traveling. ' +
@@ -94,40 +109,95 @@
     }[s]));
   }
 
-  // Populate <select id="stateSelect"> dropdown and handle change → full page reload
-  function populateDropdown(selectEl, states, chosenSlug) {
+  // Populate <select id="stateSelect"> dropdown (regions first, then states);
+  // onSelect(slug) runs when the user picks another entry
+  function populateDropdown(selectEl, states, regions, chosenSlug, onSelect) {
     if (!selectEl) return;
 
     selectEl.innerHTML = ""; // clear any static options
 
-    for (const st of states) {
-      const opt = document.createElement("option");
-      opt.value = st.slug;
-      opt.textContent = st.name;
-      if (st.slug === chosenSlug) opt.selected = true;
-      selectEl.appendChild(opt);
-    }
+    const addGroup = (label, entries) => {
+      const group = document.createElement("optgroup");
+      group.label = label;
+      for (const entry of entries) {
+        const opt = document.createElement("option");
+        opt.value = entry.slug;
+        opt.textContent = entry.name;
+        if (entry.slug === chosenSlug) opt.selected = true;
+        group.appendChild(opt);
+      }
+      selectEl.appendChild(group);
+    };
+
+    if (regions.length) addGroup("Regions", regions);
+    addGroup("States", states);
 
     selectEl.addEventListener("change", () => {
-      const slug = norm(selectEl.value);
-      const u = new URL(window.location.href);
-      u.searchParams.set("state", slug);
-      window.location.href = u.toString(); // full navigation for clean reload
+      onSelect(selectEl.value);
     });
   }
 
-  // Build fast lookup maps: slug → state, code → state
-  function buildLookups(states) {
-    const bySlug = new Map();
-    const byCode = new Map();
+  // A comma-list view (?state=indiana,ohio) isn't in the dropdown: add it so the select can show it
+  function ensureOption(selectEl, view) {
+    if ([...selectEl.options].some(o => o.value === view.slug)) return;
+    const opt = document.createElement("option");
+    opt.value = view.slug;
+    opt.textContent = view.name;
+    selectEl.insertBefore(opt, selectEl.firstChild);
+  }
+
+  // Everything that follows from the chosen view: SEO, page text, dropdown, map config + event
+  function showState(chosen, norm) {
+    const chosenSlug = chosen.slug;
+
+    // ── Update SEO metadata ───────────────────────────────────────────────
+    const title = `${chosen.name} ${PAGE.noun} | bitcoINdiana`;
+    const desc = `A map of ${PAGE.desc} in ${chosen.name} (${chosen.code}).`;
+
+    document.title = title;
+    setMetaDescription(desc);
+
+    const canonicalUrl = `${window.location.origin}${PAGE.path}?state=${encodeURIComponent(chosenSlug)}`;
+    setCanonicalLink(canonicalUrl);
+
+    // ── Update visible page content ──────────────────────────────────────
+    setText("pageTitle", `Bitcoin ${chosen.name} ${PAGE.noun}`);
+
+    const introEl = document.getElementById("pageIntro");
+    ensureSlugLinksInIntro(introEl, chosen);
+
+    // Update dynamic chip
+    const pipChip = document.getElementById("pipChip");
+    if (pipChip) pipChip.textContent = `${chosen.name}: point-in-polygon`;
+
+    // Set baseline label for fit button (map.js may override later)
+    const btnFit = document.getElementById("btnFit");
+    if (btnFit) btnFit.textContent = `Fit ${chosen.name}`;
 
-    for (const st of states) {
-      const slug = norm(st.slug);
-      const code = norm(st.code);
-      if (slug) bySlug.set(slug, st);
-      if (code) byCode.set(code, st);
+    // Keep the dropdown in step when back/forward changed the state
+    const selectEl = document.getElementById("stateSelect");
+    if (selectEl) {
+      ensureOption(selectEl, chosen);
+      if (selectEl.value !== chosenSlug) selectEl.value = chosenSlug;
     }
-    return { bySlug, byCode };
+
+    // ── Prepare config for map.js ─────────────────────────────────────────
+    // geojsonUrl is the first state's; map.js reads all of them from states[]
+    window.BITCOININDIANA_MAP_CONFIG = {
+      stateName: chosen.name,
+      stateCode: chosen.code,
+      stateSlug: chosenSlug,
+      geojsonUrl: chosen.states[0].geojsonUrl,
+      coverage: chosen.coverage,
+      states: chosen.states.map(st => ({ slug: norm(st.slug), code: st.code, name: st.name, geojsonUrl: st.geojsonUrl }))
+    };
+
+    // Notify map.js that config is ready (it waits for this event; later ones switch states)
+    window.dispatchEvent(
+      new CustomEvent("bitcoinindiana:merchants-config", {
+        detail: window.BITCOININDIANA_MAP_CONFIG
+      })
+    );
   }
 
   async function main() {
@@ -137,82 +207,49 @@
     try {
       setStatus("Loading states…");
 
+      const { REGISTRY_URL, createStateResolver, norm, paramKey } = await import(STATE_REGISTRY_URL);
+
       // Fetch registry (no cache so we always get latest after script updates)
       const res = await fetch(REGISTRY_URL, { cache: "no-store" });
       if (!res.ok) throw new Error(`Failed to load merchant-states.json (HTTP ${res.status})`);
       const registry = await res.json();
 
-      const states = Array.isArray(registry.states) ? registry.states : [];
-      if (!states.length) throw new Error("No states found in merchant-states.json");
-
-      // Sort alphabetically by name for consistent dropdown order
-      const sortedStates = [...states].sort((a, b) => String(a.name).localeCompare(String(b.name)));
-
-      const { bySlug, byCode } = buildLookups(sortedStates);
-
-      const defaultSlug = norm(registry.default || "indiana");
+      const { states: sortedStates, regions, resolve } = createStateResolver(registry);
 
       // Determine chosen state from URL param or default
-      const rawParam = getStateParam();
-      const token = norm(rawParam);
-      let chosen = null;
-
-      if (!token) {
-        chosen = bySlug.get(defaultSlug) || sortedStates[0];
-      } else {
-        chosen = bySlug.get(token) || byCode.get(token) || null;
-        if (!chosen) chosen = bySlug.get(defaultSlug) || sortedStates[0];
-      }
+      let chosen = resolve(getStateParam());
+      const chosenSlug = chosen.slug;
 
-      const chosenSlug = norm(chosen.slug);
-
-      // Canonicalize URL if needed (e.g. ?state=KY → ?state=kentucky)
-      const tokenNow = norm(getStateParam());
+      // Canonicalize URL if needed (e.g. ?state=KY → ?state=kentucky, ?state=in,oh → ?state=indiana,ohio)
+      const tokenNow = paramKey(getStateParam());
       if (tokenNow !== chosenSlug) {
         setCanonicalSlug(chosenSlug);
       }
 
-      // ── Update SEO metadata ───────────────────────────────────────────────
-      const title = `${chosen.name} Merchants | bitcoINdiana`;
-      const desc = `A map of merchants that accept Bitcoin in ${chosen.name} (${chosen.code}).`;
-
-      document.title = title;
-      setMetaDescription(desc);
-
-      const canonicalUrl = `${window.location.origin}/merchants/?state=${encodeURIComponent(chosenSlug)}`;
-      setCanonicalLink(canonicalUrl);
-
-      // ── Update visible page content ──────────────────────────────────────
-      setText("pageTitle", `Bitcoin ${chosen.name} Merchants`);
-
-      const introEl = document.getElementById("pageIntro");
-      ensureSlugLinksInIntro(introEl, chosen);
-
-      // Update dynamic chip
-      const pipChip = document.getElementById("pipChip");
-      if (pipChip) pipChip.textContent = `${chosen.name}: point-in-polygon`;
-
-      // Set baseline label for fit button (map.js may override later)
-      const btnFit = document.getElementById("btnFit");
-      if (btnFit) btnFit.textContent = `Fit ${chosen.name}`;
-
-      // Populate dropdown
-      populateDropdown(document.getElementById("stateSelect"), sortedStates, chosenSlug);
-
-      // ── Prepare config for map.js ─────────────────────────────────────────
-      window.BITCOININDIANA_MAP_CONFIG = {
-        stateName: chosen.name,
-        stateCode: chosen.code,
-        geojsonUrl: chosen.geojsonUrl,
-        coverage: Array.isArray(chosen.coverage) ? chosen.coverage : []
-      };
-
-      // Notify map.js that config is ready (it waits for this event)
-      window.dispatchEvent(
-        new CustomEvent("bitcoinindiana:merchants-config", {
-          detail: window.BITCOININDIANA_MAP_CONFIG
-        })
-      );
+      // Dropdown → new history entry + in-place switch (no reload)
+      populateDropdown(document.getElementById("stateSelect"), sortedStates, regions, chosenSlug, (slug) => {
+        const next = resolve(slug);
+        if (next.slug === chosen.slug) return;
+        chosen = next;
+
+        const u = new URL(window.location.href);
+        u.searchParams.set("state", next.slug);
+        for (const k of STATE_SCOPED_PARAMS) u.searchParams.delete(k);
+        u.search = u.search.replace(/%2C/gi, ",");
+        window.history.pushState({ state: next.slug }, "", u.toString());
+
+        showState(next, norm);
+      });
+
+      // Back/forward: the URL already holds that entry's state (and its view, kept there by map.js)
+      window.addEventListener("popstate", () => {
+        const next = resolve(getStateParam());
+        if (next.slug === chosen.slug) return;
+        chosen = next;
+        showState(next, norm);
+      });
+
+      showState(chosen, norm);
 
       // ── Final status ────────────────────────────────────────────────────────
       setStatus(`Selected: ${chosen.name}. Loading merchants…`);
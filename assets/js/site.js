@@ -2,9 +2,10 @@
 //
 // Shared lightweight behaviors for the entire site (no dependencies).
 //
-// Current feature:
+// Current features:
 // - Nav highlighting: sets aria-current="page" on the active topnav link
 //   based on current URL path.
+// - Offline support: registers the service worker (/sw.js).
 
 (function () {
   "use strict";
@@ -24,6 +25,7 @@
   const navKey =
     (path === "/" || isSection("merchants")) ? "merchants" :
     isSection("meetups")   ? "meetups" :
+    isSection("map")       ? "map" :
     isSection("events")    ? "events" :
     isSection("resources") ? "resources" :
     isSection("about")     ? "about" :
@@ -39,4 +41,15 @@
     });
   }
 
+  // ── OFFLINE (SERVICE WORKER) ────────────────────────────────────────────────
+
+  // Needs https (or localhost); the page works the same without it.
+  if ("serviceWorker" in navigator && window.isSecureContext) {
+    window.addEventListener("load", () => {
+      navigator.serviceWorker.register("/sw.js").catch(err => {
+        console.warn("Service worker registration failed:", err);
+      });
+    });
+  }
+
 })();
@@ -0,0 +1,474 @@
+// scripts/generate-calendars.mjs
+//
+// Generates iCalendar (.ics) files from the v1 meetup files
+// (assets/data/us-meetups/index.json):
+// - assets/data/calendars/meetups/<meetup-slug>.ics   one calendar per active meetup
+// - assets/data/calendars/states/<state-slug>.ics     combined feed per state (e.g. indiana.ics)
+//
+// Usage:
+//   node scripts/generate-calendars.mjs
+//
+// Options:
+//   node scripts/generate-calendars.mjs --out assets/data/calendars
+//
+// Notes:
+// - Each active series becomes one recurring VEVENT (RRULE). "skip" exceptions become
+//   EXDATEs; "override" exceptions become extra VEVENTs with RECURRENCE-ID.
+// - Output is deterministic: DTSTAMP comes from audit.lastModified (never "now"),
+//   ordering is stable, and VTIMEZONE blocks are derived from the data's own years.
+//   Re-running without data changes produces byte-identical files.
+// - A meetup with no exportable series (all inactive, or none passing calendarExportProblem()
+//   in recurrence.mjs: valid timeZone, supported recurrence, startDate) gets no file and stays out of
+//   its state feed: RFC 5545 requires at least one component, and some clients reject empty calendars.
+// - .ics files that are no longer produced (meetup removed or inactive) are deleted.
+// - Series without time.end get DURATION:PT2H (DEFAULT_DURATION) rather than a zero-length event.
+// - Private venues (scripts/lib/venue-privacy.mjs, the map's rule) never get a street address, and GEO is
+//   rounded to the venue's precision like the map's pins.
+
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import {
+  occurrences,
+  zonedParts,
+  zonedDateTimeToUtc,
+  parseYmd,
+  calendarExportProblem
+} from "../assets/js/lib/recurrence.mjs";
+import { addressCallToAction, coarsen, isPrivateVenue, venuePrecision } from "./lib/venue-privacy.mjs";
+
+const INDEX_FILE = "assets/data/us-meetups/index.json";
+const DEFAULT_OUT_DIR = "assets/data/calendars";
+
+const PRODID = "-//bitcoindiana.org//Meetups//EN";
+const UID_DOMAIN = "bitcoindiana.org";
+const SITE_URL = "https://bitcoindiana.org";
+
+// Length of events whose series has no time.end
+const DEFAULT_DURATION = "PT2H";
+
+const ICAL_DAYS = { sunday: "SU", monday: "MO", tuesday: "TU", wednesday: "WE", thursday: "TH", friday: "FR", saturday: "SA" };
+
+function parseArgs(argv) {
+  const args = { outDir: DEFAULT_OUT_DIR };
+  for (let i = 2; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--out" && argv[i + 1]) args.outDir = argv[++i];
+  }
+  return args;
+}
+
+function asStr(x) {
+  return (x === null || x === undefined) ? "" : String(x).trim();
+}
+
+const isActive = (x) => asStr(x?.status).toLowerCase() === "active";
+
+function slugify(s) {
+  return asStr(s)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+// ---------- iCalendar text helpers ----------
+function escapeText(s) {
+  return asStr(s)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Fold lines at 75 octets (RFC 5545 §3.1) without splitting UTF-8 sequences
+function foldLine(line) {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let start = 0;
+  let limit = 75;
+  while (start < bytes.length) {
+    let end = Math.min(start + limit, bytes.length);
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--; // back off continuation bytes
+    parts.push(bytes.subarray(start, end).toString("utf8"));
+    start = end;
+    limit = 74; // continuation lines start with a space
+  }
+  return parts.join("\r\n ");
+}
+
+function serialize(lines) {
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+const pad = (n, w = 2) => String(Math.abs(n)).padStart(w, "0");
+
+function utcStamp(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function localStamp(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  return `${p.year}${pad(p.month)}${pad(p.day)}T${pad(p.hour)}${pad(p.minute)}${pad(p.second)}`;
+}
+
+function offsetString(minutes) {
+  return `${minutes < 0 ? "-" : "+"}${pad(Math.floor(Math.abs(minutes) / 60))}${pad(Math.abs(minutes) % 60)}`;
+}
+
+// ---------- VTIMEZONE ----------
+function offsetMinutes(t, timeZone) {
+  const p = zonedParts(new Date(t), timeZone);
+  return Math.round((Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(t / 1000) * 1000) / 60000);
+}
+
+function zoneAbbr(t, timeZone) {
+  const part = new Intl.DateTimeFormat("en-US", { timeZone, timeZoneName: "short" })
+    .formatToParts(new Date(t))
+    .find(p => p.type === "timeZoneName");
+  return part ? part.value : "";
+}
+
+// Find the UTC-offset transitions in a year by scanning days, then hours
+function transitionsInYear(timeZone, year) {
+  const HOUR = 3600 * 1000;
+  const out = [];
+  let prevT = Date.UTC(year, 0, 1, 12);
+  let prevOff = offsetMinutes(prevT, timeZone);
+
+  for (let d = 1; d <= 366; d++) {
+    const t = Date.UTC(year, 0, 1 + d, 12);
+    const off = offsetMinutes(t, timeZone);
+    if (off !== prevOff) {
+      let h = prevT;
+      while (offsetMinutes(h + HOUR, timeZone) === prevOff) h += HOUR;
+      out.push({ at: h + HOUR, from: prevOff, to: off });
+    }
+    prevT = t;
+    prevOff = off;
+  }
+  return out;
+}
+
+function buildVTimezone(timeZone, year) {
+  const lines = ["BEGIN:VTIMEZONE", `TZID:${timeZone}`];
+  const transitions = transitionsInYear(timeZone, year);
+
+  if (transitions.length === 0) {
+    const t = Date.UTC(year, 0, 1);
+    const off = offsetString(offsetMinutes(t, timeZone));
+    lines.push(
+      "BEGIN:STANDARD",
+      `DTSTART:${year}0101T000000`,
+      `TZOFFSETFROM:${off}`,
+      `TZOFFSETTO:${off}`,
+      `TZNAME:${zoneAbbr(t, timeZone)}`,
+      "END:STANDARD"
+    );
+  }
+
+  for (const tr of transitions) {
+    // Onset is expressed in the local time being replaced (TZOFFSETFROM)
+    const local = new Date(tr.at + tr.from * 60000);
+    const dom = local.getUTCDate();
+    const dim = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth() + 1, 0)).getUTCDate();
+    const nth = dom + 7 > dim ? -1 : Math.ceil(dom / 7);
+    const day = Object.values(ICAL_DAYS)[local.getUTCDay()];
+    const kind = tr.to > tr.from ? "DAYLIGHT" : "STANDARD";
+
+    lines.push(
+      `BEGIN:${kind}`,
+      `DTSTART:${local.toISOString().replace(/[-:]/g, "").slice(0, 15)}`,
+      `RRULE:FREQ=YEARLY;BYMONTH=${local.getUTCMonth() + 1};BYDAY=${nth}${day}`,
+      `TZOFFSETFROM:${offsetString(tr.from)}`,
+      `TZOFFSETTO:${offsetString(tr.to)}`,
+      `TZNAME:${zoneAbbr(tr.at, timeZone)}`,
+      `END:${kind}`
+    );
+  }
+
+  lines.push("END:VTIMEZONE");
+  return lines;
+}
+
+// ---------- Series → VEVENT(s) ----------
+function rruleFor(series) {
+  const r = series.recurrence || {};
+  const interval = Number.isInteger(r.interval) && r.interval > 1 ? `;INTERVAL=${r.interval}` : "";
+  let rule;
+
+  if (r.type === "monthly_nth_weekday") {
+    rule = `FREQ=MONTHLY${interval};BYDAY=${r.nth}${ICAL_DAYS[asStr(r.weekday).toLowerCase()]}`;
+  } else if (r.type === "weekly") {
+    const days = (r.byWeekday || []).map(d => ICAL_DAYS[asStr(d).toLowerCase()]).filter(Boolean);
+    rule = `FREQ=WEEKLY${interval};BYDAY=${days.join(",")}`;
+  } else if (r.type === "semimonthly") {
+    const days = (r.rules || [])
+      .filter(x => x && x.kind === "nth_weekday")
+      .map(x => `${x.nth}${ICAL_DAYS[asStr(x.weekday).toLowerCase()]}`);
+    rule = `FREQ=MONTHLY;BYDAY=${days.join(",")}`;
+  } else {
+    return null;
+  }
+
+  const endDate = asStr(series.effective?.endDate);
+  if (endDate) {
+    const until = zonedDateTimeToUtc(endDate, "23:59", series.timeZone);
+    if (until) rule += `;UNTIL=${utcStamp(until)}`;
+  }
+  return rule;
+}
+
+// LOCATION text + GEO as public as the map shows them: no street or ZIP for a private venue, and coordinates
+// rounded to the venue's precision
+function venueLocation(venue) {
+  if (!venue) return { text: "", geo: null };
+
+  const a = venue.address || {};
+  const cityLine = [asStr(a.city), asStr(a.region?.abbr)].filter(Boolean).join(", ");
+  const precision = venuePrecision(venue);
+  const geo = Number.isFinite(venue.geo?.lat) && Number.isFinite(venue.geo?.lon)
+    ? { lat: coarsen(venue.geo.lat, precision), lon: coarsen(venue.geo.lon, precision) }
+    : null;
+
+  if (isPrivateVenue(venue)) {
+    const name = asStr(venue.name) || "Private location";
+    const cta = addressCallToAction(venue);
+    const text = [name, cityLine].filter(Boolean).join(", ");
+    // Names like "Private Home (RSVP for address)" already say it
+    return { text: name.toLowerCase().includes(cta.toLowerCase()) ? text : `${text} (${cta})`, geo };
+  }
+
+  const street = [asStr(a.line1), asStr(a.line2)].filter(Boolean).join(", ");
+  const zipLine = [cityLine, asStr(a.postalCode)].filter(Boolean).join(" ");
+  return { text: [asStr(venue.name), street, zipLine].filter(Boolean).join(", "), geo };
+}
+
+function primaryUrl(links) {
+  const list = Array.isArray(links) ? links : [];
+  const preferred = list.find(l => asStr(l?.type) === "website") || list.find(l => /^https?:\/\//.test(asStr(l?.url)));
+  return preferred ? asStr(preferred.url) : "";
+}
+
+function stampFrom(...audits) {
+  for (const a of audits) {
+    const d = new Date(asStr(a?.lastModified));
+    if (asStr(a?.lastModified) && !Number.isNaN(d.getTime())) return utcStamp(d);
+  }
+  return null;
+}
+
+// Occurrence generated by the rule on a given date (including skipped ones), or null
+function occurrenceOn(series, ymd) {
+  const from = zonedDateTimeToUtc(ymd, "00:00", series.timeZone);
+  const until = zonedDateTimeToUtc(ymd, "23:59", series.timeZone);
+  if (!from || !until) return null;
+  const [occ] = occurrences(series, { from, until, count: 1, includeSkipped: true });
+  return occ && occ.date === ymd ? occ : null;
+}
+
+/**
+ * Builds the VEVENT lines for one series.
+ * Returns { lines, timeZone, year } or null (with a warning) when the series can't be expressed.
+ */
+function seriesEvents(meetup, series, warn) {
+  const where = `${meetup.slug} / ${series.slug}`;
+  const tz = asStr(series.timeZone);
+
+  // Same check meetupmap.js uses for its "Add to calendar" link
+  const problem = calendarExportProblem(series);
+  if (problem) return warn(`${where}: ${problem}`);
+
+  // DTSTART is the first date the rule produces, before any exception is applied
+  const startDate = series.effective.startDate;
+  const [first] = occurrences({ ...series, exceptions: [] }, {
+    from: zonedDateTimeToUtc(startDate, "00:00", tz),
+    count: 1,
+    includeSkipped: true
+  });
+
+  const rrule = rruleFor(series);
+  if (!rrule) return warn(`${where}: could not build RRULE`);
+
+  const venues = new Map((meetup.venues || []).map(v => [asStr(v.slug), v]));
+  const uid = `${series.slug}@${UID_DOMAIN}`;
+  const dtstamp = stampFrom(series.audit, meetup.audit) || utcStamp(zonedDateTimeToUtc(startDate, "00:00", "UTC"));
+  const summary = series.name ? `${meetup.name}: ${series.name}` : meetup.name;
+  const url = primaryUrl(series.links) || primaryUrl(meetup.links) || `${SITE_URL}/meetups/`;
+
+  const describe = (note) => [
+    asStr(series.description),
+    note,
+    series.visibility?.rsvpRequired ? "RSVP required." : "",
+    "Please confirm details with the organizer before attending.",
+    url
+  ].filter(Boolean).join("\n");
+
+  const eventLines = (occ, venue, extra) => {
+    const loc = venueLocation(venue);
+    const lines = [
+      "BEGIN:VEVENT",
+      `UID:${uid}`,
+      `DTSTAMP:${dtstamp}`,
+      ...extra,
+      `DTSTART;TZID=${tz}:${localStamp(occ.start, tz)}`
+    ];
+    if (occ.end) lines.push(`DTEND;TZID=${tz}:${localStamp(occ.end, tz)}`);
+    else lines.push(`DURATION:${DEFAULT_DURATION}`);
+    lines.push(`SUMMARY:${escapeText(summary)}`);
+    if (loc.text) lines.push(`LOCATION:${escapeText(loc.text)}`);
+    if (loc.geo) lines.push(`GEO:${loc.geo.lat};${loc.geo.lon}`);
+    lines.push(`DESCRIPTION:${escapeText(describe(occ.note))}`);
+    lines.push(`URL:${url}`);
+    return lines;
+  };
+
+  const exdates = [];
+  const overrides = [];
+
+  const exceptions = [...(series.exceptions || [])]
+    .filter(ex => ex && parseYmd(ex.date) !== null)
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  for (const ex of exceptions) {
+    const occ = occurrenceOn(series, ex.date);
+    if (!occ) {
+      warn(`${where}: exception ${ex.date} does not fall on a scheduled date (ignored)`);
+      continue;
+    }
+    const originalStart = zonedDateTimeToUtc(ex.date, series.time.start, tz);
+    if (ex.action === "skip") exdates.push(localStamp(originalStart, tz));
+    else if (ex.action === "override") overrides.push({ occ, originalStart });
+  }
+
+  // Master (recurring) event
+  const master = eventLines(first, venues.get(asStr(series.venueSlug)), []);
+  master.push(`RRULE:${rrule}`);
+  for (const d of exdates) master.push(`EXDATE;TZID=${tz}:${d}`);
+  master.push("END:VEVENT");
+
+  const lines = [...master];
+  for (const { occ, originalStart } of overrides) {
+    lines.push(
+      ...eventLines(occ, venues.get(occ.venueSlug), [`RECURRENCE-ID;TZID=${tz}:${localStamp(originalStart, tz)}`]),
+      "END:VEVENT"
+    );
+  }
+
+  return { lines, timeZone: tz, year: Number(startDate.slice(0, 4)) };
+}
+
+function buildCalendar(name, events) {
+  // One VTIMEZONE per zone, anchored at the earliest year that zone is used
+  const zones = new Map();
+  for (const e of events) {
+    if (!zones.has(e.timeZone) || e.year < zones.get(e.timeZone)) zones.set(e.timeZone, e.year);
+  }
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+  for (const tz of [...zones.keys()].sort()) lines.push(...buildVTimezone(tz, zones.get(tz)));
+  for (const e of events) lines.push(...e.lines);
+  lines.push("END:VCALENDAR");
+
+  return serialize(lines);
+}
+
+// Writes only when content changed; returns the absolute path written
+async function writeIfChanged(file, content) {
+  let prev = null;
+  try {
+    prev = await fs.readFile(file, "utf8");
+  } catch {
+    // new file
+  }
+  if (prev !== content) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, content, "utf8");
+  }
+  return path.resolve(file);
+}
+
+async function removeStale(dir, keep) {
+  let entries = [];
+  try {
+    entries = await fs.readdir(dir);
+  } catch {
+    return 0;
+  }
+  let removed = 0;
+  for (const name of entries) {
+    const full = path.resolve(dir, name);
+    if (name.endsWith(".ics") && !keep.has(full)) {
+      await fs.unlink(full);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+async function main() {
+  const { outDir } = parseArgs(process.argv);
+  const warnings = [];
+  const warn = (msg) => { warnings.push(msg); return null; };
+
+  const index = JSON.parse(await fs.readFile(INDEX_FILE, "utf8"));
+  const files = Array.isArray(index.files) ? index.files : [];
+
+  const byState = new Map(); // state slug → { name, events[] }
+  const written = new Set();
+
+  for (const file of files) {
+    const doc = JSON.parse(await fs.readFile(path.join(path.dirname(INDEX_FILE), file), "utf8"));
+
+    for (const meetup of doc.meetups || []) {
+      if (!isActive(meetup)) continue;
+
+      const events = [];
+      for (const series of meetup.series || []) {
+        if (!isActive(series)) continue;
+        const e = seriesEvents(meetup, series, warn);
+        if (e) events.push(e);
+      }
+      if (events.length === 0) {
+        warn(`${meetup.slug}: no active series to export; no calendar file`);
+        continue;
+      }
+
+      const meetupFile = path.join(outDir, "meetups", `${meetup.slug}.ics`);
+      written.add(await writeIfChanged(meetupFile, buildCalendar(meetup.name, events)));
+
+      const regionName = asStr(meetup.location?.region?.name) || asStr(doc.scope?.region?.name);
+      const stateSlug = slugify(regionName);
+      if (!stateSlug) {
+        warn(`${meetup.slug}: no location.region.name; left out of state feeds`);
+        continue;
+      }
+      if (!byState.has(stateSlug)) byState.set(stateSlug, { name: regionName, events: [] });
+      byState.get(stateSlug).events.push(...events);
+    }
+  }
+
+  for (const [slug, st] of [...byState.entries()].sort((a, b) => a[0].localeCompare(b[0]))) {
+    const stateFile = path.join(outDir, "states", `${slug}.ics`);
+    written.add(await writeIfChanged(stateFile, buildCalendar(`Bitcoin Meetups in ${st.name}`, st.events)));
+  }
+
+  const removed =
+    await removeStale(path.join(outDir, "meetups"), written) +
+    await removeStale(path.join(outDir, "states"), written);
+
+  for (const w of warnings) console.warn(`⚠️ ${w}`);
+  console.log(`Wrote ${written.size} calendar file(s) to ${outDir} (${byState.size} state feed(s), ${removed} stale removed).`);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,209 @@
+// scripts/generate-merchant-snapshots.mjs
+//
+// Writes static per-state merchant snapshots to assets/data/merchants/<slug>.json by running the same
+// coverage-circle searches and point-in-polygon filtering as assets/js/map.js (both use assets/js/lib/geo.mjs).
+// The map shows the snapshot first and treats the live BTC Map API as an optional refresh (incremental sync from `cursor`).
+//
+// Usage:
+//   node scripts/generate-merchant-snapshots.mjs                       # every state in merchant-states.json
+//   node scripts/generate-merchant-snapshots.mjs --state indiana,ohio  # slugs or codes
+//
+// Options:
+//   --registry <file>   default assets/data/merchant-states.json
+//   --out <dir>         default assets/data/merchants
+//   --api-base <url>    BTC Map API origin, e.g. a local fixture server (or set BTCMAP_API_BASE)
+//
+// Snapshots are diffable: places are sorted by id, one place per line, with a fixed field order.
+// generatedAt only moves when the places change, so a commit shows exactly which merchants were added or
+// dropped (also printed per state). checkedAt records the last run that confirmed the places: map.js trusts a
+// snapshot for incremental sync only within FULL_RESYNC_MS (7 days) of it. An unchanged file is only rewritten
+// to move checkedAt once it is CHECKED_AT_REFRESH_MS old, so a quiet state shows up in the history about twice a
+// week instead of every day.
+
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { createBtcMapClient } from "./lib/btcmap-client.mjs";
+import { featureFromGeo, indexFeature, pointInIndex } from "../assets/js/lib/geo.mjs";
+
+const DEFAULT_REGISTRY_FILE = "assets/data/merchant-states.json";
+const DEFAULT_OUT_DIR = "assets/data/merchants";
+
+// Every category is kept: map.js hides ATMs/exchanges at render time (its "Show ATMs & exchanges" toggle).
+// Written into each file so map.js can tell these apart from older snapshots that dropped them.
+const EXCLUDED_ICONS = [];
+
+// Fields kept per place, in output order (everything map.js renders, plus updated_at for sync)
+const SNAPSHOT_FIELDS = ["id", "name", "icon", "lat", "lon", "address", "website", "phone", "osm_url", "verified_at", "updated_at"];
+
+// First sync cursor when the search results carry no updated_at (matches map.js)
+const SYNC_CLOCK_SKEW_MS = 10 * 60 * 1000;
+
+// Half of map.js FULL_RESYNC_MS: a snapshot never gets within half a week of needing a full search
+const CHECKED_AT_REFRESH_MS = 3.5 * 24 * 60 * 60 * 1000;
+
+function parseArgs(argv) {
+  const args = { registryFile: DEFAULT_REGISTRY_FILE, outDir: DEFAULT_OUT_DIR, apiBase: "", states: [] };
+  for (let i = 2; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--registry" && argv[i + 1]) args.registryFile = argv[++i];
+    else if (a === "--out" && argv[i + 1]) args.outDir = argv[++i];
+    else if (a === "--api-base" && argv[i + 1]) args.apiBase = argv[++i];
+    else if (a === "--state" && argv[i + 1]) args.states.push(...argv[++i].split(",").map(s => s.trim().toLowerCase()).filter(Boolean));
+  }
+  return args;
+}
+
+// ---------- Snapshot ----------
+function pickFields(p) {
+  const out = {};
+  for (const f of SNAPSHOT_FIELDS) {
+    if (p[f] !== undefined && p[f] !== null && p[f] !== "") out[f] = p[f];
+  }
+  return out;
+}
+
+function latestUpdatedAt(places, fallback) {
+  let latest = fallback;
+  for (const p of places) {
+    if (typeof p.updated_at === "string" && Date.parse(p.updated_at) > Date.parse(latest)) latest = p.updated_at;
+  }
+  return latest;
+}
+
+// Pretty JSON, except one place per line so diffs read as "merchant added / dropped"
+function formatSnapshot(doc) {
+  const { places, ...head } = doc;
+  const headJson = JSON.stringify(head, null, 2).replace(/\n}$/, "");
+  const rows = places.map(p => `    ${JSON.stringify(p)}`).join(",\n");
+  return `${headJson},\n  "places": [${places.length ? `\n${rows}\n  ` : ""}]\n}\n`;
+}
+
+async function readExisting(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT") return null;
+    throw new Error(`${file}: ${e.message}`);
+  }
+}
+
+async function snapshotState(st, client, outDir) {
+  const geoPath = String(st.geojsonUrl || "").replace(/^\/+/, "");
+  const area = indexFeature(featureFromGeo(JSON.parse(await fs.readFile(geoPath, "utf8"))));
+
+  const coverage = Array.isArray(st.coverage) ? st.coverage : [];
+  if (!coverage.length) throw new Error(`${st.slug}: no coverage circles in the registry.`);
+
+  const startedAt = Date.now();
+  const byId = new Map();
+  for (const circle of coverage) {
+    // Sequential on purpose: be gentle with the public API
+    for (const p of await client.searchCircle(circle)) {
+      if (!p || typeof p.id !== "number") continue;
+      if (!byId.has(p.id)) byId.set(p.id, p);
+    }
+  }
+
+  const places = [...byId.values()]
+    .filter(p => {
+      if (typeof p.lat !== "number" || typeof p.lon !== "number") return false;
+
+      return pointInIndex([p.lon, p.lat], area);
+    })
+    .map(pickFields)
+    .sort((a, b) => a.id - b.id);
+
+  const file = path.join(outDir, `${st.slug}.json`);
+  const prev = await readExisting(file);
+  const prevPlaces = Array.isArray(prev?.places) ? prev.places : [];
+
+  const prevIds = new Map(prevPlaces.map(p => [p.id, p]));
+  const nextIds = new Map(places.map(p => [p.id, p]));
+  const added = places.filter(p => !prevIds.has(p.id));
+  const dropped = prevPlaces.filter(p => !nextIds.has(p.id));
+  const changed = places.filter(p => prevIds.has(p.id) && JSON.stringify(prevIds.get(p.id)) !== JSON.stringify(p));
+
+  const unchanged = prev && added.length === 0 && dropped.length === 0 && changed.length === 0 &&
+    prev.geojsonUrl === st.geojsonUrl &&
+    JSON.stringify(prev.excludedIcons) === JSON.stringify(EXCLUDED_ICONS);
+
+  const lastChecked = Date.parse(prev?.checkedAt || prev?.generatedAt) || 0;
+  if (unchanged && startedAt - lastChecked < CHECKED_AT_REFRESH_MS) {
+    return { file, total: places.length, added, dropped, changed, written: false, refreshed: false };
+  }
+
+  const checkedAt = new Date(startedAt).toISOString();
+  const doc = unchanged
+    ? {
+      schemaVersion: prev.schemaVersion,
+      state: prev.state,
+      geojsonUrl: prev.geojsonUrl,
+      excludedIcons: prev.excludedIcons,
+      source: prev.source,
+      generatedAt: prev.generatedAt,
+      checkedAt,
+      cursor: prev.cursor,
+      fetchedCount: prev.fetchedCount,
+      count: prev.count,
+      places: prevPlaces
+    }
+    : {
+      schemaVersion: 1,
+      state: { slug: st.slug, code: st.code, name: st.name },
+      geojsonUrl: st.geojsonUrl,
+      excludedIcons: EXCLUDED_ICONS,
+      source: `${client.baseUrl.replace(/\/+$/, "")}/v4/places/search/`,
+      generatedAt: checkedAt,
+      checkedAt,
+      cursor: latestUpdatedAt(places, new Date(startedAt - SYNC_CLOCK_SKEW_MS).toISOString()),
+      fetchedCount: byId.size,
+      count: places.length,
+      places
+    };
+  await fs.writeFile(file, formatSnapshot(doc), "utf8");
+
+  return { file, total: places.length, added, dropped, changed, written: !unchanged, refreshed: unchanged };
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  const registry = JSON.parse(await fs.readFile(args.registryFile, "utf8"));
+  const all = Array.isArray(registry.states) ? registry.states : [];
+
+  const wanted = new Set(args.states);
+  const states = wanted.size
+    ? all.filter(st => wanted.has(String(st.slug).toLowerCase()) || wanted.has(String(st.code).toLowerCase()))
+    : all;
+
+  // "in,indiana" names one state twice: only tokens matching no slug or code are an error
+  const known = new Set(all.flatMap(st => [String(st.slug).toLowerCase(), String(st.code).toLowerCase()]));
+  const unknown = [...wanted].filter(w => !known.has(w));
+  if (unknown.length) throw new Error(`Unknown state(s): ${unknown.join(", ")}`);
+
+  const client = createBtcMapClient({ baseUrl: args.apiBase || undefined });
+  await fs.mkdir(args.outDir, { recursive: true });
+
+  let failed = 0;
+  for (const st of states) {
+    try {
+      const r = await snapshotState(st, client, args.outDir);
+      const diff = `+${r.added.length} -${r.dropped.length} ~${r.changed.length}`;
+      console.log(`${r.written ? "✍️ " : "✅"} ${st.slug}: ${r.total} places (${diff})${r.written ? ` → ${r.file}` : ""}${r.refreshed ? " (checkedAt refreshed)" : ""}`);
+      for (const p of r.added) console.log(`    + ${p.id} ${p.name || ""}`);
+      for (const p of r.dropped) console.log(`    - ${p.id} ${p.name || ""}`);
+    } catch (e) {
+      failed++;
+      console.error(`❌ ${st.slug}: ${e.message || e}`);
+    }
+  }
+
+  if (failed) {
+    console.error(`\n${failed} state(s) failed; their existing snapshots were left as they were.`);
+    process.exit(1);
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -1,34 +1,46 @@
 // scripts/generate-merchant-states.mjs
 //
 // Generates assets/data/merchant-states.json by scanning assets/data/us-states/*.geojson
-// and computing a set of coverage circles per state based on polygon bounds.
+// and computing a set of coverage circles per state that covers the state's polygon.
 //
 // Usage:
 //   node scripts/generate-merchant-states.mjs
 //
 // Options:
-//   node scripts/generate-merchant-states.mjs --in assets/data/us-states --out assets/data/merchant-states.json
+//   --in <dir>            default assets/data/us-states
+//   --out <file>          default assets/data/merchant-states.json
+//   --max-radius <km>     largest circle (default 250)
+//   --report <file>       also write the coverage report as JSON
 //
 // Notes:
-// - Coverage circles are heuristic: grid over the state's bounding box.
+// - Circles cover the real polygon, islands included (scripts/lib/coverage-circles.mjs), with as few
+//   circles as the greedy cover finds. Circles entirely outside the state are never emitted.
+// - The coverage report lists, per state, the API calls a full search makes (one per circle) and the percent of the
+//   state's area inside a circle, checked on a separate, denser grid. Anything under 100% fails the run.
 // - PIP filtering in map.js ensures only in-state points are kept.
-// - For MultiPolygon states, bounds are computed across all polygons.
-// - "Center" circle is added ONLY for sparse grids (<= 4 grid circles) to reduce API calls.
+// - Named regions ("regions": [{ slug, name, states: [slug, …] }], e.g. Indiana + neighbors) are
+//   maintained by hand in the output file and carried over; entries naming unknown states are dropped.
 
 import { promises as fs } from "node:fs";
 import path from "node:path";
 
+import { featureFromGeo } from "../assets/js/lib/geo.mjs";
+import { MAX_RADIUS_KM, coverageCircles, measureCoverage } from "./lib/coverage-circles.mjs";
+
 const DEFAULT_IN_DIR = "assets/data/us-states";
 const DEFAULT_OUT_FILE = "assets/data/merchant-states.json";
 const CODES_FILE = "scripts/us-state-codes.json";
 
 function parseArgs(argv) {
-  const args = { inDir: DEFAULT_IN_DIR, outFile: DEFAULT_OUT_FILE };
+  const args = { inDir: DEFAULT_IN_DIR, outFile: DEFAULT_OUT_FILE, maxRadiusKm: MAX_RADIUS_KM, reportFile: null };
   for (let i = 2; i < argv.length; i++) {
     const a = argv[i];
     if (a === "--in" && argv[i + 1]) args.inDir = argv[++i];
     else if (a === "--out" && argv[i + 1]) args.outFile = argv[++i];
+    else if (a === "--max-radius" && argv[i + 1]) args.maxRadiusKm = Number(argv[++i]);
+    else if (a === "--report" && argv[i + 1]) args.reportFile = argv[++i];
   }
+  if (!(args.maxRadiusKm >= 10)) throw new Error("--max-radius must be a number of km (10 or more).");
   return args;
 }
 
@@ -39,165 +51,30 @@ function titleCaseFromSlug(slug) {
     .join(" ");
 }
 
-// Haversine distance (km)
-function kmBetween(lat1, lon1, lat2, lon2) {
-  const R = 6371;
-  const toRad = (d) => (d * Math.PI) / 180;
-  const dLat = toRad(lat2 - lat1);
-  const dLon = toRad(lon2 - lon1);
-
-  const a =
-    Math.sin(dLat / 2) ** 2 +
-    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
-
-  return 2 * R * Math.asin(Math.sqrt(a));
-}
-
-function featureFromGeo(geo) {
-  if (!geo) throw new Error("Empty GeoJSON.");
-  if (geo.type === "Feature") return geo;
-  if (geo.type === "FeatureCollection" && Array.isArray(geo.features) && geo.features[0]) return geo.features[0];
-  throw new Error("Expected Feature or FeatureCollection with at least one feature.");
-}
-
-function computeBounds(feature) {
-  const g = feature?.geometry;
-  if (!g) throw new Error("Missing geometry.");
-
-  let minLon = Infinity, minLat = Infinity, maxLon = -Infinity, maxLat = -Infinity;
-
-  const scanRing = (ring) => {
-    for (const coord of ring) {
-      const lon = coord[0], lat = coord[1];
-      if (lon < minLon) minLon = lon;
-      if (lat < minLat) minLat = lat;
-      if (lon > maxLon) maxLon = lon;
-      if (lat > maxLat) maxLat = lat;
-    }
-  };
-
-  if (g.type === "Polygon") {
-    scanRing(g.coordinates[0]);
-  } else if (g.type === "MultiPolygon") {
-    for (const poly of g.coordinates) scanRing(poly[0]);
-  } else {
-    throw new Error(`Unsupported geometry type: ${g.type}`);
-  }
-
-  return { minLon, minLat, maxLon, maxLat };
-}
-
-function clamp(n, a, b) {
-  return Math.max(a, Math.min(b, n));
-}
-
-// Decide grid size from "span" (km).
-// Goal: keep API requests low while maintaining decent coverage.
-// - 2x1 (2 circles) for tiny states
-// - 2x2 (4 circles) for most states
-// - 3x2 (6 circles) for larger states
-// - 3x3 (9 circles) only for the biggest
-function chooseGridDims(widthKm, heightKm) {
-  const areaLike = widthKm * heightKm;
-
-  if (areaLike < 35000) return { nx: 2, ny: 1 };
-  if (areaLike < 120000) return { nx: 2, ny: 2 };
-  if (areaLike < 350000) return { nx: 3, ny: 2 };
-  return { nx: 3, ny: 3 };
-}
-
-// Choose radius based on cell size.
-// We want overlapping circles. Use ~0.9 of half-diagonal.
-function chooseRadiusKm(cellWidthKm, cellHeightKm) {
-  const halfDiag = Math.sqrt(cellWidthKm ** 2 + cellHeightKm ** 2) / 2;
-  return Math.round(clamp(halfDiag * 0.9, 80, 260));
-}
-
-function makeCoverageFromBounds(bounds, slug) {
-  // Special cases first (avoid bad bounding boxes / island chains)
-  if (slug === "alaska") {
-    return [
-      { name: "Anchorage", lat: 61.2181, lon: -149.9003, radius_km: 260 },
-      { name: "Fairbanks", lat: 64.8378, lon: -147.7164, radius_km: 260 },
-      { name: "Juneau", lat: 58.3019, lon: -134.4197, radius_km: 220 },
-      { name: "Nome", lat: 64.5011, lon: -165.4064, radius_km: 260 },
-      { name: "Bethel", lat: 60.7922, lon: -161.7558, radius_km: 260 }
-    ];
-  }
-
-  if (slug === "hawaii") {
-    return [
-      { name: "Oahu (Honolulu)", lat: 21.3069, lon: -157.8583, radius_km: 80 },
-      { name: "Hawaii (Hilo)", lat: 19.7070, lon: -155.0870, radius_km: 90 },
-      { name: "Maui (Kahului)", lat: 20.8893, lon: -156.4729, radius_km: 80 },
-      { name: "Kauai (Lihue)", lat: 21.9811, lon: -159.3711, radius_km: 70 }
-    ];
+// Hand-maintained regions from the existing registry (none on first run)
+async function readRegions(file, knownSlugs) {
+  let existing;
+  try {
+    existing = JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw new Error(`${file}: ${e.message}`);
   }
 
-  if (slug === "puerto-rico") {
-    return [
-      { name: "San Juan Metro", lat: 18.4655, lon: -66.1057, radius_km: 80 },
-      { name: "West", lat: 18.2, lon: -67.14, radius_km: 80 },
-      { name: "South", lat: 18.01, lon: -66.62, radius_km: 80 }
-    ];
-  }
-
-  if (slug === "district-of-columbia") {
-    return [{ name: "Washington, DC", lat: 38.9072, lon: -77.0369, radius_km: 45 }];
-  }
-
-  // Center lat/lon for km conversions
-  const centerLat = (bounds.minLat + bounds.maxLat) / 2;
-  const centerLon = (bounds.minLon + bounds.maxLon) / 2;
-
-  // width/height in km
-  const widthKm = kmBetween(centerLat, bounds.minLon, centerLat, bounds.maxLon);
-  const heightKm = kmBetween(bounds.minLat, centerLon, bounds.maxLat, centerLon);
-
-  const { nx, ny } = chooseGridDims(widthKm, heightKm);
-
-  const latStep = (bounds.maxLat - bounds.minLat) / ny;
-  const lonStep = (bounds.maxLon - bounds.minLon) / nx;
-
-  const cellWidthKm = widthKm / nx;
-  const cellHeightKm = heightKm / ny;
-
-  const radius_km = chooseRadiusKm(cellWidthKm, cellHeightKm);
-
-  const cov = [];
-
-  // Place points at centers of each cell
-  for (let iy = 0; iy < ny; iy++) {
-    for (let ix = 0; ix < nx; ix++) {
-      const lat = bounds.minLat + (iy + 0.5) * latStep;
-      const lon = bounds.minLon + (ix + 0.5) * lonStep;
-
-      cov.push({
-        name: `Grid ${iy * nx + ix + 1}`,
-        lat: Number(lat.toFixed(5)),
-        lon: Number(lon.toFixed(5)),
-        radius_km
-      });
+  const regions = [];
+  for (const r of Array.isArray(existing.regions) ? existing.regions : []) {
+    const unknown = (r.states || []).filter(slug => !knownSlugs.has(slug));
+    if (!r.slug || !r.name || !Array.isArray(r.states) || r.states.length < 2 || unknown.length) {
+      console.warn(`Dropping region '${r.slug || "?"}': needs slug, name and 2+ known states${unknown.length ? ` (unknown: ${unknown.join(", ")})` : ""}.`);
+      continue;
     }
+    regions.push({ slug: r.slug, name: r.name, states: r.states });
   }
-
-  // Add center circle ONLY for sparse grids (2x1 or 2x2).
-  // For 3x2 and 3x3, the grid is already dense enough and we save an API call.
-  const gridCount = nx * ny;
-  if (gridCount <= 4) {
-    cov.push({
-      name: "Center",
-      lat: Number(centerLat.toFixed(5)),
-      lon: Number(centerLon.toFixed(5)),
-      radius_km: Math.round(clamp(radius_km * 1.15, 90, 280))
-    });
-  }
-
-  return cov;
+  return regions;
 }
 
 async function main() {
-  const { inDir, outFile } = parseArgs(process.argv);
+  const { inDir, outFile, maxRadiusKm, reportFile } = parseArgs(process.argv);
 
   const codesRaw = await fs.readFile(CODES_FILE, "utf8");
   const codesBySlug = JSON.parse(codesRaw);
@@ -209,6 +86,7 @@ async function main() {
     .sort((a, b) => a.localeCompare(b));
 
   const states = [];
+  const report = [];
 
   for (const filename of geojsonFiles) {
     const slug = filename.replace(/\.geojson$/i, "");
@@ -223,8 +101,9 @@ async function main() {
     const geo = JSON.parse(raw);
     const feature = featureFromGeo(geo);
 
-    const bounds = computeBounds(feature);
-    const coverage = makeCoverageFromBounds(bounds, slug);
+    const { circles: coverage, spacingKm, areaKm2 } = coverageCircles(feature, { maxRadiusKm });
+    const { percent } = measureCoverage(feature, coverage, spacingKm);
+    report.push({ code, slug, calls: coverage.length, percentCovered: Number(percent.toFixed(2)), areaKm2: Math.round(areaKm2) });
 
     states.push({
       code,
@@ -238,8 +117,11 @@ async function main() {
   // Sort by name for nicer dropdowns
   states.sort((a, b) => a.name.localeCompare(b.name));
 
+  const regions = await readRegions(outFile, new Set(states.map(s => s.slug)));
+
   const out = {
     default: "indiana",
+    regions,
     states
   };
 
@@ -247,6 +129,30 @@ async function main() {
   await fs.writeFile(outFile, JSON.stringify(out, null, 2) + "\n", "utf8");
 
   console.log(`Wrote ${states.length} entries to ${outFile}`);
+
+  printReport(report);
+  if (reportFile) {
+    await fs.mkdir(path.dirname(reportFile), { recursive: true });
+    await fs.writeFile(reportFile, JSON.stringify({ maxRadiusKm, states: report }, null, 2) + "\n", "utf8");
+    console.log(`Wrote coverage report to ${reportFile}`);
+  }
+
+  const short = report.filter(r => r.percentCovered < 100);
+  if (short.length) {
+    throw new Error(`Coverage below 100% for ${short.map(r => `${r.code} (${r.percentCovered}%)`).join(", ")}.`);
+  }
+}
+
+function printReport(report) {
+  console.log("");
+  console.log("State  Calls  Covered   Area (km²)");
+  for (const r of report) {
+    console.log(
+      `${r.code.padEnd(5)}  ${String(r.calls).padStart(5)}  ${r.percentCovered.toFixed(2).padStart(6)}%  ${r.areaKm2.toLocaleString("en-US").padStart(11)}`
+    );
+  }
+  const calls = report.reduce((sum, r) => sum + r.calls, 0);
+  console.log(`Total: ${calls} API calls for a full search of all ${report.length} states.`);
 }
 
 main().catch((err) => {
@@ -63,6 +63,8 @@ async function main() {
     const staticPages = [
       { loc: BASE_URL + '/', changefreq: 'monthly', priority: '1.0' },
       { loc: BASE_URL + '/meetups/', changefreq: 'monthly', priority: '0.8' },
+      { loc: BASE_URL + '/map/', changefreq: 'monthly', priority: '0.7' },
+      { loc: BASE_URL + '/events/', changefreq: 'weekly', priority: '0.7' },
       // { loc: BASE_URL + '/about/', changefreq: 'monthly', priority: '0.6' },
     ];
 
@@ -0,0 +1,70 @@
+// scripts/lib/btcmap-client.mjs
+//
+// Minimal BTC Map API v4 client for build scripts.
+//
+// The HTTP layer is swappable so tests can point the scripts at a local fixture server
+// (or an in-process fake) instead of api.btcmap.org:
+//
+//   const client = createBtcMapClient({ baseUrl: "http://localhost:9000" });
+//   const client = createBtcMapClient({ fetch: async (url) => fakeResponse(url) });
+//
+// baseUrl also honors the BTCMAP_API_BASE environment variable.
+
+export const DEFAULT_BTCMAP_API_BASE = "https://api.btcmap.org";
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/**
+ * @param {object} [opts]
+ * @param {string} [opts.baseUrl]       API origin (default BTCMAP_API_BASE or https://api.btcmap.org)
+ * @param {Function} [opts.fetch]       fetch-compatible function (default globalThis.fetch)
+ * @param {number} [opts.retries=3]     retries for 429/5xx and network errors
+ * @param {number} [opts.retryDelayMs=2000]  first backoff delay (doubles each retry)
+ */
+export function createBtcMapClient(opts = {}) {
+  const baseUrl = opts.baseUrl || process.env.BTCMAP_API_BASE || DEFAULT_BTCMAP_API_BASE;
+  const fetchImpl = opts.fetch || globalThis.fetch;
+  const retries = opts.retries ?? 3;
+  const retryDelayMs = opts.retryDelayMs ?? 2000;
+
+  if (typeof fetchImpl !== "function") throw new Error("No fetch implementation available (Node 18+ required).");
+
+  async function getJson(pathname, params, label) {
+    const url = new URL(pathname, baseUrl);
+    for (const [k, v] of Object.entries(params || {})) url.searchParams.set(k, String(v));
+
+    for (let attempt = 0; ; attempt++) {
+      let res;
+      try {
+        res = await fetchImpl(url.toString(), { headers: { "accept": "application/json" } });
+      } catch (e) {
+        if (attempt >= retries) throw new Error(`${label}: ${e.message || e}`);
+        await sleep(retryDelayMs * 2 ** attempt);
+        continue;
+      }
+
+      if (res.ok) return res.json();
+
+      const retryable = res.status === 429 || res.status >= 500;
+      if (!retryable || attempt >= retries) throw new Error(`${label} HTTP ${res.status}`);
+      await sleep(retryDelayMs * 2 ** attempt);
+    }
+  }
+
+  return {
+    baseUrl,
+
+    // Same query map.js runs per coverage circle
+    async searchCircle(circle) {
+      const label = `Search failed (${circle.name || "circle"})`;
+      const data = await getJson("/v4/places/search/", {
+        lat: circle.lat,
+        lon: circle.lon,
+        radius_km: circle.radius_km
+      }, label);
+
+      if (!Array.isArray(data)) throw new Error(`Unexpected search response (${circle.name || "circle"}): expected an array`);
+      return data;
+    }
+  };
+}
@@ -0,0 +1,228 @@
+// scripts/lib/coverage-circles.mjs
+//
+// Coverage circles for BTC Map's /v4/places/search/ (lat, lon, radius_km): as few circles as possible that
+// together cover a state's real polygon, not its bounding box. Each circle is one API call per full search.
+//
+// How:
+// 1. Sample the state: a grid of points inside every polygon (about TARGET_SAMPLES per state), plus points
+//    every grid step along each ring, so small islands, thin slivers and long straight borders are sampled too.
+// 2. Candidate centers on a finer grid over each polygon's box. A candidate whose circle holds no sample lies
+//    entirely outside the state and is never used.
+// 3. Greedy set cover: take the candidate covering the most uncovered samples until all are covered, then drop
+//    circles the others make redundant.
+// 4. Shrink each circle to its farthest assigned sample plus one grid step. Every point of the state is within
+//    one grid step of a sample, so the area between samples is covered as well.
+//
+// measureCoverage() checks a result on an independent, denser grid (percent of the state's area).
+//
+// Used by scripts/generate-merchant-states.mjs. Tests: node --test tests/
+
+import { indexFeature, kmBetween, pointInIndex, pointInPolygon } from "../../assets/js/lib/geo.mjs";
+
+export const MAX_RADIUS_KM = 250;
+const MIN_RADIUS_KM = 5;
+const TARGET_SAMPLES = 3000;
+const MIN_SPACING_KM = 1;
+const KM_PER_DEG_LAT = 111.195;
+
+function kmPerDegLon(lat) {
+  return Math.max(KM_PER_DEG_LAT * Math.cos((lat * Math.PI) / 180), 1e-6);
+}
+
+// ---------- Area ----------
+// Equirectangular shoelace around the ring's mean latitude; plenty for choosing a grid step
+function ringAreaKm2(ring) {
+  const lat0 = ring.reduce((sum, [, lat]) => sum + lat, 0) / ring.length;
+  const kx = kmPerDegLon(lat0);
+
+  let twice = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    twice += (ring[j][0] * kx) * (ring[i][1] * KM_PER_DEG_LAT) - (ring[i][0] * kx) * (ring[j][1] * KM_PER_DEG_LAT);
+  }
+  return Math.abs(twice) / 2;
+}
+
+export function polygonAreaKm2(index) {
+  let area = 0;
+  for (const { coordinates } of index.polygons) {
+    area += ringAreaKm2(coordinates[0]);
+    for (let i = 1; i < coordinates.length; i++) area -= ringAreaKm2(coordinates[i]);
+  }
+  return area;
+}
+
+// ---------- Sampling ----------
+// Points spacingKm apart over a box; offset (0..1) shifts the grid by a fraction of a step
+function gridPoints(b, spacingKm, offset) {
+  const out = [];
+  const latStep = spacingKm / KM_PER_DEG_LAT;
+
+  for (let lat = b.minLat + latStep * offset; lat <= b.maxLat; lat += latStep) {
+    const lonStep = spacingKm / kmPerDegLon(lat);
+    for (let lon = b.minLon + lonStep * offset; lon <= b.maxLon; lon += lonStep) out.push([lon, lat]);
+  }
+  return out;
+}
+
+// Points along a ring, roughly spacingKm apart (every vertex of a coarse ring, interpolated on long edges)
+function ringPoints(ring, spacingKm) {
+  const out = [];
+  let last = null;
+
+  const keep = (pt) => {
+    if (last && kmBetween(last[1], last[0], pt[1], pt[0]) < spacingKm / 2) return;
+    out.push(pt);
+    last = pt;
+  };
+
+  for (let i = 1; i < ring.length; i++) {
+    const [aLon, aLat] = ring[i - 1];
+    const [bLon, bLat] = ring[i];
+    const steps = Math.max(1, Math.ceil(kmBetween(aLat, aLon, bLat, bLon) / spacingKm));
+    for (let k = 0; k < steps; k++) keep([aLon + ((bLon - aLon) * k) / steps, aLat + ((bLat - aLat) * k) / steps]);
+  }
+  if (!out.length && ring.length) out.push(ring[0]);
+  return out;
+}
+
+function samplePoints(index, spacingKm) {
+  const points = [];
+  for (const { bounds, coordinates } of index.polygons) {
+    for (const pt of gridPoints(bounds, spacingKm, 0.5)) {
+      if (pointInPolygon(pt, coordinates)) points.push(pt);
+    }
+    for (const ring of coordinates) points.push(...ringPoints(ring, spacingKm));
+  }
+  return points;
+}
+
+function boxCenter(b) {
+  return [(b.minLon + b.maxLon) / 2, (b.minLat + b.maxLat) / 2];
+}
+
+// ---------- Cover ----------
+// Indexes of points within reachKm of center
+function pointsWithin(points, [lon, lat], reachKm) {
+  const maxDLat = reachKm / KM_PER_DEG_LAT;
+  const out = [];
+  for (let i = 0; i < points.length; i++) {
+    const p = points[i];
+    if (Math.abs(p[1] - lat) > maxDLat) continue;
+    if (kmBetween(lat, lon, p[1], p[0]) <= reachKm) out.push(i);
+  }
+  return out;
+}
+
+/**
+ * Circles covering the feature's polygons.
+ * @param {object} feature   GeoJSON Feature (Polygon or MultiPolygon)
+ * @param {object} [opts]
+ * @param {number} [opts.maxRadiusKm=MAX_RADIUS_KM]
+ * @returns {{ circles: Array<{ name, lat, lon, radius_km }>, spacingKm: number, areaKm2: number }}
+ */
+export function coverageCircles(feature, opts = {}) {
+  const maxRadiusKm = opts.maxRadiusKm ?? MAX_RADIUS_KM;
+  const index = indexFeature(feature);
+  const areaKm2 = polygonAreaKm2(index);
+
+  // Grid step for ~TARGET_SAMPLES interior points; the shrink step adds it back as margin
+  const spacingKm = Math.min(maxRadiusKm / 4, Math.max(MIN_SPACING_KM, Math.sqrt(areaKm2 / TARGET_SAMPLES)));
+  const reachKm = maxRadiusKm - spacingKm;
+
+  const samples = samplePoints(index, spacingKm);
+
+  // Candidate centers: a grid at a third of the reach over each polygon's box, plus the box centers
+  const candidates = [];
+  for (const { bounds } of index.polygons) {
+    candidates.push(boxCenter(bounds), ...gridPoints(bounds, reachKm / 3, 0.5));
+  }
+
+  const reachable = candidates
+    .map(center => ({ center, covers: pointsWithin(samples, center, reachKm) }))
+    .filter(c => c.covers.length); // entirely outside the state
+
+  // Greedy set cover
+  const covered = new Uint8Array(samples.length);
+  let left = samples.length;
+  const chosen = [];
+
+  while (left > 0) {
+    let best = null, bestGain = 0;
+    for (const c of reachable) {
+      let gain = 0;
+      for (const i of c.covers) if (!covered[i]) gain++;
+      if (gain > bestGain) {
+        best = c;
+        bestGain = gain;
+      }
+    }
+    if (!best) throw new Error(`${left} sample point(s) out of reach of every candidate circle.`);
+
+    for (const i of best.covers) {
+      if (!covered[i]) {
+        covered[i] = 1;
+        left--;
+      }
+    }
+    chosen.push(best);
+  }
+
+  // Drop circles whose samples are all covered by the others (latest picks cover least, try them first)
+  const coverCount = new Uint16Array(samples.length);
+  for (const c of chosen) for (const i of c.covers) coverCount[i]++;
+  for (let k = chosen.length - 1; k >= 0; k--) {
+    if (chosen[k].covers.every(i => coverCount[i] > 1)) {
+      for (const i of chosen[k].covers) coverCount[i]--;
+      chosen.splice(k, 1);
+    }
+  }
+
+  // Shrink: each sample belongs to its nearest circle; a circle reaches its farthest sample plus one step
+  const farthest = chosen.map(() => 0);
+  for (const [lon, lat] of samples) {
+    let nearestK = 0, nearestKm = Infinity;
+    chosen.forEach((c, k) => {
+      const km = kmBetween(lat, lon, c.center[1], c.center[0]);
+      if (km < nearestKm) {
+        nearestK = k;
+        nearestKm = km;
+      }
+    });
+    farthest[nearestK] = Math.max(farthest[nearestK], nearestKm);
+  }
+
+  const circles = chosen
+    .map((c, k) => ({
+      lat: Number(c.center[1].toFixed(5)),
+      lon: Number(c.center[0].toFixed(5)),
+      radius_km: Math.max(MIN_RADIUS_KM, Math.min(maxRadiusKm, Math.ceil(farthest[k] + spacingKm)))
+    }))
+    // North to south, then west to east, so regenerating gives a stable, readable diff
+    .sort((a, b) => b.lat - a.lat || a.lon - b.lon)
+    .map((c, i) => ({ name: `Circle ${i + 1}`, ...c }));
+
+  return { circles, spacingKm, areaKm2 };
+}
+
+/**
+ * Share of the feature's area inside at least one circle, checked on a grid offset from the sampling grid.
+ * @param {object} feature
+ * @param {Array<{ lat, lon, radius_km }>} circles
+ * @param {number} spacingKm   sampling step from coverageCircles (the check grid is twice as dense)
+ * @returns {{ percent: number, points: number }}
+ */
+export function measureCoverage(feature, circles, spacingKm) {
+  const index = indexFeature(feature);
+  const step = spacingKm / 2;
+
+  let inside = 0, covered = 0;
+  for (const { bounds } of index.polygons) {
+    for (const pt of gridPoints(bounds, step, 0.25)) {
+      if (!pointInIndex(pt, index)) continue;
+      inside++;
+      if (circles.some(c => kmBetween(c.lat, c.lon, pt[1], pt[0]) <= c.radius_km)) covered++;
+    }
+  }
+
+  return { percent: inside ? (covered / inside) * 100 : 100, points: inside };
+}
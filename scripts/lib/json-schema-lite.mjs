@@ -0,0 +1,158 @@
+// scripts/lib/json-schema-lite.mjs
+//
+// Tiny JSON Schema (draft 2020-12 subset) validator, so the repo keeps zero npm dependencies.
+// Covers the keywords used by assets/data/us-meetups.schema.json:
+//   type, enum, const, pattern, minLength, maxLength, minimum, maximum, exclusiveMinimum,
+//   properties, required, additionalProperties, minProperties, items, minItems, uniqueItems,
+//   $ref (local "#/$defs/..." only), allOf, anyOf, oneOf, not, if/then/else, boolean schemas.
+//
+// Unknown keywords are ignored (annotations like title/description, $schema, $id).
+// Every failure is collected as { path, message } with a JSON path ("$.meetups[0].slug").
+
+function typeOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (typeof v === "number") return Number.isInteger(v) ? "integer" : "number";
+  return typeof v;
+}
+
+function typeMatches(v, t) {
+  const actual = typeOf(v);
+  return actual === t || (t === "number" && actual === "integer");
+}
+
+function childPath(path, key) {
+  if (typeof key === "number") return `${path}[${key}]`;
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+function deepEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith("#/")) throw new Error(`Unsupported $ref "${ref}" (only local refs).`);
+  let node = root;
+  for (const raw of ref.slice(2).split("/")) {
+    const key = raw.replace(/~1/g, "/").replace(/~0/g, "~");
+    node = node?.[key];
+    if (node === undefined) throw new Error(`Unresolvable $ref "${ref}".`);
+  }
+  return node;
+}
+
+function show(v) {
+  const s = JSON.stringify(v);
+  return s && s.length > 60 ? `${s.slice(0, 57)}…` : s;
+}
+
+/**
+ * Validates data against schema.
+ * @param {object} schema  root schema (holds $defs)
+ * @param {*} data
+ * @param {string} [path="$"]
+ * @returns {Array<{path: string, message: string}>}
+ */
+export function validate(schema, data, path = "$") {
+  const errors = [];
+  check(schema, schema, data, path, errors);
+  return errors;
+}
+
+function check(root, schema, v, path, errors) {
+  if (schema === true) return;
+  if (schema === false) {
+    errors.push({ path, message: "is not allowed here" });
+    return;
+  }
+
+  if (schema.$ref) check(root, resolveRef(root, schema.$ref), v, path, errors);
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => typeMatches(v, t))) {
+      errors.push({ path, message: `must be ${types.join(" or ")} (got ${typeOf(v)})` });
+      return; // further keywords would only repeat the same problem
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(e => deepEqual(e, v))) {
+    errors.push({ path, message: `must be one of ${schema.enum.map(show).join(", ")} (got ${show(v)})` });
+  }
+  if (schema.const !== undefined && !deepEqual(schema.const, v)) {
+    errors.push({ path, message: `must equal ${show(schema.const)} (got ${show(v)})` });
+  }
+
+  if (typeof v === "string") {
+    if (schema.pattern && !new RegExp(schema.pattern, "u").test(v)) {
+      errors.push({ path, message: `must match ${schema.pattern} (got ${show(v)})` });
+    }
+    if (schema.minLength !== undefined && [...v].length < schema.minLength) {
+      errors.push({ path, message: schema.minLength === 1 ? "must not be empty" : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && [...v].length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    }
+  }
+
+  if (typeof v === "number") {
+    if (schema.minimum !== undefined && v < schema.minimum) errors.push({ path, message: `must be >= ${schema.minimum} (got ${v})` });
+    if (schema.maximum !== undefined && v > schema.maximum) errors.push({ path, message: `must be <= ${schema.maximum} (got ${v})` });
+    if (schema.exclusiveMinimum !== undefined && v <= schema.exclusiveMinimum) errors.push({ path, message: `must be > ${schema.exclusiveMinimum} (got ${v})` });
+  }
+
+  if (typeOf(v) === "object") {
+    const keys = Object.keys(v);
+    for (const req of schema.required || []) {
+      if (!(req in v)) errors.push({ path, message: `is missing required property "${req}"` });
+    }
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      errors.push({ path, message: `must have at least ${schema.minProperties} propert${schema.minProperties === 1 ? "y" : "ies"}` });
+    }
+    const props = schema.properties || {};
+    for (const k of keys) {
+      if (k in props) check(root, props[k], v[k], childPath(path, k), errors);
+      else if (schema.additionalProperties === false) errors.push({ path: childPath(path, k), message: "is not an allowed property" });
+      else if (typeOf(schema.additionalProperties) === "object") check(root, schema.additionalProperties, v[k], childPath(path, k), errors);
+    }
+  }
+
+  if (Array.isArray(v)) {
+    if (schema.minItems !== undefined && v.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.uniqueItems) {
+      const seen = new Set();
+      v.forEach((item, i) => {
+        const k = JSON.stringify(item);
+        if (seen.has(k)) errors.push({ path: childPath(path, i), message: `duplicates an earlier item ${show(item)}` });
+        seen.add(k);
+      });
+    }
+    if (schema.items !== undefined) v.forEach((item, i) => check(root, schema.items, item, childPath(path, i), errors));
+  }
+
+  for (const sub of schema.allOf || []) check(root, sub, v, path, errors);
+
+  if (schema.anyOf && !schema.anyOf.some(sub => passes(root, sub, v, path))) {
+    errors.push({ path, message: `does not match any allowed form (got ${show(v)})` });
+  }
+  if (schema.oneOf) {
+    const n = schema.oneOf.filter(sub => passes(root, sub, v, path)).length;
+    if (n !== 1) errors.push({ path, message: n === 0 ? `does not match any allowed form (got ${show(v)})` : "matches more than one allowed form" });
+  }
+  if (schema.not && passes(root, schema.not, v, path)) {
+    errors.push({ path, message: "matches a disallowed form" });
+  }
+
+  if (schema.if !== undefined) {
+    const branch = passes(root, schema.if, v, path) ? schema.then : schema.else;
+    if (branch !== undefined) check(root, branch, v, path, errors);
+  }
+}
+
+function passes(root, schema, v, path) {
+  const errs = [];
+  check(root, schema, v, path, errs);
+  return errs.length === 0;
+}
@@ -0,0 +1,43 @@
+// scripts/lib/venue-privacy.mjs
+//
+// Which v1 venues are private, and how coarse their public coordinates are.
+// Used by scripts/validate-meetups.mjs (the data may be no more precise) and scripts/generate-calendars.mjs
+// (.ics LOCATION/GEO). assets/js/meetupmap.js keeps the same rule inline (isPrivateVenue/venuePrecision) for the map.
+//
+// Private: space "private", privacy.showExactAddressOnMap false, or an address given only on RSVP / request.
+// Private venues are at least city_level (2 decimals ≈ 1 km) unless they ask for "approximate" (3 ≈ 110 m).
+
+export const PRIVATE_GEO_DECIMALS = { approximate: 3, city_level: 2 };
+
+export function isPrivateVenue(v) {
+  const p = v?.privacy && typeof v.privacy === "object" ? v.privacy : {};
+  return v?.space === "private" ||
+    p.showExactAddressOnMap === false ||
+    p.addressDisclosure === "rsvp_required" ||
+    p.addressDisclosure === "on_request";
+}
+
+/**
+ * Public precision of a venue's coordinates: "exact" | "approximate" | "city_level"
+ * @param {object} v  v1 venue
+ * @returns {string}
+ */
+export function venuePrecision(v) {
+  const precision = String(v?.privacy?.geoPrecision ?? "").trim();
+  if (!isPrivateVenue(v)) return precision in PRIVATE_GEO_DECIMALS ? precision : "exact";
+  return precision === "approximate" ? "approximate" : "city_level";
+}
+
+// Rounds a coordinate to what precision allows ("exact" leaves it as it is)
+export function coarsen(n, precision) {
+  const d = PRIVATE_GEO_DECIMALS[precision];
+  if (d === undefined) return n;
+  const f = 10 ** d;
+  return Math.round(n * f) / f;
+}
+
+// "RSVP for address" / "Address on request" for a private venue, "" otherwise (the map's wording)
+export function addressCallToAction(v) {
+  if (!isPrivateVenue(v)) return "";
+  return v?.privacy?.addressDisclosure === "on_request" ? "Address on request" : "RSVP for address";
+}
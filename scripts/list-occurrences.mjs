@@ -0,0 +1,86 @@
+// scripts/list-occurrences.mjs
+//
+// Prints the next occurrences of every series in the v1 meetup files
+// (assets/data/us-meetups/index.json), using the same recurrence engine as the map.
+// Handy for checking recurrence/exceptions data before opening a PR.
+//
+// Usage:
+//   node scripts/list-occurrences.mjs
+//
+// Options:
+//   node scripts/list-occurrences.mjs --count 5 --from 2026-03-01 --all
+//
+// Notes:
+// - --all includes records whose status is not "active" (e.g. us-example.json).
+// - Skipped exception dates are listed and marked, so typos in exceptions[] stand out.
+
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { occurrences, formatOccurrence, isSupportedRecurrence, isValidTimeZone } from "../assets/js/lib/recurrence.mjs";
+
+const INDEX_FILE = "assets/data/us-meetups/index.json";
+
+function parseArgs(argv) {
+  const args = { count: 3, from: new Date(), all: false };
+  for (let i = 2; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--count" && argv[i + 1]) args.count = Number(argv[++i]);
+    else if (a === "--from" && argv[i + 1]) args.from = new Date(`${argv[++i]}T00:00:00Z`);
+    else if (a === "--all") args.all = true;
+  }
+  if (!Number.isInteger(args.count) || args.count < 1) throw new Error("--count must be a positive integer.");
+  if (Number.isNaN(args.from.getTime())) throw new Error("--from must be a YYYY-MM-DD date.");
+  return args;
+}
+
+const isActive = (x) => String(x?.status ?? "").toLowerCase() === "active";
+
+async function main() {
+  const { count, from, all } = parseArgs(process.argv);
+
+  const index = JSON.parse(await fs.readFile(INDEX_FILE, "utf8"));
+  const files = Array.isArray(index.files) ? index.files : [];
+
+  for (const file of files) {
+    const filePath = path.join(path.dirname(INDEX_FILE), file);
+    const doc = JSON.parse(await fs.readFile(filePath, "utf8"));
+
+    console.log(`\n# ${filePath}`);
+
+    for (const m of doc.meetups || []) {
+      if (!all && !isActive(m)) continue;
+      console.log(`\n${m.name} (${m.slug})${isActive(m) ? "" : ` [${m.status}]`}`);
+
+      for (const s of m.series || []) {
+        if (!all && !isActive(s)) continue;
+        console.log(`  ${s.name || s.slug}`);
+
+        if (!isValidTimeZone(s.timeZone)) {
+          console.log(`    ! invalid timeZone "${s.timeZone}"`);
+          continue;
+        }
+        if (!isSupportedRecurrence(s.recurrence)) {
+          console.log(`    ! unsupported recurrence type "${s.recurrence?.type}"`);
+          continue;
+        }
+
+        const occ = occurrences(s, { from, count, includeSkipped: true });
+        if (occ.length === 0) console.log("    (no upcoming dates)");
+
+        for (const o of occ) {
+          const flags = [
+            o.skipped ? "skipped" : "",
+            o.overridden ? `override${o.venueSlug !== s.venueSlug ? ` → ${o.venueSlug}` : ""}` : "",
+            o.note
+          ].filter(Boolean).join("; ");
+          console.log(`    ${o.date}  ${formatOccurrence(o)}${flags ? `  (${flags})` : ""}`);
+        }
+      }
+    }
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,311 @@
+// scripts/migrate-meetups-v1.mjs
+//
+// Converts the flat assets/data/meetups.json into v1 region files
+// (assets/data/us-meetups/us-<state>.json), one file per state_code, and lists them in
+// assets/data/us-meetups/index.json.
+//
+// Usage:
+//   node scripts/migrate-meetups-v1.mjs --dry-run     # print the review report only
+//   node scripts/migrate-meetups-v1.mjs               # write region files (refuses to overwrite)
+//
+// Options:
+//   --out <dir>          output folder (default assets/data/us-meetups)
+//   --date YYYY-MM-DD    effective.startDate + audit.lastModified for migrated records (default today)
+//   --force              overwrite existing region files
+//
+// Mapping (best effort):
+// - venue/address/lat/lon       → one venue (+ the meetup pin at the same point; venue pin disabled)
+// - schedule                    → series[].recurrence, e.g. "Monthly | 3rd Wednesday | 7:00 PM ET"
+//                                 (assets/js/lib/schedule-text.mjs, shared with the events page)
+// - cities                      → map.nearbyCities
+// - links                       → links (label kept)
+// - id, schedule, review notes  → legacy { id, schedule, review[] }
+//
+// Nothing is dropped silently: anything the converter is unsure about is written to
+// legacy.review[] on the meetup and printed in the report. Validate afterwards with
+//   node scripts/validate-meetups.mjs --v1
+
+import fs from "node:fs";
+import path from "node:path";
+import { parseSchedule, timeZoneFor } from "../assets/js/lib/schedule-text.mjs";
+
+const FILE = "assets/data/meetups.json";
+const DEFAULT_OUT_DIR = "assets/data/us-meetups";
+const INDEX_NAME = "index.json";
+
+const COUNTRY = { name: "United States", alpha2: "US", alpha3: "USA" };
+
+const DEFAULTS = {
+  distanceUnit: "mi",
+  nearbyCities: { count: 10, radius: 25 },
+  pinColors: { meetup: "#f7931a", venue: "#ffcc00" }
+};
+
+function parseArgs(argv) {
+  const args = { outDir: DEFAULT_OUT_DIR, date: new Date().toISOString().slice(0, 10), force: false, dryRun: false };
+  for (let i = 2; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--out" && argv[i + 1]) args.outDir = argv[++i];
+    else if (a === "--date" && argv[i + 1]) args.date = argv[++i];
+    else if (a === "--force") args.force = true;
+    else if (a === "--dry-run") args.dryRun = true;
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(args.date)) throw new Error("--date must be YYYY-MM-DD.");
+  return args;
+}
+
+function asStr(x) {
+  return (x === null || x === undefined) ? "" : String(x).trim();
+}
+
+function slugify(s) {
+  return asStr(s)
+    .toLowerCase()
+    .replace(/&/g, "and")
+    .replace(/['’]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+function uniqCaseInsensitive(arr) {
+  const out = [];
+  const seen = new Set();
+  for (const v of arr) {
+    const s = asStr(v);
+    if (!s) continue;
+    const k = s.toLowerCase();
+    if (seen.has(k)) continue;
+    seen.add(k);
+    out.push(s);
+  }
+  return out;
+}
+
+// "2131 E 71st St, Indianapolis, IN 46220" → { line1, city, postalCode }
+function parseAddress(address, m) {
+  const parts = asStr(address).split(",").map(asStr).filter(Boolean);
+  const out = { line1: null, line2: null, city: asStr(m.city), postalCode: asStr(m.zip) || null };
+
+  const last = parts[parts.length - 1] || "";
+  const stateZip = /^([A-Z]{2})(?:\s+(\d{5}(?:-\d{4})?))?$/.exec(last);
+  if (stateZip) {
+    parts.pop();
+    if (stateZip[2]) out.postalCode = stateZip[2];
+    if (parts.length) out.city = parts.pop();
+  }
+  if (parts.length) out.line1 = parts.join(", ");
+  return out;
+}
+
+// Private venues keep city-level coordinates only (2 decimals ≈ 1 km); see validate-meetups.mjs
+function cityLevelGeo(lat, lon) {
+  return { lat: Math.round(lat * 100) / 100, lon: Math.round(lon * 100) / 100 };
+}
+
+function region(stateCode, stateName) {
+  return { name: stateName, abbr: stateCode, code: `US-${stateCode}` };
+}
+
+function migrateMeetup(m, opts, usedSlugs) {
+  const review = [];
+  const stateCode = asStr(m.state_code || m.state).toUpperCase();
+  const stateName = asStr(m.state_name);
+  const reg = region(stateCode, stateName);
+  const lastModified = `${opts.date}T00:00:00Z`;
+
+  const uniqueSlug = (base) => {
+    let s = base;
+    for (let i = 2; usedSlugs.has(s); i++) s = `${base}-${i}`;
+    usedSlugs.add(s);
+    return s;
+  };
+
+  const slug = uniqueSlug(`us-${stateCode.toLowerCase()}-${slugify(m.id)}`);
+
+  // ----- venue -----
+  const venueName = asStr(m.venue);
+  const isPrivate = /\bprivate\b/i.test(`${venueName} ${m.address}`);
+  const varies = /\bvar(ies|y)\b/i.test(venueName);
+  const addr = parseAddress(m.address, m);
+
+  if (!venueName) review.push("no venue name");
+  if (varies) review.push(`venue "${venueName}" varies; one address kept, consider one venue per location`);
+  if (isPrivate) review.push("venue looks private; migrated as \"Private location\" with city-level coordinates and no street address (RSVP for address)");
+  if (!addr.line1 && !isPrivate) review.push(`address "${asStr(m.address)}" has no street line`);
+
+  const venue = {
+    slug: uniqueSlug(`us-${stateCode.toLowerCase()}-${slugify(addr.city)}-${slugify(venueName.replace(/\(.*?\)/g, "")) || "venue"}`),
+    status: "active",
+    name: isPrivate ? "Private location" : (venueName || "Venue"),
+    space: isPrivate ? "private" : "public",
+    address: {
+      line1: isPrivate ? null : addr.line1,
+      line2: null,
+      city: addr.city,
+      region: reg,
+      postalCode: addr.postalCode,
+      country: COUNTRY
+    },
+    geo: isPrivate ? cityLevelGeo(m.lat, m.lon) : { lat: m.lat, lon: m.lon },
+    map: { enabled: false, pin: { kind: "venue", color: DEFAULTS.pinColors.venue, label: "LN" } },
+    privacy: isPrivate
+      ? { showExactAddressOnMap: false, geoPrecision: "city_level", addressDisclosure: "rsvp_required" }
+      : { showExactAddressOnMap: true, geoPrecision: "exact" },
+    audit: { lastModified, lastVerified: null }
+  };
+
+  // ----- series -----
+  const parsed = parseSchedule(m.schedule, review);
+  const timeZone = parsed.series.length ? timeZoneFor(stateCode, parsed.zone, review) : "";
+
+  const series = parsed.series.map(s => {
+    const freq = s.recurrence.type === "weekly" ? (s.recurrence.interval === 2 ? "biweekly" : "weekly") : "monthly";
+    const name = s.label ? `${s.label[0].toUpperCase()}${s.label.slice(1)} night` : `${freq[0].toUpperCase()}${freq.slice(1)} meetup`;
+
+    let start = s.start;
+    let status = "active";
+    if (!start) {
+      review.push(`${name}: no start time in schedule "${asStr(m.schedule)}"; series left inactive with a 19:00 placeholder`);
+      start = "19:00";
+      status = "inactive";
+    }
+
+    return {
+      slug: uniqueSlug(`${slug}-${slugify(s.label) || freq}`),
+      status,
+      name,
+      timeZone,
+      venueSlug: venue.slug,
+      time: { start },
+      recurrence: s.recurrence,
+      effective: { startDate: opts.date, endDate: null },
+      exceptions: [],
+      visibility: { discoverableOnMap: true, rsvpRequired: isPrivate },
+      audit: { lastModified, lastVerified: null }
+    };
+  });
+
+  // ----- coverage -----
+  const otherStates = (Array.isArray(m.states) ? m.states : [])
+    .map(s => asStr(s).toUpperCase())
+    .filter(s => s && s !== stateCode);
+  if (otherStates.length) {
+    review.push(`also serves ${otherStates.join(", ")}; set regionAbbr on nearbyCities that are in those states`);
+  }
+
+  const nearbyCities = uniqCaseInsensitive(m.cities || [])
+    .map(city => ({ city, regionAbbr: stateCode, countryAlpha2: "US" }));
+
+  const links = (Array.isArray(m.links) ? m.links : [])
+    .filter(l => l && asStr(l.url))
+    .map(l => {
+      const out = { type: asStr(l.type) || "other", url: asStr(l.url) };
+      if (asStr(l.label)) out.label = asStr(l.label);
+      return out;
+    });
+
+  const meetup = {
+    slug,
+    status: "active",
+    name: asStr(m.name) || "Bitcoin Meetup",
+    description: asStr(m.notes),
+    location: {
+      country: COUNTRY,
+      region: reg,
+      city: asStr(m.city) || addr.city,
+      county: asStr(m.county),
+      postalCode: asStr(m.zip) || null
+    },
+    map: {
+      enabled: true,
+      pin: { kind: "meetup", color: DEFAULTS.pinColors.meetup, label: "BTC" },
+      geo: isPrivate ? cityLevelGeo(m.lat, m.lon) : { lat: m.lat, lon: m.lon },
+      geoPrecision: isPrivate ? "city_level" : "exact",
+      nearbyCities
+    },
+    links,
+    venues: [venue],
+    series,
+    legacy: { id: asStr(m.id), schedule: asStr(m.schedule), review },
+    audit: { lastModified, lastVerified: null }
+  };
+
+  if (!meetup.location.county) delete meetup.location.county;
+  if (!meetup.description) delete meetup.description;
+
+  return meetup;
+}
+
+function main() {
+  const opts = parseArgs(process.argv);
+
+  const data = JSON.parse(fs.readFileSync(FILE, "utf8"));
+  if (!Array.isArray(data)) throw new Error(`${FILE} must be a JSON array`);
+
+  const usedSlugs = new Set();
+  const byState = new Map();
+
+  for (const m of data) {
+    if (!m || typeof m !== "object") continue;
+    const code = asStr(m.state_code || m.state).toUpperCase();
+    if (!/^[A-Z]{2}$/.test(code)) {
+      console.warn(`⚠️ ${asStr(m.id) || "(no id)"}: no valid state_code; not migrated (fix it in ${FILE} first)`);
+      continue;
+    }
+    if (!byState.has(code)) byState.set(code, { name: asStr(m.state_name), meetups: [] });
+    byState.get(code).meetups.push(migrateMeetup(m, opts, usedSlugs));
+  }
+
+  // ----- report -----
+  let flagged = 0;
+  for (const [code, st] of [...byState.entries()].sort()) {
+    console.log(`\n${code} (${st.meetups.length})`);
+    for (const mt of st.meetups) {
+      const r = mt.legacy.review;
+      if (r.length) flagged++;
+      console.log(`  ${r.length ? "⚠️" : "✅"} ${mt.legacy.id} → ${mt.slug} (${mt.series.length} series)`);
+      for (const line of r) console.log(`      - ${line}`);
+    }
+  }
+  console.log(`\n${flagged} of ${data.length} meetup(s) need manual review (see legacy.review in the output).`);
+
+  if (opts.dryRun) return;
+
+  // ----- write -----
+  const files = [];
+  for (const [code, st] of [...byState.entries()].sort()) {
+    const name = `us-${code.toLowerCase()}.json`;
+    const outPath = path.join(opts.outDir, name);
+    if (fs.existsSync(outPath) && !opts.force) {
+      throw new Error(`${outPath} already exists (edit it directly, or re-run with --force to overwrite).`);
+    }
+
+    const doc = {
+      schemaVersion: "1.0.0",
+      scope: { country: COUNTRY, region: region(code, st.name) },
+      defaults: DEFAULTS,
+      meetups: st.meetups
+    };
+    files.push({ name, outPath, doc });
+  }
+
+  fs.mkdirSync(opts.outDir, { recursive: true });
+  for (const f of files) {
+    fs.writeFileSync(f.outPath, JSON.stringify(f.doc, null, 2) + "\n", "utf8");
+  }
+
+  // Keep index.json in sync so the map (and validator) pick the new files up
+  const indexPath = path.join(opts.outDir, INDEX_NAME);
+  const index = fs.existsSync(indexPath) ? JSON.parse(fs.readFileSync(indexPath, "utf8")) : { schemaVersion: "1.0.0", files: [] };
+  index.files = uniqCaseInsensitive([...(index.files || []), ...files.map(f => f.name)]).sort((a, b) => a.localeCompare(b));
+  fs.writeFileSync(indexPath, JSON.stringify(index, null, 2) + "\n", "utf8");
+
+  console.log(`Wrote ${files.length} region file(s) to ${opts.outDir} and updated ${indexPath}.`);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(err);
+  process.exit(1);
+}
@@ -1,14 +1,42 @@
+// scripts/validate-meetups.mjs
+//
+// Validates meetup data. Reports every problem (file + JSON path) and exits 1 if any were found.
+//
+// Usage:
+//   node scripts/validate-meetups.mjs            # legacy meetups.json + all v1 files
+//   node scripts/validate-meetups.mjs --legacy   # only assets/data/meetups.json
+//   node scripts/validate-meetups.mjs --v1       # only assets/data/us-meetups/*.json
+//
+// v1 checks:
+// - JSON Schema: assets/data/us-meetups.schema.json
+// - Cross-references: series[].venueSlug and exceptions[].override.venueSlug must name a venue
+//   of the same meetup; meetup/venue/series slugs must be unique across all v1 files.
+// - Recurrence sanity (via assets/js/lib/recurrence.mjs): valid IANA timeZone, endDate >= startDate,
+//   exception dates that never occur (warning).
+// - us-meetups/index.json must list every region file in the folder.
+// - Venue privacy: private venues (and meetup pins that point at them) must not expose exact
+//   coordinates; showExactAddressOnMap must be false and geoPrecision not "exact".
+// - Open legacy.review notes from scripts/migrate-meetups-v1.mjs (warning).
+
 import fs from "node:fs";
+import path from "node:path";
+import { validate } from "./lib/json-schema-lite.mjs";
+import { PRIVATE_GEO_DECIMALS, isPrivateVenue } from "./lib/venue-privacy.mjs";
+import { isValidTimeZone, occurrences, parseYmd, zonedDateTimeToUtc } from "../assets/js/lib/recurrence.mjs";
 
 const FILE = "assets/data/meetups.json";
+const V1_INDEX_FILE = "assets/data/us-meetups/index.json";
+const V1_SCHEMA_FILE = "assets/data/us-meetups.schema.json";
 
-function fail(msg) {
-  console.error(`\n❌ ${msg}\n`);
-  process.exit(1);
+const errors = [];
+const warnings = [];
+
+function error(file, at, msg) {
+  errors.push(`${file} ${at}: ${msg}`);
 }
 
 function warn(msg) {
-  console.warn(`⚠️ ${msg}`);
+  warnings.push(msg);
 }
 
 function isObject(x) {
@@ -31,10 +59,6 @@ function decimalPlaces(n) {
   return m ? m[1].length : 0;
 }
 
-function ensure(cond, msg) {
-  if (!cond) fail(msg);
-}
-
 function compareAlphaCI(a, b) {
   return a.toLowerCase().localeCompare(b.toLowerCase(), "en");
 }
@@ -46,88 +70,279 @@ const orderIndex = (type) => {
   return i === -1 ? ORDER.indexOf("other") : i; // unknown treated as "other"
 };
 
-let raw;
-try {
-  raw = fs.readFileSync(FILE, "utf8");
-} catch (e) {
-  fail(`Could not read ${FILE}: ${e.message}`);
+// Returns parsed JSON, or null after recording the error
+function readJson(file) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, "utf8");
+  } catch (e) {
+    error(file, "$", `could not be read: ${e.message}`);
+    return null;
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    error(file, "$", `is not valid JSON: ${e.message}`);
+    return null;
+  }
 }
 
-let data;
-try {
-  data = JSON.parse(raw);
-} catch (e) {
-  fail(`${FILE} is not valid JSON: ${e.message}`);
+// ---------- Legacy: assets/data/meetups.json ----------
+function validateLegacy() {
+  const data = readJson(FILE);
+  if (data === null) return 0;
+
+  if (!Array.isArray(data)) {
+    error(FILE, "$", "must be a JSON array of meetups.");
+    return 0;
+  }
+
+  const ensure = (cond, at, msg) => {
+    if (!cond) error(FILE, at, msg);
+    return !!cond;
+  };
+
+  const ids = new Set();
+
+  data.forEach((m, idx) => {
+    const at = `$[${idx}]`;
+
+    if (!ensure(isObject(m), at, "must be an object.")) return;
+
+    const requiredStringFields = ["id", "name", "address", "city", "state_code", "state_name"];
+    for (const f of requiredStringFields) {
+      ensure(asStr(m[f]), `${at}.${f}`, "is required and must be a non-empty string.");
+    }
+
+    // id uniqueness
+    const id = asStr(m.id);
+    if (id) {
+      ensure(!ids.has(id), `${at}.id`, `"${id}" is duplicated.`);
+      ids.add(id);
+    }
+
+    // state_code format
+    const stateCode = asStr(m.state_code).toUpperCase();
+    ensure(isStateCode(stateCode), `${at}.state_code`, `must be 2 uppercase letters (e.g., "IN").`);
+
+    // lat/lon numbers + 8 decimals
+    for (const f of ["lat", "lon"]) {
+      if (ensure(Number.isFinite(m[f]), `${at}.${f}`, "must be a number.")) {
+        ensure(decimalPlaces(m[f]) >= 8, `${at}.${f}`, `must have at least 8 decimal places (got ${m[f]}).`);
+      }
+    }
+
+    // states array
+    if (ensure(Array.isArray(m.states), `${at}.states`, "is required and must be an array of state codes.")) {
+      const states = m.states.map(s => asStr(s).toUpperCase()).filter(Boolean);
+      ensure(states.length >= 1, `${at}.states`, "must have at least 1 value.");
+      states.forEach((s, si) => {
+        ensure(isStateCode(s), `${at}.states[${si}]`, `invalid state code "${s}".`);
+      });
+      ensure(states.includes(stateCode), `${at}.states`, `must include state_code "${stateCode}".`);
+    }
+
+    // cities array
+    if (ensure(Array.isArray(m.cities), `${at}.cities`, "is required and must be an array of strings.")) {
+      const cities = m.cities.map(c => asStr(c)).filter(Boolean);
+      ensure(cities.length >= 1, `${at}.cities`, "must have at least 1 city string.");
+      // verify sorted (case-insensitive)
+      const sorted = [...cities].sort(compareAlphaCI);
+      const sameOrder = cities.length === sorted.length && cities.every((v, i) => v === sorted[i]);
+      ensure(sameOrder, `${at}.cities`, "must be sorted alphabetically (case-insensitive). Run: node scripts/format-meetups.mjs");
+    }
+
+    // Optional: links order + schema
+    if (m.links !== undefined && ensure(Array.isArray(m.links), `${at}.links`, "must be an array if present.")) {
+      let lastIdx = -1;
+      m.links.forEach((l, li) => {
+        const lat2 = `${at}.links[${li}]`;
+        if (!ensure(isObject(l), lat2, "must be an object.")) return;
+        // url required if link object exists
+        ensure(asStr(l.url), `${lat2}.url`, "is required.");
+        // type optional but encouraged
+        const idx2 = orderIndex(l.type);
+        // enforce monotonic increase
+        ensure(idx2 >= lastIdx, lat2, `links must be ordered: website → meetup → linktree → x → nostr → other (type="${asStr(l.type)}").`);
+        lastIdx = Math.max(lastIdx, idx2);
+      });
+    }
+
+    // Optional: state_name sanity (not strict)
+    if (asStr(m.state_name).length < 3) {
+      warn(`${FILE} ${at}.state_name looks unusually short: "${asStr(m.state_name)}"`);
+    }
+  });
+
+  return data.length;
 }
 
-ensure(Array.isArray(data), `${FILE} must be a JSON array of meetups.`);
+// ---------- v1: assets/data/us-meetups/*.json ----------
+function validateSeriesDates(file, at, series) {
+  const start = parseYmd(series.effective?.startDate);
+  const end = parseYmd(series.effective?.endDate);
+  if (start !== null && end !== null && end < start) {
+    error(file, `${at}.effective.endDate`, "must not be before effective.startDate.");
+  }
 
-const ids = new Set();
+  const tz = asStr(series.timeZone);
+  if (tz && !isValidTimeZone(tz)) {
+    error(file, `${at}.timeZone`, `"${tz}" is not a known IANA time zone.`);
+    return;
+  }
 
-data.forEach((m, idx) => {
-  const at = `meetups[${idx}]`;
+  (series.exceptions || []).forEach((ex, xi) => {
+    const day = asStr(ex?.date);
+    if (parseYmd(day) === null || !tz) return;
+    const from = zonedDateTimeToUtc(day, "00:00", tz);
+    const until = zonedDateTimeToUtc(day, "23:59", tz);
+    const hit = occurrences(series, { from, until, includeSkipped: true }).some(o => o.date === day);
+    if (!hit) warn(`${file} ${at}.exceptions[${xi}].date: ${day} is not a scheduled date for this series (ignored by the map and calendars).`);
+  });
+}
+
+// Private venues (scripts/lib/venue-privacy.mjs): coordinates in the public JSON may be no finer than their
+// geoPrecision allows (2 decimals ≈ 1 km for city_level, 3 ≈ 110 m for approximate).
+function checkCoarseGeo(file, at, geo, precision) {
+  const level = precision in PRIVATE_GEO_DECIMALS ? precision : "city_level";
+  const max = PRIVATE_GEO_DECIMALS[level];
+  for (const f of ["lat", "lon"]) {
+    if (Number.isFinite(geo?.[f]) && decimalPlaces(geo[f]) > max) {
+      error(file, `${at}.${f}`, `exposes exact coordinates of a private venue (got ${geo[f]}); round to ${max} decimal places for ${level}.`);
+    }
+  }
+}
 
-  ensure(isObject(m), `${at} must be an object.`);
+function validateVenuePrivacy(file, at, v) {
+  if (!isPrivateVenue(v)) return;
+  const privacy = isObject(v.privacy) ? v.privacy : {};
 
-  const requiredStringFields = ["id", "name", "address", "city", "state_code", "state_name"];
-  for (const f of requiredStringFields) {
-    ensure(asStr(m[f]), `${at}.${f} is required and must be a non-empty string.`);
+  if (privacy.showExactAddressOnMap !== false) {
+    error(file, `${at}.privacy.showExactAddressOnMap`, "must be false for a private venue.");
   }
+  if (privacy.geoPrecision === "exact") {
+    error(file, `${at}.privacy.geoPrecision`, `must be "city_level" or "approximate" for a private venue.`);
+  }
+  checkCoarseGeo(file, `${at}.geo`, v.geo, privacy.geoPrecision);
 
-  // id uniqueness
-  const id = asStr(m.id);
-  ensure(!ids.has(id), `${at}.id "${id}" is duplicated.`);
-  ids.add(id);
-
-  // state_code format
-  const stateCode = asStr(m.state_code).toUpperCase();
-  ensure(isStateCode(stateCode), `${at}.state_code must be 2 uppercase letters (e.g., "IN").`);
-
-  // lat/lon numbers + 8 decimals
-  ensure(Number.isFinite(m.lat), `${at}.lat must be a number.`);
-  ensure(Number.isFinite(m.lon), `${at}.lon must be a number.`);
-  ensure(decimalPlaces(m.lat) >= 8, `${at}.lat must have at least 8 decimal places (got ${m.lat}).`);
-  ensure(decimalPlaces(m.lon) >= 8, `${at}.lon must have at least 8 decimal places (got ${m.lon}).`);
-
-  // states array
-  ensure(Array.isArray(m.states), `${at}.states is required and must be an array of state codes.`);
-  const states = m.states.map(s => asStr(s).toUpperCase()).filter(Boolean);
-  ensure(states.length >= 1, `${at}.states must have at least 1 value.`);
-  for (const s of states) {
-    ensure(isStateCode(s), `${at}.states contains invalid state code "${s}".`);
+  if (asStr(v.address?.line1)) {
+    warn(`${file} ${at}.address.line1: private venue has a street address in public data (the map hides it; consider null).`);
   }
-  ensure(states.includes(stateCode), `${at}.states must include state_code "${stateCode}".`);
-
-  // cities array
-  ensure(Array.isArray(m.cities), `${at}.cities is required and must be an array of strings.`);
-  const cities = m.cities.map(c => asStr(c)).filter(Boolean);
-  ensure(cities.length >= 1, `${at}.cities must have at least 1 city string.`);
-  // verify sorted (case-insensitive)
-  const sorted = [...cities].sort(compareAlphaCI);
-  const sameOrder = cities.length === sorted.length && cities.every((v, i) => v === sorted[i]);
-  ensure(sameOrder, `${at}.cities must be sorted alphabetically (case-insensitive).`);
-
-  // Optional: links order + schema
-  if (m.links !== undefined) {
-    ensure(Array.isArray(m.links), `${at}.links must be an array if present.`);
-    let lastIdx = -1;
-    m.links.forEach((l, li) => {
-      const lat2 = `${at}.links[${li}]`;
-      ensure(isObject(l), `${lat2} must be an object.`);
-      // url required if link object exists
-      ensure(asStr(l.url), `${lat2}.url is required.`);
-      // type optional but encouraged
-      const idx2 = orderIndex(l.type);
-      // enforce monotonic increase
-      ensure(idx2 >= lastIdx, `${at}.links must be ordered: website → meetup → linktree → x → nostr → other. Problem at ${lat2} (type="${asStr(l.type)}").`);
-      lastIdx = idx2;
+}
+
+function validateV1File(file, doc, schema, slugOwners) {
+  for (const e of validate(schema, doc)) error(file, e.path, e.message);
+  if (!isObject(doc) || !Array.isArray(doc.meetups)) return 0;
+
+  // Slugs must be unique across every v1 file (they become URLs / calendar UIDs)
+  const claim = (slug, at) => {
+    const s = asStr(slug);
+    if (!s) return;
+    const owner = slugOwners.get(s);
+    if (owner) error(file, at, `slug "${s}" is already used at ${owner}.`);
+    else slugOwners.set(s, `${file} ${at}`);
+  };
+
+  doc.meetups.forEach((m, mi) => {
+    if (!isObject(m)) return;
+    const at = `$.meetups[${mi}]`;
+    claim(m.slug, `${at}.slug`);
+
+    const review = Array.isArray(m.legacy?.review) ? m.legacy.review : [];
+    if (review.length) warn(`${file} ${at}.legacy.review: ${review.length} migration note(s) still open (delete them once checked).`);
+
+    const venues = Array.isArray(m.venues) ? m.venues : [];
+    const venueSlugs = new Set();
+    venues.forEach((v, vi) => {
+      if (!isObject(v)) return;
+      claim(v.slug, `${at}.venues[${vi}].slug`);
+      if (asStr(v.slug)) venueSlugs.add(asStr(v.slug));
+      validateVenuePrivacy(file, `${at}.venues[${vi}]`, v);
     });
+
+    // A meetup pin must not give away a private venue it meets at
+    const privateSlugs = new Set(venues.filter(v => isObject(v) && isPrivateVenue(v)).map(v => asStr(v.slug)));
+    const usesPrivate = (Array.isArray(m.series) ? m.series : []).some(s => privateSlugs.has(asStr(s?.venueSlug)));
+    if (usesPrivate && isObject(m.map)) {
+      if (m.map.geoPrecision === "exact" || m.map.geoPrecision === undefined) {
+        error(file, `${at}.map.geoPrecision`, `must be "city_level" or "approximate" (a series meets at a private venue).`);
+      }
+      checkCoarseGeo(file, `${at}.map.geo`, m.map.geo, m.map.geoPrecision);
+    }
+
+    const mustResolve = (slug, p) => {
+      const s = asStr(slug);
+      if (s && !venueSlugs.has(s)) error(file, p, `venue "${s}" does not exist in ${at}.venues.`);
+    };
+
+    (Array.isArray(m.series) ? m.series : []).forEach((s, si) => {
+      if (!isObject(s)) return;
+      const sat = `${at}.series[${si}]`;
+      claim(s.slug, `${sat}.slug`);
+      mustResolve(s.venueSlug, `${sat}.venueSlug`);
+
+      (Array.isArray(s.exceptions) ? s.exceptions : []).forEach((ex, xi) => {
+        if (isObject(ex?.override)) mustResolve(ex.override.venueSlug, `${sat}.exceptions[${xi}].override.venueSlug`);
+      });
+
+      validateSeriesDates(file, sat, s);
+    });
+  });
+
+  return doc.meetups.length;
+}
+
+function validateV1() {
+  const schema = readJson(V1_SCHEMA_FILE);
+  const index = readJson(V1_INDEX_FILE);
+  if (schema === null || index === null) return { files: 0, meetups: 0 };
+
+  if (!Array.isArray(index.files)) {
+    error(V1_INDEX_FILE, "$.files", "must be an array of file names.");
+    return { files: 0, meetups: 0 };
   }
 
-  // Optional: state_name sanity (not strict)
-  if (asStr(m.state_name).length < 3) {
-    warn(`${at}.state_name looks unusually short: "${asStr(m.state_name)}"`);
+  const dir = path.dirname(V1_INDEX_FILE);
+  const listed = new Set(index.files.map(asStr));
+  for (const name of fs.readdirSync(dir).filter(n => n.endsWith(".json") && n !== path.basename(V1_INDEX_FILE))) {
+    if (!listed.has(name)) error(V1_INDEX_FILE, "$.files", `does not list ${name} (the map would never load it).`);
   }
-});
 
-console.log(`✅ meetups.json OK (${data.length} meetups validated).`);
+  const slugOwners = new Map();
+  let meetups = 0;
+
+  index.files.forEach((name, fi) => {
+    const file = path.join(dir, asStr(name));
+    if (!fs.existsSync(file)) {
+      error(V1_INDEX_FILE, `$.files[${fi}]`, `"${name}" does not exist.`);
+      return;
+    }
+    const doc = readJson(file);
+    if (doc !== null) meetups += validateV1File(file, doc, schema, slugOwners);
+  });
+
+  return { files: index.files.length, meetups };
+}
+
+// ---------- Main ----------
+const args = new Set(process.argv.slice(2));
+const runLegacy = args.has("--legacy") || !args.has("--v1");
+const runV1 = args.has("--v1") || !args.has("--legacy");
+
+const summary = [];
+if (runLegacy) summary.push(`meetups.json: ${validateLegacy()} meetups`);
+if (runV1) {
+  const r = validateV1();
+  summary.push(`us-meetups: ${r.meetups} meetups in ${r.files} file(s)`);
+}
+
+for (const w of warnings) console.warn(`⚠️ ${w}`);
+
+if (errors.length) {
+  console.error(`\n❌ ${errors.length} problem(s) found:\n`);
+  for (const e of errors) console.error(`  - ${e}`);
+  console.error("");
+  process.exit(1);
+}
+
+console.log(`✅ Meetup data OK (${summary.join("; ")}).`);
@@ -0,0 +1,152 @@
+// sw.js
+//
+// Service worker for bitcoindiana.org (registered by assets/js/site.js).
+// Keeps the site usable with a bad or missing connection, e.g. at a meetup with no cell signal.
+//
+// Strategies:
+// - Pages + /assets/data/*: network first, cached copy when offline (data changes with every deploy)
+// - Our own JS/CSS (/assets/js/*, /assets/css/*): network first too, so a new page never runs with the previous
+//   deploy's scripts (e.g. a missing map-core.js global or lib module)
+// - Images + Leaflet from unpkg: stale-while-revalidate
+// - OpenStreetMap tiles: cache first, capped at MAX_TILES (only areas you've already viewed work offline)
+// - api.btcmap.org: never cached here; map.js keeps its own IndexedDB copy of the filtered places
+//
+// Bump CACHE_VERSION when the precache list changes; old caches are removed on activate.
+
+"use strict";
+
+const CACHE_VERSION = "v8";
+const SHELL_CACHE = `bitcoinindiana-shell-${CACHE_VERSION}`;
+const TILE_CACHE = "bitcoinindiana-tiles"; // not versioned: tiles stay valid across deploys
+const MAX_TILES = 600;
+
+const PRECACHE = [
+  "/merchants/",
+  "/meetups/",
+  "/map/",
+  "/events/",
+  "/about/",
+  "/assets/css/site.css",
+  "/assets/js/site.js",
+  "/assets/js/merchants-router.js",
+  "/assets/js/map-core.js",
+  "/assets/js/map.js",
+  "/assets/js/meetupmap.js",
+  "/assets/js/events.js",
+  "/assets/js/lib/fuzzy-search.mjs",
+  "/assets/js/lib/geo.mjs",
+  "/assets/js/lib/recurrence.mjs",
+  "/assets/js/lib/schedule-text.mjs",
+  "/assets/js/lib/search-query.mjs",
+  "/assets/js/lib/state-registry.mjs",
+  "/assets/js/playful-in.js",
+  "/assets/data/merchant-states.json",
+  "/assets/img/logo.svg"
+];
+
+// Cross-origin scripts/styles are loaded without CORS by the pages, so cache them opaque
+const PRECACHE_NO_CORS = [
+  "https://unpkg.com/leaflet@1.9.4/dist/leaflet.css",
+  "https://unpkg.com/leaflet@1.9.4/dist/leaflet.js",
+  "https://unpkg.com/leaflet.markercluster@1.5.3/dist/MarkerCluster.css",
+  "https://unpkg.com/leaflet.markercluster@1.5.3/dist/leaflet.markercluster.js"
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll(PRECACHE);
+    await Promise.all(PRECACHE_NO_CORS.map(async (url) => {
+      try {
+        await cache.put(url, await fetch(url, { mode: "no-cors" }));
+      } catch (e) {
+        // Optional: the page will cache them on first use instead
+      }
+    }));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    const keep = new Set([SHELL_CACHE, TILE_CACHE]);
+    const names = await caches.keys();
+    await Promise.all(names.filter(n => n.startsWith("bitcoinindiana-") && !keep.has(n)).map(n => caches.delete(n)));
+    await self.clients.claim();
+  })());
+});
+
+function isTile(url) {
+  return /(^|\.)tile\.openstreetmap\.org$/.test(url.hostname);
+}
+
+async function networkFirst(request, { ignoreSearch = false } = {}) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const res = await fetch(request);
+    if (res.ok) cache.put(request, res.clone());
+    return res;
+  } catch (e) {
+    const cached = await cache.match(request, { ignoreSearch });
+    if (cached) return cached;
+    throw e;
+  }
+}
+
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(event.request);
+
+  const refresh = fetch(event.request)
+    .then(res => {
+      if (res.ok || res.type === "opaque") return cache.put(event.request, res.clone()).then(() => res);
+      return res;
+    });
+
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+}
+
+async function trimCache(cache, max) {
+  const keys = await cache.keys();
+  // Cache keys come back in insertion order: drop the oldest first
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - max)).map(k => cache.delete(k)));
+}
+
+async function cacheFirstTile(event) {
+  const cache = await caches.open(TILE_CACHE);
+  const cached = await cache.match(event.request);
+  if (cached) return cached;
+
+  const res = await fetch(event.request);
+  if (res.ok || res.type === "opaque") {
+    event.waitUntil(cache.put(event.request, res.clone()).then(() => trimCache(cache, MAX_TILES)));
+  }
+  return res;
+}
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET") return;
+
+  const url = new URL(req.url);
+
+  if (isTile(url)) {
+    event.respondWith(cacheFirstTile(event));
+    return;
+  }
+
+  if (url.origin === self.location.origin) {
+    // /merchants/?state=ohio must still open offline from the cached /merchants/
+    if (req.mode === "navigate") event.respondWith(networkFirst(req, { ignoreSearch: true }));
+    else if (/^\/assets\/(data|js|css)\//.test(url.pathname)) event.respondWith(networkFirst(req));
+    else event.respondWith(staleWhileRevalidate(event));
+    return;
+  }
+
+  if (url.hostname === "unpkg.com") event.respondWith(staleWhileRevalidate(event));
+  // Everything else (api.btcmap.org included) goes straight to the network
+});
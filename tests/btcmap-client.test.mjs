@@ -0,0 +1,141 @@
+// tests/btcmap-client.test.mjs
+//
+// Tests for scripts/lib/btcmap-client.mjs (BTC Map API client) and scripts/generate-merchant-snapshots.mjs,
+// run against an in-process fake fetch and a local fixture server instead of api.btcmap.org.
+//
+// Usage:
+//   node --test tests/
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { once } from "node:events";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+
+import { createBtcMapClient } from "../scripts/lib/btcmap-client.mjs";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+const SCRIPT = path.join(ROOT, "scripts/generate-merchant-snapshots.mjs");
+
+const json = (status, body) => ({ ok: status >= 200 && status < 300, status, json: async () => body });
+
+// ---------- Client ----------
+test("searchCircle sends the circle as lat/lon/radius_km to /v4/places/search/", async () => {
+  const urls = [];
+  const client = createBtcMapClient({
+    baseUrl: "http://fixture.test",
+    fetch: async (url) => { urls.push(url); return json(200, [{ id: 1 }]); }
+  });
+
+  assert.deepEqual(await client.searchCircle({ name: "C1", lat: 40.1, lon: -86.2, radius_km: 238 }), [{ id: 1 }]);
+  assert.deepEqual(urls, ["http://fixture.test/v4/places/search/?lat=40.1&lon=-86.2&radius_km=238"]);
+  assert.equal(client.baseUrl, "http://fixture.test");
+});
+
+test("429 and 5xx responses and network errors are retried; other errors are not", async () => {
+  const replies = [() => json(503, null), () => { throw new Error("ECONNRESET"); }, () => json(429, null), () => json(200, [])];
+  let calls = 0;
+  const flaky = createBtcMapClient({ baseUrl: "http://fixture.test", retryDelayMs: 0, fetch: async () => replies[calls++]() });
+  assert.deepEqual(await flaky.searchCircle({ name: "C1" }), []);
+  assert.equal(calls, 4);
+
+  calls = 0;
+  const missing = createBtcMapClient({ baseUrl: "http://fixture.test", retryDelayMs: 0, fetch: async () => { calls++; return json(404, null); } });
+  await assert.rejects(missing.searchCircle({ name: "C1" }), /Search failed \(C1\) HTTP 404/);
+  assert.equal(calls, 1);
+
+  const down = createBtcMapClient({ baseUrl: "http://fixture.test", retries: 1, retryDelayMs: 0, fetch: async () => json(500, null) });
+  await assert.rejects(down.searchCircle({ name: "C1" }), /HTTP 500/);
+});
+
+test("a search response that isn't an array is an error", async () => {
+  const client = createBtcMapClient({ baseUrl: "http://fixture.test", fetch: async () => json(200, { places: [] }) });
+  await assert.rejects(client.searchCircle({ name: "C2" }), /Unexpected search response \(C2\): expected an array/);
+});
+
+// ---------- Snapshot script against a fixture server ----------
+// Indiana has two coverage circles; each answers with part of the state plus an overlap and an outsider.
+const INDY = { id: 20, name: "Indy Cafe", lat: 39.77, lon: -86.16, icon: "local_cafe", updated_at: "2026-03-01T00:00:00Z", extra: "dropped" };
+const BLOOMINGTON = { lon: -86.53, lat: 39.16, name: "Bloomington Shop", id: 7, icon: "store", address: "1 Kirkwood", updated_at: "2026-04-01T00:00:00Z" };
+const CHICAGO = { id: 9, name: "Chicago Bar", lat: 41.88, lon: -87.63, icon: "local_bar", updated_at: "2026-05-01T00:00:00Z" };
+
+async function withFixtureServer(fn) {
+  const searches = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    if (url.pathname !== "/v4/places/search/") {
+      res.writeHead(404).end();
+      return;
+    }
+    searches.push(url.searchParams.get("lat"));
+    const body = searches.length === 1 ? [INDY, CHICAGO] : [BLOOMINGTON, INDY];
+    res.writeHead(200, { "content-type": "application/json" }).end(JSON.stringify(body));
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+
+  const outDir = await mkdtemp(path.join(os.tmpdir(), "merchant-snapshots-"));
+  try {
+    return await fn({ apiBase: `http://127.0.0.1:${server.address().port}`, outDir, searches });
+  } finally {
+    server.close();
+    await rm(outDir, { recursive: true, force: true });
+  }
+}
+
+const runScript = (...args) => promisify(execFile)(process.execPath, [SCRIPT, ...args], { cwd: ROOT, timeout: 30000 });
+
+test("snapshots: one search per coverage circle, merged by id, filtered to the state, one line per place", async () => {
+  await withFixtureServer(async ({ apiBase, outDir, searches }) => {
+    // "in,indiana" names the same state twice
+    const { stdout } = await runScript("--api-base", apiBase, "--out", outDir, "--state", "in,indiana");
+    assert.equal(searches.length, 2);
+    assert.match(stdout, /indiana: 2 places \(\+2 -0 ~0\)/);
+
+    const file = path.join(outDir, "indiana.json");
+    const text = await readFile(file, "utf8");
+    const doc = JSON.parse(text);
+
+    assert.deepEqual(doc.places.map(p => p.id), [7, 20]); // Chicago is outside the boundary; sorted by id
+    assert.equal(doc.fetchedCount, 3);
+    assert.ok(Date.parse(doc.cursor) >= Date.parse(BLOOMINGTON.updated_at)); // sync starts after the newest place
+    assert.equal(doc.generatedAt, doc.checkedAt);
+
+    // Fixed field order, unknown fields dropped, one place per line
+    const rows = text.split("\n").filter(line => line.startsWith("    {"));
+    assert.deepEqual(rows, [
+      '    {"id":7,"name":"Bloomington Shop","icon":"store","lat":39.16,"lon":-86.53,"address":"1 Kirkwood","updated_at":"2026-04-01T00:00:00Z"},',
+      '    {"id":20,"name":"Indy Cafe","icon":"local_cafe","lat":39.77,"lon":-86.16,"updated_at":"2026-03-01T00:00:00Z"}'
+    ]);
+
+    // Same places again, checked recently: the file is left alone
+    searches.length = 0;
+    const again = await runScript("--api-base", apiBase, "--out", outDir, "--state", "indiana");
+    assert.match(again.stdout, /indiana: 2 places \(\+0 -0 ~0\)\n/);
+    assert.equal(await readFile(file, "utf8"), text);
+
+    // ... checked 4 days ago: only checkedAt moves
+    const old = new Date(Date.now() - 4 * 24 * 60 * 60 * 1000).toISOString();
+    await writeFile(file, text.replace(/"checkedAt": "[^"]*"/, `"checkedAt": "${old}"`), "utf8");
+    const third = await runScript("--api-base", apiBase, "--out", outDir, "--state", "indiana");
+    assert.match(third.stdout, /checkedAt refreshed/);
+    const text3 = await readFile(file, "utf8");
+    const doc3 = JSON.parse(text3);
+    assert.equal(doc3.generatedAt, doc.generatedAt);
+    assert.ok(Date.parse(doc3.checkedAt) >= Date.parse(doc.checkedAt));
+    assert.equal(text3.replace(/"checkedAt": "[^"]*"/, ""), text.replace(/"checkedAt": "[^"]*"/, ""));
+  });
+});
+
+test("snapshots: unknown --state tokens are named; nothing is fetched", async () => {
+  await withFixtureServer(async ({ apiBase, outDir, searches }) => {
+    await assert.rejects(runScript("--api-base", apiBase, "--out", outDir, "--state", "in,atlantis"),
+      (err) => err.code === 1 && /Unknown state\(s\): atlantis\n/.test(err.stderr));
+    assert.equal(searches.length, 0);
+  });
+});
@@ -0,0 +1,121 @@
+// tests/coverage-circles.test.mjs
+//
+// Unit tests for scripts/lib/coverage-circles.mjs (the coverage circles in assets/data/merchant-states.json).
+//
+// Usage:
+//   node --test tests/
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import { featureFromGeo, indexFeature, kmBetween, pointInIndex } from "../assets/js/lib/geo.mjs";
+import { MAX_RADIUS_KM, coverageCircles, measureCoverage } from "../scripts/lib/coverage-circles.mjs";
+
+// ---------- Fixtures ----------
+function square(minLon, minLat, maxLon, maxLat) {
+  return [[minLon, minLat], [maxLon, minLat], [maxLon, maxLat], [minLon, maxLat], [minLon, minLat]];
+}
+
+function polygonFeature(...rings) {
+  return { type: "Feature", properties: {}, geometry: { type: "Polygon", coordinates: rings } };
+}
+
+function multiPolygonFeature(...polygons) {
+  return { type: "Feature", properties: {}, geometry: { type: "MultiPolygon", coordinates: polygons } };
+}
+
+function loadState(slug) {
+  const url = new URL(`../assets/data/us-states/${slug}.geojson`, import.meta.url);
+  return featureFromGeo(JSON.parse(readFileSync(url, "utf8")));
+}
+
+function assertFullyCovered(feature, result) {
+  const { percent } = measureCoverage(feature, result.circles, result.spacingKm);
+  assert.equal(percent, 100);
+}
+
+// Some point of the state inside the circle: probe the circle's center and a ring of points around it
+function touchesState(circle, index) {
+  if (pointInIndex([circle.lon, circle.lat], index)) return true;
+  for (let r = 0.1; r <= 1; r += 0.1) {
+    const dLat = (circle.radius_km * r) / 111.195;
+    const dLon = dLat / Math.cos((circle.lat * Math.PI) / 180);
+    for (let a = 0; a < 360; a += 5) {
+      const t = (a * Math.PI) / 180;
+      if (pointInIndex([circle.lon + dLon * Math.cos(t), circle.lat + dLat * Math.sin(t)], index)) return true;
+    }
+  }
+  return false;
+}
+
+// ---------- Shapes ----------
+test("a small state gets one circle sized to the state, not the maximum", () => {
+  const tiny = polygonFeature(square(-86.2, 39.7, -86.1, 39.8)); // about 9 × 11 km
+  const result = coverageCircles(tiny);
+
+  assert.equal(result.circles.length, 1);
+  assert.ok(result.circles[0].radius_km < 20, `radius ${result.circles[0].radius_km} km`);
+  assertFullyCovered(tiny, result);
+});
+
+test("circles never exceed the maximum radius", () => {
+  const big = polygonFeature(square(-100, 35, -90, 42));
+  const result = coverageCircles(big, { maxRadiusKm: 150 });
+
+  assert.ok(result.circles.length > 1);
+  for (const c of result.circles) assert.ok(c.radius_km <= 150, `${c.name}: ${c.radius_km} km`);
+  assertFullyCovered(big, result);
+});
+
+test("far-apart islands each get covered, and the sea between them gets no circle", () => {
+  const islands = multiPolygonFeature(
+    [square(-160, 20, -159.9, 20.1)],
+    [square(-150, 20, -149.9, 20.1)] // ~1,000 km east
+  );
+  const result = coverageCircles(islands);
+
+  assert.equal(result.circles.length, 2);
+  assertFullyCovered(islands, result);
+  for (const c of result.circles) assert.ok(c.radius_km < 30, `${c.name}: ${c.radius_km} km`);
+});
+
+test("an L-shaped state gets no circle in the empty corner of its bounding box", () => {
+  const ell = polygonFeature([[-100, 30], [-90, 30], [-90, 32], [-98, 32], [-98, 40], [-100, 40], [-100, 30]]);
+  const result = coverageCircles(ell, { maxRadiusKm: 100 });
+  const index = indexFeature(ell);
+
+  assertFullyCovered(ell, result);
+  for (const c of result.circles) assert.ok(touchesState(c, index), `${c.name} lies outside the state`);
+});
+
+test("circles are named and ordered north to south", () => {
+  const { circles } = coverageCircles(polygonFeature(square(-100, 35, -90, 42)), { maxRadiusKm: 150 });
+
+  circles.forEach((c, i) => assert.equal(c.name, `Circle ${i + 1}`));
+  for (let i = 1; i < circles.length; i++) assert.ok(circles[i - 1].lat >= circles[i].lat);
+});
+
+// ---------- Real states ----------
+for (const slug of ["district-of-columbia", "hawaii", "indiana", "michigan", "puerto-rico"]) {
+  test(`${slug}: fully covered, every circle touches the state`, () => {
+    const feature = loadState(slug);
+    const index = indexFeature(feature);
+    const result = coverageCircles(feature);
+
+    assertFullyCovered(feature, result);
+    for (const c of result.circles) {
+      assert.ok(c.radius_km <= MAX_RADIUS_KM, `${c.name}: ${c.radius_km} km`);
+      assert.ok(touchesState(c, index), `${c.name} lies outside the state`);
+    }
+  });
+}
+
+test("measureCoverage reports the share of the area left out", () => {
+  const state = polygonFeature(square(0, 0, 2, 1));
+  // One circle over the western half only
+  const half = [{ lat: 0.5, lon: 0.5, radius_km: kmBetween(0, 0, 0.5, 0.5) + 1 }];
+  const { percent } = measureCoverage(state, half, 10);
+
+  assert.ok(percent > 45 && percent < 60, `${percent}%`);
+});
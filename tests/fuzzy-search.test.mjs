@@ -0,0 +1,98 @@
+// tests/fuzzy-search.test.mjs
+//
+// Unit tests for assets/js/lib/fuzzy-search.mjs (typo-tolerant, ranked search on both maps).
+//
+// Usage:
+//   node --test tests/
+
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { createSearchIndex, fold, matchRanges, tokenize, wordScore } from "../assets/js/lib/fuzzy-search.mjs";
+
+// ---------- Folding ----------
+test("fold lowercases, strips accents and apostrophes, and turns punctuation into spaces", () => {
+  assert.equal(fold("Café Zoë’s Bäckerei!"), "cafe zoes backerei");
+  assert.equal(fold("  St. Louis--MO "), "st louis mo");
+  assert.equal(fold(null), "");
+  assert.deepEqual(tokenize("Joe's Crab-Shack"), ["joes", "crab", "shack"]);
+  assert.deepEqual(tokenize(" , "), []);
+});
+
+// ---------- One word ----------
+test("wordScore: exact > prefix > typo > typo in the start > inside a word", () => {
+  const exact = wordScore("coffee", "coffee");
+  const prefix = wordScore("cof", "coffee");
+  const typo = wordScore("cofee", "coffee");
+  const typoStart = wordScore("cofee", "coffeehouse");
+  const inside = wordScore("house", "coffeehouse");
+
+  assert.ok(exact > prefix && prefix > typo && typo > typoStart && typoStart > inside && inside > 0);
+});
+
+test("wordScore: allowed typos grow with the word; short words must be exact or a prefix", () => {
+  assert.ok(wordScore("louisvile", "louisville") > 0);  // 1 edit
+  assert.ok(wordScore("lousivlle", "louisville") > 0);  // 2 edits from 7 letters (one of them a swap)
+  assert.ok(wordScore("resturant", "restaurant") > 0);
+  assert.equal(wordScore("bar", "car"), 0);
+  assert.equal(wordScore("indy", "indiana"), 0);         // no typo-in-the-start below 5 letters
+  assert.equal(wordScore("abcd", "wxyz"), 0);
+  assert.equal(wordScore("ab", "crab"), 0);              // inside a word needs 3 letters
+});
+
+// ---------- Index ----------
+const places = [
+  { name: "Main Street Pub", address: "2 Coffee Ln, Indianapolis" },
+  { name: "Zoë's Coffee", address: "5 Market St, Indianapolis" },
+  { name: "Anvil Hardware", address: "9 Oak, Carmel" },
+  { name: "Coffee Coffee", address: "9 Elm, Louisville" }
+];
+const index = createSearchIndex(places, [
+  { get: (p) => p.name, weight: 3 },
+  { get: (p) => p.address }
+]);
+const names = (q) => index.search(q).map(h => h.item.name);
+
+test("search ranks name hits above address hits, and ties keep the items' order", () => {
+  assert.deepEqual(names("cofee"), ["Zoë's Coffee", "Coffee Coffee", "Main Street Pub"]);
+});
+
+test("search needs every query word to match somewhere", () => {
+  assert.deepEqual(names("coffee louisvile"), ["Coffee Coffee"]);
+  assert.deepEqual(names("coffee carmel"), []);
+  assert.deepEqual(names("zoes"), ["Zoë's Coffee"]);
+  assert.deepEqual(names("   "), []);
+});
+
+test("search takes array fields and a few thousand items quickly", () => {
+  const many = Array.from({ length: 3000 }, (_, i) => ({ tags: [`shop${i}`, i % 2 ? "bakery" : "diner"] }));
+  const big = createSearchIndex(many, [{ get: (x) => x.tags }]);
+
+  big.search("bakry"); // warm up
+  const t = performance.now();
+  const hits = big.search("bakry");
+  assert.equal(hits.length, 1500);
+  assert.ok(performance.now() - t < 200);
+});
+
+test("search skips words by their letters only when wordScore would reject them too", () => {
+  // Words over a few letters, so most queries are a typo or two away from many of them
+  let seed = 7;
+  const next = () => ((seed = (Math.imul(seed, 1103515245) + 12345) & 0x7fffffff) >>> 16) % 6;
+  const words = Array.from({ length: 2000 }, (_, i) => Array.from({ length: 2 + (i % 9) }, () => "abcdeo"[next()]).join(""));
+  const items = words.map((word, i) => ({ word, i }));
+  const wordIndex = createSearchIndex(items, [{ get: (x) => x.word }]);
+
+  for (const q of ["ab", "abc", "abcd", "bacd", "abcdx", "abxyz", "oddbeac", "aabbccdd", "cabbage"]) {
+    const expected = items.map(x => [x.i, wordScore(q, x.word)]).filter(([, score]) => score > 0);
+    assert.deepEqual(wordIndex.search(q).map(h => [h.item.i, h.score]).sort((a, b) => a[0] - b[0]), expected, q);
+  }
+});
+
+// ---------- Highlighting ----------
+test("matchRanges points at the matched words in the original text", () => {
+  const text = "Zoë's Coffee & Tea";
+  const ranges = matchRanges(text, "cofee zoes");
+  assert.deepEqual(ranges.map(([a, b]) => text.slice(a, b)), ["Zoë's", "Coffee"]);
+  assert.deepEqual(matchRanges(text, ""), []);
+});
@@ -0,0 +1,127 @@
+// tests/generate-calendars.test.mjs
+//
+// Tests for scripts/generate-calendars.mjs, run on a temp copy of assets/data/us-meetups/us-example.json
+// with everything switched to active (the example ships inactive).
+//
+// Usage:
+//   node --test tests/
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { mkdir, mkdtemp, readdir, readFile, rm, writeFile } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+const SCRIPT = path.join(ROOT, "scripts/generate-calendars.mjs");
+const EXAMPLE_FILE = path.join(ROOT, "assets/data/us-meetups/us-example.json");
+
+const MEETUP = "us-in-example-example-bitcoin-meetup";
+const TZID = "TZID=America/Indiana/Indianapolis";
+
+async function withActiveExample(fn, edit = () => {}) {
+  const doc = JSON.parse(await readFile(EXAMPLE_FILE, "utf8"));
+  const m = doc.meetups[0];
+  for (const x of [m, ...m.series, ...m.venues]) x.status = "active";
+  edit(m);
+
+  const dir = await mkdtemp(path.join(os.tmpdir(), "generate-calendars-"));
+  try {
+    await mkdir(path.join(dir, "assets/data/us-meetups"), { recursive: true });
+    await writeFile(path.join(dir, "assets/data/us-meetups/index.json"), JSON.stringify({ schemaVersion: "1.0.0", files: ["us-in.json"] }));
+    await writeFile(path.join(dir, "assets/data/us-meetups/us-in.json"), JSON.stringify(doc));
+    return await fn(dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+const generate = (cwd, out) => promisify(execFile)(process.execPath, [SCRIPT, "--out", out], { cwd, timeout: 30000 });
+
+// Every file under dir, as { "meetups/x.ics": "<bytes>" }
+async function readTree(dir) {
+  const files = {};
+  for (const sub of (await readdir(dir)).sort()) {
+    for (const name of (await readdir(path.join(dir, sub))).sort()) {
+      files[`${sub}/${name}`] = await readFile(path.join(dir, sub, name), "utf8");
+    }
+  }
+  return files;
+}
+
+// VEVENT content lines (VTIMEZONE has RRULEs of its own), with RFC 5545 folding undone
+function eventLines(ics) {
+  let inEvent = false;
+  return ics.replace(/\r\n[ \t]/g, "").split("\r\n").filter(l => {
+    if (l === "BEGIN:VEVENT") inEvent = true;
+    else if (l === "END:VEVENT") inEvent = false;
+    return inEvent;
+  });
+}
+
+// ---------- Determinism ----------
+test("two runs on the same data give byte-identical files", async () => {
+  await withActiveExample(async (dir) => {
+    const first = await generate(dir, "out-a");
+    await generate(dir, "out-b");
+    assert.match(first.stdout, /Wrote 2 calendar file\(s\) to out-a \(1 state feed\(s\), 0 stale removed\)/);
+
+    const a = await readTree(path.join(dir, "out-a"));
+    const b = await readTree(path.join(dir, "out-b"));
+    assert.deepEqual(Object.keys(a), [`meetups/${MEETUP}.ics`, "states/indiana.ics"]);
+    assert.deepEqual(b, a);
+
+    // ... and rerunning into the same folder leaves it as it is
+    await generate(dir, "out-a");
+    assert.deepEqual(await readTree(path.join(dir, "out-a")), a);
+  });
+});
+
+// ---------- Content ----------
+test("RRULE per series, EXDATE for skips, RECURRENCE-ID for overrides", async () => {
+  await withActiveExample(async (dir) => {
+    await generate(dir, "out");
+    const lines = eventLines(await readFile(path.join(dir, "out/meetups", `${MEETUP}.ics`), "utf8"));
+    const pick = (prefix) => lines.filter(l => l.startsWith(prefix));
+
+    assert.deepEqual(pick("RRULE:"), [
+      "RRULE:FREQ=MONTHLY;BYDAY=1TU",
+      "RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=WE",
+      "RRULE:FREQ=MONTHLY;BYDAY=1TH,3TH"
+    ]);
+    assert.deepEqual(pick("EXDATE"), [`EXDATE;${TZID}:20251202T190000`]);
+    assert.deepEqual(pick("RECURRENCE-ID"), [`RECURRENCE-ID;${TZID}:20260115T190000`]);
+    assert.deepEqual(pick("DTSTART;"), [
+      `DTSTART;${TZID}:20250107T190000`, // first 1st Tuesday on or after effective.startDate
+      `DTSTART;${TZID}:20250108T183000`,
+      `DTSTART;${TZID}:20250206T190000`,
+      `DTSTART;${TZID}:20260115T193000` // the override's own start
+    ]);
+    assert.deepEqual(pick("UID:").slice(2), [
+      `UID:${MEETUP}-semimonthly-technical@bitcoindiana.org`,
+      `UID:${MEETUP}-semimonthly-technical@bitcoindiana.org` // same UID: the override replaces one occurrence
+    ]);
+    assert.deepEqual(pick("DTSTAMP:"), Array(4).fill("DTSTAMP:20260224T000000Z")); // audit.lastModified, not now
+  });
+});
+
+test("a private venue gets no street address and city-level GEO", async () => {
+  const exactHome = (m) => { m.venues[2].geo = { lat: 39.771234, lon: -86.158765 }; };
+  await withActiveExample(async (dir) => {
+    await generate(dir, "out");
+    const lines = eventLines(await readFile(path.join(dir, "out/meetups", `${MEETUP}.ics`), "utf8"));
+    assert.deepEqual(lines.filter(l => /^(LOCATION|GEO):/.test(l)), [
+      "LOCATION:Union Jack Pub\\, 10 Example St\\, Example\\, IN 46000",
+      "GEO:39.7701;-86.1599",
+      "LOCATION:Satoshi Room (Example Public Library)\\, 200 Knowledge Ave\\, Room 2B\\, Example\\, IN 46000",
+      "GEO:39.7672;-86.1563",
+      "LOCATION:Private Home (RSVP for address)\\, Example\\, IN",
+      "GEO:39.77;-86.16",
+      "LOCATION:Union Jack Pub\\, 10 Example St\\, Example\\, IN 46000", // the override moves to a public venue
+      "GEO:39.7701;-86.1599"
+    ]);
+  }, exactHome);
+});
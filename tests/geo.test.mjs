@@ -0,0 +1,200 @@
+// tests/geo.test.mjs
+//
+// Unit tests for assets/js/lib/geo.mjs (the point-in-polygon, bounds and distance helpers shared by
+// map.js, meetupmap.js and the merchant scripts).
+//
+// Usage:
+//   node --test tests/
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import {
+  featureBounds,
+  featureFromGeo,
+  formatMiles,
+  indexFeature,
+  kmBetween,
+  nearest,
+  pointInFeature,
+  pointInIndex,
+  pointInPolygon
+} from "../assets/js/lib/geo.mjs";
+
+// ---------- Fixtures ----------
+function square(minLon, minLat, maxLon, maxLat) {
+  return [[minLon, minLat], [maxLon, minLat], [maxLon, maxLat], [minLon, maxLat], [minLon, minLat]];
+}
+
+function polygonFeature(...rings) {
+  return { type: "Feature", properties: {}, geometry: { type: "Polygon", coordinates: rings } };
+}
+
+function multiPolygonFeature(...polygons) {
+  return { type: "Feature", properties: {}, geometry: { type: "MultiPolygon", coordinates: polygons } };
+}
+
+function loadState(slug) {
+  const url = new URL(`../assets/data/us-states/${slug}.geojson`, import.meta.url);
+  return featureFromGeo(JSON.parse(readFileSync(url, "utf8")));
+}
+
+// Both implementations must agree everywhere
+function assertInside(point, feature, expected, message) {
+  assert.equal(pointInFeature(point, feature), expected, `pointInFeature ${message}`);
+  assert.equal(pointInIndex(point, indexFeature(feature)), expected, `pointInIndex ${message}`);
+}
+
+// ---------- GeoJSON ----------
+test("featureFromGeo accepts a Feature or the first feature of a collection", () => {
+  const f = polygonFeature(square(0, 0, 1, 1));
+  assert.equal(featureFromGeo(f), f);
+  assert.equal(featureFromGeo({ type: "FeatureCollection", features: [f] }), f);
+  assert.throws(() => featureFromGeo({ type: "FeatureCollection", features: [] }), /at least one feature/);
+  assert.throws(() => featureFromGeo(null), /Empty GeoJSON/);
+});
+
+test("featureBounds spans every polygon of a MultiPolygon", () => {
+  const f = multiPolygonFeature([square(0, 0, 1, 1)], [square(5, -2, 6, 3)]);
+  assert.deepEqual(featureBounds(f), { minLon: 0, minLat: -2, maxLon: 6, maxLat: 3 });
+});
+
+test("featureBounds rejects other geometry types", () => {
+  assert.throws(() => featureBounds({ geometry: { type: "Point", coordinates: [0, 0] } }), /Unsupported geometry type/);
+  assert.throws(() => featureBounds({}), /missing geometry/);
+});
+
+// ---------- Holes ----------
+test("points in a hole are outside the polygon", () => {
+  const donut = polygonFeature(square(0, 0, 10, 10), square(4, 4, 6, 6));
+
+  assertInside([2, 2], donut, true, "in the ring");
+  assertInside([5, 5], donut, false, "in the hole");
+  assertInside([11, 5], donut, false, "outside");
+});
+
+test("a hole only removes area from its own polygon", () => {
+  const f = multiPolygonFeature(
+    [square(0, 0, 10, 10), square(4, 4, 6, 6)],
+    [square(4.5, 4.5, 5.5, 5.5)] // island inside the first polygon's hole
+  );
+
+  assertInside([5, 5], f, true, "on the island in the hole");
+  assertInside([4.2, 4.2], f, false, "in the hole, off the island");
+});
+
+// ---------- Multipolygons ----------
+test("MultiPolygon: inside any polygon, outside the gaps between them", () => {
+  const f = multiPolygonFeature([square(0, 0, 1, 1)], [square(3, 0, 4, 1)]);
+
+  assertInside([0.5, 0.5], f, true, "in the first polygon");
+  assertInside([3.5, 0.5], f, true, "in the second polygon");
+  assertInside([2, 0.5], f, false, "between the polygons (inside the overall bounds)");
+});
+
+test("indexFeature keeps one box per polygon", () => {
+  const index = indexFeature(multiPolygonFeature([square(0, 0, 1, 1)], [square(3, 0, 4, 1)]));
+
+  assert.equal(index.polygons.length, 2);
+  assert.deepEqual(index.bounds, { minLon: 0, minLat: 0, maxLon: 4, maxLat: 1 });
+  assert.deepEqual(index.polygons[1].bounds, { minLon: 3, minLat: 0, maxLon: 4, maxLat: 1 });
+});
+
+test("Hawaii: islands are inside, the sea between them is not", () => {
+  const hawaii = loadState("hawaii");
+
+  assertInside([-157.8583, 21.3069], hawaii, true, "Honolulu (Oahu)");
+  assertInside([-155.0868, 19.7241], hawaii, true, "Hilo (Big Island)");
+  assertInside([-156.5, 21.5], hawaii, false, "Kaiwi Channel");
+});
+
+test("Michigan: both peninsulas are inside, Lake Michigan is not", () => {
+  const michigan = loadState("michigan");
+
+  assertInside([-83.0458, 42.3314], michigan, true, "Detroit (Lower Peninsula)");
+  assertInside([-87.3954, 46.5436], michigan, true, "Marquette (Upper Peninsula)");
+  assertInside([-87.0, 43.5], michigan, false, "Lake Michigan (Wisconsin side)");
+  assertInside([-87.6298, 41.8781], michigan, false, "Chicago");
+});
+
+test("Alaska: polygons on both sides of the antimeridian, none crossing it", () => {
+  const alaska = loadState("alaska");
+  const index = indexFeature(alaska);
+
+  for (const p of index.polygons) {
+    assert.ok(p.bounds.maxLon - p.bounds.minLon < 180, "a single polygon spans more than 180° of longitude");
+  }
+  assertInside([-149.9003, 61.2181], alaska, true, "Anchorage");
+  assertInside([-123.1207, 49.2827], alaska, false, "Vancouver");
+  assertInside([0, 60], alaska, false, "inside the globe-wide overall box");
+});
+
+// ---------- Border points ----------
+test("a point on a shared border belongs to exactly one of the two neighbors", () => {
+  const west = polygonFeature(square(0, 0, 1, 1));
+  const east = polygonFeature(square(1, 0, 2, 1));
+  const north = polygonFeature(square(0, 1, 1, 2));
+
+  for (const pt of [[1, 0.5], [1, 0.25], [1, 0.999]]) {
+    const claims = [west, east].filter(f => pointInFeature(pt, f)).length;
+    assert.equal(claims, 1, `[${pt}] claimed by ${claims} states`);
+    assert.equal(pointInIndex(pt, indexFeature(west)), pointInFeature(pt, west));
+    assert.equal(pointInIndex(pt, indexFeature(east)), pointInFeature(pt, east));
+  }
+
+  for (const pt of [[0.5, 1], [0.25, 1]]) {
+    const claims = [west, north].filter(f => pointInFeature(pt, f)).length;
+    assert.equal(claims, 1, `[${pt}] claimed by ${claims} states`);
+  }
+});
+
+test("Indiana and Ohio never both claim a point along their border", () => {
+  const indiana = indexFeature(loadState("indiana"));
+  const ohio = indexFeature(loadState("ohio"));
+
+  // The state line is close to 84.82°W; sample across it
+  for (let lat = 39.2; lat <= 41.6; lat += 0.1) {
+    for (let lon = -84.86; lon <= -84.78; lon += 0.005) {
+      const pt = [lon, lat];
+      assert.ok(!(pointInIndex(pt, indiana) && pointInIndex(pt, ohio)), `[${pt}] is in both states`);
+    }
+  }
+});
+
+test("pointInPolygon treats an empty polygon as outside", () => {
+  assert.equal(pointInPolygon([0, 0], []), false);
+  assert.equal(pointInFeature([0, 0], {}), false);
+});
+
+// ---------- Distance ----------
+test("kmBetween matches known distances", () => {
+  assert.equal(kmBetween(39.7684, -86.1581, 39.7684, -86.1581), 0);
+  // Indianapolis → Chicago is about 265 km
+  assert.ok(Math.abs(kmBetween(39.7684, -86.1581, 41.8781, -87.6298) - 265) < 3);
+  // One degree of latitude is about 111.2 km
+  assert.ok(Math.abs(kmBetween(0, 0, 1, 0) - 111.19) < 0.05);
+});
+
+test("nearest keeps items within the radius, closest first, and skips items without coordinates", () => {
+  const center = { lat: 39.7684, lon: -86.1581 };
+  const items = [
+    { id: "far", lat: 41.8781, lon: -87.6298 },
+    { id: "near", lat: 39.78, lon: -86.16 },
+    { id: "none" },
+    { id: "mid", lat: 39.9, lon: -86.2 }
+  ];
+
+  assert.deepEqual(nearest(items, center, 50).map(r => r.item.id), ["near", "mid"]);
+  assert.deepEqual(nearest(items, center, Infinity).map(r => r.item.id), ["near", "mid", "far"]);
+  assert.deepEqual(
+    nearest([{ p: { lat: 39.78, lon: -86.16 } }], center, 5, item => item.p).map(r => Math.round(r.km)),
+    [1]
+  );
+});
+
+test("formatMiles rounds to tenths below 10 miles", () => {
+  assert.equal(formatMiles(0), "0.0 mi");
+  assert.equal(formatMiles(3.7), "2.3 mi");
+  assert.equal(formatMiles(29), "18 mi");
+});
@@ -0,0 +1,120 @@
+// tests/migrate-meetups-v1.test.mjs
+//
+// Tests for scripts/migrate-meetups-v1.mjs, run on a small legacy meetups.json in a temp folder:
+// the output must pass assets/data/us-meetups.schema.json and flag what needs a human in legacy.review.
+//
+// Usage:
+//   node --test tests/
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { mkdir, mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+
+import { validate } from "../scripts/lib/json-schema-lite.mjs";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+const SCRIPT = path.join(ROOT, "scripts/migrate-meetups-v1.mjs");
+const SCHEMA_FILE = path.join(ROOT, "assets/data/us-meetups.schema.json");
+
+const LEGACY = [
+  {
+    id: "indy", name: "Indy Bitcoin Meetup", schedule: "Monthly | 3rd Wednesday | 7:00 PM ET", venue: "Keystone Sports Review",
+    address: "2131 E 71st St, Indianapolis, IN 46220", city: "Indianapolis", state_code: "IN", state_name: "Indiana", states: ["IN"],
+    cities: ["Carmel", "Fishers", "carmel"], zip: "46220", lat: 39.88276056075816, lon: -86.12291933698,
+    links: [{ type: "website", label: "indybitcoinmeetup.com", url: "https://indybitcoinmeetup.com" }, { type: "x", url: "" }]
+  },
+  {
+    id: "evansville", name: "Evansville Bitcoin", schedule: "Every Other Thursday | 6:00 PM", venue: "Private residence (RSVP)",
+    address: "Evansville, IN", city: "Evansville", state_code: "IN", state_name: "Indiana", states: ["IN", "KY"],
+    cities: ["Evansville", "Henderson"], lat: 37.974765, lon: -87.555848, links: []
+  },
+  {
+    id: "dayton", name: "Dayton Bitcoin", schedule: "Whenever we feel like it", venue: "Varies",
+    address: "Dayton, OH", city: "Dayton", state_code: "OH", state_name: "Ohio", lat: 39.7589, lon: -84.1916, links: []
+  },
+  { id: "nowhere", name: "No State", schedule: "Weekly | Mondays | 7 PM ET", venue: "Somewhere", address: "", lat: 0, lon: 0 }
+];
+
+async function withLegacyFile(fn) {
+  const dir = await mkdtemp(path.join(os.tmpdir(), "migrate-meetups-"));
+  try {
+    await mkdir(path.join(dir, "assets/data"), { recursive: true });
+    await writeFile(path.join(dir, "assets/data/meetups.json"), JSON.stringify(LEGACY));
+    return await fn(dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+const migrate = (cwd, ...args) => promisify(execFile)(process.execPath, [SCRIPT, ...args], { cwd, timeout: 30000 });
+const readJson = async (file) => JSON.parse(await readFile(file, "utf8"));
+
+// ---------- Output ----------
+test("one schema-valid file per state, listed in index.json; no state_code → not migrated", async () => {
+  await withLegacyFile(async (dir) => {
+    const { stdout, stderr } = await migrate(dir, "--out", "out", "--date", "2026-03-01");
+    assert.match(stderr, /nowhere: no valid state_code; not migrated/);
+    assert.match(stdout, /2 of 4 meetup\(s\) need manual review/);
+
+    const out = path.join(dir, "out");
+    assert.deepEqual((await readJson(path.join(out, "index.json"))).files, ["us-in.json", "us-oh.json"]);
+
+    const schema = await readJson(SCHEMA_FILE);
+    for (const name of ["us-in.json", "us-oh.json"]) {
+      assert.deepEqual(validate(schema, await readJson(path.join(out, name))), [], name);
+    }
+
+    const indiana = await readJson(path.join(out, "us-in.json"));
+    const [indy, evansville] = indiana.meetups;
+    assert.deepEqual(indiana.meetups.map(m => m.slug), ["us-in-indy", "us-in-evansville"]);
+    assert.deepEqual(indy.series.map(s => [s.timeZone, s.time.start, s.recurrence, s.effective.startDate]),
+      [["America/Indiana/Indianapolis", "19:00", { type: "monthly_nth_weekday", interval: 1, weekday: "wednesday", nth: 3 }, "2026-03-01"]]);
+    assert.deepEqual(indy.map.nearbyCities.map(c => c.city), ["Carmel", "Fishers"]);
+    assert.deepEqual(indy.links, [{ type: "website", url: "https://indybitcoinmeetup.com", label: "indybitcoinmeetup.com" }]);
+
+    // Private venue: no street, city-level coordinates on both the venue and the meetup pin
+    const [home] = evansville.venues;
+    assert.deepEqual([home.name, home.space, home.address.line1, home.geo], ["Private location", "private", null, { lat: 37.97, lon: -87.56 }]);
+    assert.deepEqual([evansville.map.geo, evansville.map.geoPrecision], [{ lat: 37.97, lon: -87.56 }, "city_level"]);
+  });
+});
+
+// ---------- Review notes ----------
+test("anything uncertain is flagged in legacy.review", async () => {
+  await withLegacyFile(async (dir) => {
+    await migrate(dir, "--out", "out", "--date", "2026-03-01");
+    const review = async (name) => Object.fromEntries(
+      (await readJson(path.join(dir, "out", name))).meetups.map(m => [m.legacy.id, m.legacy.review]));
+
+    const indiana = await review("us-in.json");
+    assert.deepEqual(indiana.indy, []);
+    assert.equal(indiana.evansville.length, 4);
+    assert.match(indiana.evansville[0], /venue looks private/);
+    assert.match(indiana.evansville[1], /every-other-week series need a real first date/);
+    assert.match(indiana.evansville[2], /schedule has no time zone; assumed ET for IN/);
+    assert.match(indiana.evansville[3], /also serves KY/);
+
+    const ohio = await review("us-oh.json");
+    assert.equal(ohio.dayton.length, 3);
+    assert.match(ohio.dayton[0], /venue "Varies" varies/);
+    assert.match(ohio.dayton[1], /address "Dayton, OH" has no street line/);
+    assert.match(ohio.dayton[2], /could not parse schedule "Whenever we feel like it"/);
+  });
+});
+
+test("existing region files are kept unless --force", async () => {
+  await withLegacyFile(async (dir) => {
+    await migrate(dir, "--out", "out", "--date", "2026-03-01");
+    await assert.rejects(migrate(dir, "--out", "out", "--date", "2026-04-01"),
+      (err) => /out\/us-in\.json already exists/.test(err.stderr));
+    assert.equal((await readJson(path.join(dir, "out/us-in.json"))).meetups[0].audit.lastModified, "2026-03-01T00:00:00Z");
+
+    await migrate(dir, "--out", "out", "--date", "2026-04-01", "--force");
+    assert.equal((await readJson(path.join(dir, "out/us-in.json"))).meetups[0].audit.lastModified, "2026-04-01T00:00:00Z");
+  });
+});
@@ -0,0 +1,155 @@
+// tests/recurrence.test.mjs
+//
+// Unit tests for assets/js/lib/recurrence.mjs (series dates behind the meetup popups, .ics feeds and /events/).
+//
+// Usage:
+//   node --test tests/
+
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  calendarExportProblem,
+  formatOccurrence,
+  isSupportedRecurrence,
+  nextOccurrences,
+  occurrences,
+  parseYmd,
+  zonedDateTimeToUtc
+} from "../assets/js/lib/recurrence.mjs";
+
+const NY = "America/New_York";
+
+function series(recurrence, extra = {}) {
+  return { slug: "s", timeZone: NY, time: { start: "19:00", end: "21:00" }, recurrence, ...extra };
+}
+
+const dates = (list) => list.map(o => o.date);
+const iso = (d) => d.toISOString();
+
+// ---------- Calendar dates ----------
+test("parseYmd rejects malformed dates and rollovers", () => {
+  assert.equal(parseYmd("2026-02-28"), Date.UTC(2026, 1, 28));
+  assert.equal(parseYmd("2026-02-29"), null);
+  assert.equal(parseYmd("2026-2-3"), null);
+  assert.equal(parseYmd(undefined), null);
+});
+
+// ---------- Time zones ----------
+test("zonedDateTimeToUtc keeps the wall clock across DST", () => {
+  assert.equal(iso(zonedDateTimeToUtc("2026-03-03", "19:00", NY)), "2026-03-04T00:00:00.000Z"); // EST
+  assert.equal(iso(zonedDateTimeToUtc("2026-03-10", "19:00", NY)), "2026-03-10T23:00:00.000Z"); // EDT
+  assert.equal(iso(zonedDateTimeToUtc("2026-07-01", "19:00", "America/Chicago")), "2026-07-02T00:00:00.000Z");
+  assert.equal(zonedDateTimeToUtc("2026-07-01", "25:00", NY), null);
+});
+
+test("zonedDateTimeToUtc: a time in the spring-forward gap moves forward, a fall-back time takes the first one", () => {
+  assert.equal(iso(zonedDateTimeToUtc("2026-03-08", "02:30", NY)), "2026-03-08T07:30:00.000Z"); // 3:30 EDT
+  assert.equal(iso(zonedDateTimeToUtc("2026-11-01", "01:30", NY)), "2026-11-01T05:30:00.000Z"); // 1:30 EDT
+
+  const early = series({ type: "weekly", byWeekday: ["sunday"] }, { time: { start: "02:30" } });
+  const list = occurrences(early, { from: new Date("2026-03-01T00:00:00Z"), count: 2 });
+  assert.deepEqual(list.map(o => iso(o.start)), ["2026-03-01T07:30:00.000Z", "2026-03-08T07:30:00.000Z"]);
+  assert.equal(list[1].end, null);
+});
+
+// ---------- Rules ----------
+test("monthly_nth_weekday, including nth -1 (last)", () => {
+  const from = new Date("2026-01-01T00:00:00Z");
+  assert.deepEqual(dates(occurrences(series({ type: "monthly_nth_weekday", weekday: "wednesday", nth: 3 }), { from })),
+    ["2026-01-21", "2026-02-18", "2026-03-18"]);
+  assert.deepEqual(dates(occurrences(series({ type: "monthly_nth_weekday", weekday: "friday", nth: -1 }), { from, count: 5 })),
+    ["2026-01-30", "2026-02-27", "2026-03-27", "2026-04-24", "2026-05-29"]);
+});
+
+test("a 5th weekday only happens in months that have one", () => {
+  const from = new Date("2026-01-01T00:00:00Z");
+  assert.deepEqual(dates(occurrences(series({ type: "monthly_nth_weekday", weekday: "thursday", nth: 5 }), { from })),
+    ["2026-01-29", "2026-04-30", "2026-07-30"]);
+});
+
+test("weekly with several weekdays and semimonthly rules", () => {
+  const from = new Date("2026-01-05T00:00:00Z");
+  assert.deepEqual(dates(occurrences(series({ type: "weekly", byWeekday: ["tuesday", "thursday"] }), { from, count: 4 })),
+    ["2026-01-06", "2026-01-08", "2026-01-13", "2026-01-15"]);
+  assert.deepEqual(dates(occurrences(series({
+    type: "semimonthly",
+    rules: [{ kind: "nth_weekday", nth: 1, weekday: "monday" }, { kind: "nth_weekday", nth: 3, weekday: "monday" }]
+  }), { from, count: 4 })), ["2026-01-05", "2026-01-19", "2026-02-02", "2026-02-16"]);
+});
+
+test("interval counts from effective.startDate", () => {
+  const from = new Date("2026-01-01T00:00:00Z");
+  const biweekly = (startDate) => series({ type: "weekly", interval: 2, byWeekday: ["thursday"] }, { effective: { startDate } });
+  assert.deepEqual(dates(occurrences(biweekly("2026-01-08"), { from })), ["2026-01-08", "2026-01-22", "2026-02-05"]);
+  assert.deepEqual(dates(occurrences(biweekly("2026-01-15"), { from })), ["2026-01-15", "2026-01-29", "2026-02-12"]);
+
+  const quarterly = series({ type: "monthly_nth_weekday", interval: 3, weekday: "monday", nth: 1 }, { effective: { startDate: "2026-02-01" } });
+  assert.deepEqual(dates(occurrences(quarterly, { from })), ["2026-02-02", "2026-05-04", "2026-08-03"]);
+});
+
+test("effective.endDate is inclusive", () => {
+  const s = series({ type: "weekly", byWeekday: ["monday"] }, { effective: { startDate: "2026-01-01", endDate: "2026-01-19" } });
+  assert.deepEqual(dates(occurrences(s, { from: new Date("2026-01-01T00:00:00Z"), count: 10 })),
+    ["2026-01-05", "2026-01-12", "2026-01-19"]);
+});
+
+test("unsupported rules, bad time zones and missing start times give nothing", () => {
+  assert.equal(isSupportedRecurrence({ type: "yearly" }), false);
+  assert.equal(isSupportedRecurrence({ type: "weekly", byWeekday: [] }), false);
+  assert.equal(isSupportedRecurrence({ type: "weekly", byWeekday: ["monday"] }), true);
+  assert.deepEqual(occurrences(series({ type: "weekly", byWeekday: ["monday"] }, { timeZone: "Mars/Olympus" })), []);
+  assert.deepEqual(occurrences(series({ type: "weekly", byWeekday: ["monday"] }, { time: {} })), []);
+});
+
+// ---------- Exceptions ----------
+test("skip and override exceptions", () => {
+  const s = series({ type: "weekly", byWeekday: ["monday"] }, {
+    exceptions: [
+      { date: "2026-01-12", action: "skip" },
+      { date: "2026-01-19", action: "override", override: { start: "18:00", venueSlug: "annex", note: "Holiday" } }
+    ]
+  });
+  const from = new Date("2026-01-05T00:00:00Z");
+
+  const list = occurrences(s, { from, count: 3 });
+  assert.deepEqual(dates(list), ["2026-01-05", "2026-01-19", "2026-01-26"]);
+  assert.equal(iso(list[1].start), "2026-01-19T23:00:00.000Z");
+  assert.equal(iso(list[1].end), "2026-01-20T02:00:00.000Z"); // end not overridden: the series' 21:00
+  assert.deepEqual([list[1].overridden, list[1].venueSlug, list[1].note], [true, "annex", "Holiday"]);
+
+  const withSkipped = occurrences(s, { from, count: 3, includeSkipped: true });
+  assert.deepEqual(withSkipped.map(o => [o.date, !!o.skipped]), [["2026-01-05", false], ["2026-01-12", true], ["2026-01-19", false]]);
+});
+
+// ---------- Window ----------
+test("from/until: a running event still counts, until is inclusive", () => {
+  const s = series({ type: "weekly", byWeekday: ["monday"] });
+  const during = new Date("2026-01-06T01:00:00Z"); // Mon Jan 5, 8 PM EST
+  assert.equal(nextOccurrences(s, 1, during)[0].date, "2026-01-05");
+
+  const until = new Date("2026-01-20T00:00:00Z"); // Jan 19, 7 PM EST: the start itself
+  assert.deepEqual(dates(occurrences(s, { from: new Date("2026-01-01T00:00:00Z"), until })),
+    ["2026-01-05", "2026-01-12", "2026-01-19"]);
+});
+
+test("an event past midnight ends on the next day; DST doesn't move the wall clock", () => {
+  const late = series({ type: "weekly", byWeekday: ["saturday"] }, { time: { start: "22:00", end: "01:00" } });
+  const [occ] = occurrences(late, { from: new Date("2026-01-01T00:00:00Z"), count: 1 });
+  assert.equal(iso(occ.start), "2026-01-04T03:00:00.000Z");
+  assert.equal(iso(occ.end), "2026-01-04T06:00:00.000Z");
+
+  const list = occurrences(series({ type: "weekly", byWeekday: ["tuesday"] }), { from: new Date("2026-03-01T00:00:00Z"), count: 2 });
+  assert.deepEqual(list.map(o => iso(o.start)), ["2026-03-04T00:00:00.000Z", "2026-03-10T23:00:00.000Z"]);
+  assert.deepEqual(list.map(o => formatOccurrence(o)), ["Tue Mar 3, 7:00 PM", "Tue Mar 10, 7:00 PM"]);
+});
+
+// ---------- Calendar export ----------
+test("calendarExportProblem: what scripts/generate-calendars.mjs (and the map's .ics link) require", () => {
+  const ok = series({ type: "weekly", byWeekday: ["monday"] }, { effective: { startDate: "2026-01-01" } });
+  assert.equal(calendarExportProblem(ok), "");
+  assert.match(calendarExportProblem({ ...ok, timeZone: "Mars/Olympus" }), /invalid timeZone/);
+  assert.match(calendarExportProblem({ ...ok, recurrence: { type: "yearly" } }), /unsupported recurrence "yearly"/);
+  assert.match(calendarExportProblem({ ...ok, effective: {} }), /startDate is required/);
+  assert.match(calendarExportProblem({ ...ok, time: {} }), /no occurrences on or after 2026-01-01/);
+});
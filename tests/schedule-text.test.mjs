@@ -0,0 +1,58 @@
+// tests/schedule-text.test.mjs
+//
+// Unit tests for assets/js/lib/schedule-text.mjs (meetups.json schedule strings → recurrence blocks).
+//
+// Usage:
+//   node --test tests/
+
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { parseSchedule, timeZoneFor } from "../assets/js/lib/schedule-text.mjs";
+
+// ---------- Schedules ----------
+test("monthly nth weekday with a time and zone", () => {
+  const review = [];
+  assert.deepEqual(parseSchedule("Monthly | 3rd Wednesday | 7:00 PM ET", review), {
+    series: [{ label: "", start: "19:00", recurrence: { type: "monthly_nth_weekday", interval: 1, weekday: "wednesday", nth: 3 } }],
+    zone: "ET"
+  });
+  assert.deepEqual(review, []);
+});
+
+test("weekly and every other week; several weekdays", () => {
+  assert.deepEqual(parseSchedule("Weekly | Tuesdays & Thu | 6 PM CT").series[0],
+    { label: "", start: "18:00", recurrence: { type: "weekly", interval: 1, byWeekday: ["tuesday", "thursday"] } });
+
+  const review = [];
+  const { series } = parseSchedule("Every Other Thursday | 6:00 PM ET", review);
+  assert.equal(series[0].recurrence.interval, 2);
+  assert.match(review[0], /first date/);
+});
+
+test("several labeled nth weekdays without a time", () => {
+  const { series, zone } = parseSchedule("1st Wednesday (learning) | 3rd Thursday (social) | Evenings");
+  assert.deepEqual(series.map(s => [s.label, s.start, s.recurrence.nth, s.recurrence.weekday]),
+    [["learning", "", 1, "wednesday"], ["social", "", 3, "thursday"]]);
+  assert.equal(zone, "");
+});
+
+test("unreadable or missing schedules give no series and a review note", () => {
+  for (const s of ["Whenever we feel like it", "", null]) {
+    const review = [];
+    assert.deepEqual(parseSchedule(s, review).series, []);
+    assert.equal(review.length, 1);
+  }
+});
+
+// ---------- Time zones ----------
+test("timeZoneFor: state-specific zones, the state's default, then Eastern", () => {
+  assert.equal(timeZoneFor("IN", "CT"), "America/Chicago");
+  assert.equal(timeZoneFor("KY", "ET"), "America/Kentucky/Louisville");
+  assert.equal(timeZoneFor("OH", "ET"), "America/New_York");
+
+  const review = [];
+  assert.equal(timeZoneFor("IL", "", review), "America/Chicago");
+  assert.equal(review.length, 1);
+  assert.equal(timeZoneFor("ZZ", ""), "America/New_York");
+});
@@ -0,0 +1,80 @@
+// tests/search-query.test.mjs
+//
+// Unit tests for assets/js/lib/search-query.mjs (the meetups search box syntax).
+//
+// Usage:
+//   node --test tests/
+
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { describeQuery, isEmptyQuery, matchQuery, parseQuery } from "../assets/js/lib/search-query.mjs";
+
+const OPTS = { fields: ["day", "state", "city", "county", "freq"], aliases: { frequency: "freq" } };
+const parse = (q) => parseQuery(q, OPTS);
+
+// Terms as compact strings: "-state:KY", "indy"
+const terms = (q) => parse(q).groups.map(g => g.map(t => `${t.negate ? "-" : ""}${t.field ? `${t.field}:` : ""}${t.value}`));
+
+// ---------- Parsing ----------
+test("plain words and quoted phrases are text terms, all required", () => {
+  assert.deepEqual(terms('indy "bitcoin meetup"'), [["indy", "bitcoin meetup"]]);
+  assert.deepEqual(terms("   "), []);
+  assert.ok(isEmptyQuery(parse("")));
+  assert.ok(isEmptyQuery(parse(null)));
+});
+
+test("known prefixes become field terms, quoted values included; aliases map to their field", () => {
+  assert.deepEqual(terms('day:wed STATE:KY city:"st. louis" frequency:weekly'),
+    [["day:wed", "state:KY", "city:st. louis", "freq:weekly"]]);
+});
+
+test("unknown prefixes and bare colons stay text", () => {
+  assert.deepEqual(terms("https://meetup.com/x venue: day:"), [["https://meetup.com/x", "venue:", "day:"]]);
+  assert.deepEqual(terms("-https://x.org"), [["-https://x.org"]]);
+});
+
+test("negation with a minus sign or NOT", () => {
+  assert.deepEqual(terms('-county:marion NOT day:mon -"pizza night" -'), [["-county:marion", "-day:mon", "-pizza night"]]);
+});
+
+test("OR splits groups and binds looser than AND; lowercase or/and/not are text", () => {
+  assert.deepEqual(terms("day:wed state:KY OR state:OH | indy AND pub"),
+    [["day:wed", "state:KY"], ["state:OH"], ["indy", "pub"]]);
+  assert.deepEqual(terms("bread or circuses"), [["bread", "or", "circuses"]]);
+  assert.deepEqual(terms("OR state:KY OR"), [["state:KY"]]);
+});
+
+test("an unterminated quote runs to the end", () => {
+  assert.deepEqual(terms('city:"fort wayne'), [["city:fort wayne"]]);
+});
+
+// ---------- Matching ----------
+const meetups = [
+  { name: "Indy Bitcoin", day: "wed", state: "IN" },
+  { name: "Louisville Bitcoin", day: "thu", state: "KY" },
+  { name: "Cincy Sats", day: "wed", state: "OH" }
+];
+
+function test1(term, m) {
+  if (term.field) return String(m[term.field]).toLowerCase() === term.value.toLowerCase();
+  return m.name.toLowerCase().includes(term.value.toLowerCase());
+}
+
+const names = (q) => meetups.filter(m => matchQuery(parse(q), m, test1)).map(m => m.name);
+
+test("matchQuery: AND within a group, OR across groups, negation per term", () => {
+  assert.deepEqual(names(""), ["Indy Bitcoin", "Louisville Bitcoin", "Cincy Sats"]);
+  assert.deepEqual(names("day:wed bitcoin"), ["Indy Bitcoin"]);
+  assert.deepEqual(names("state:KY OR state:OH"), ["Louisville Bitcoin", "Cincy Sats"]);
+  assert.deepEqual(names("-state:IN"), ["Louisville Bitcoin", "Cincy Sats"]);
+  assert.deepEqual(names("day:wed -bitcoin OR state:KY"), ["Louisville Bitcoin", "Cincy Sats"]);
+});
+
+// ---------- Describing ----------
+test("describeQuery spells the query out, with field labels", () => {
+  const q = parse('day:wed state:KY OR -county:marion "pub"');
+  assert.equal(describeQuery(q), 'day "wed" and state "KY", or not county "marion" and "pub"');
+  assert.equal(describeQuery(parse("freq:weekly"), { freq: "frequency" }), 'frequency "weekly"');
+  assert.equal(describeQuery(parse("")), "");
+});
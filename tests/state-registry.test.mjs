@@ -0,0 +1,92 @@
+// tests/state-registry.test.mjs
+//
+// Unit tests for assets/js/lib/state-registry.mjs (the ?state= lookups shared by merchants-router.js and meetupmap.js).
+//
+// Usage:
+//   node --test tests/
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import { createStateResolver, norm, paramKey } from "../assets/js/lib/state-registry.mjs";
+
+// ---------- Fixtures ----------
+const registry = {
+  default: "indiana",
+  regions: [
+    { slug: "indiana-neighbors", name: "Indiana + neighbors", states: ["indiana", "ohio"] },
+    { slug: "lonely", name: "Only one state", states: ["indiana", "atlantis"] }
+  ],
+  states: [
+    { code: "OH", slug: "ohio", name: "Ohio", coverage: [{ name: "Circle 1", lat: 40, lon: -83, radius_km: 200 }] },
+    { code: "IN", slug: "indiana", name: "Indiana", coverage: [{ name: "Circle 1", lat: 40, lon: -86, radius_km: 200 }] },
+    { code: "KY", slug: "kentucky", name: "Kentucky" }
+  ]
+};
+
+// ---------- Normalizing ----------
+test("norm and paramKey turn anything into lowercase slugs", () => {
+  assert.equal(norm("  New_York "), "new-york");
+  assert.equal(norm("District of Columbia!"), "district-of-columbia");
+  assert.equal(norm(null), "");
+  assert.equal(paramKey("Indiana, OH,,"), "indiana,oh");
+});
+
+// ---------- Resolving ----------
+test("a slug or a code resolves to that state, case-insensitively", () => {
+  const { resolve } = createStateResolver(registry);
+
+  for (const raw of ["kentucky", "KY", " Ky "]) {
+    const view = resolve(raw);
+    assert.equal(view.slug, "kentucky");
+    assert.equal(view.code, "KY");
+    assert.deepEqual(view.coverage, []);
+  }
+});
+
+test("missing or unknown values fall back to the registry default", () => {
+  const { resolve, defaultSlug } = createStateResolver(registry);
+
+  assert.equal(defaultSlug, "indiana");
+  assert.equal(resolve(null).slug, "indiana");
+  assert.equal(resolve("narnia").slug, "indiana");
+});
+
+test("a comma list becomes one view in canonical slug form, with the circles merged and labelled", () => {
+  const view = createStateResolver(registry).resolve("in,OHIO,in");
+
+  assert.equal(view.slug, "indiana,ohio");
+  assert.equal(view.name, "Indiana + Ohio");
+  assert.equal(view.code, "IN/OH");
+  assert.deepEqual(view.coverage.map(c => c.name), ["IN Circle 1", "OH Circle 1"]);
+});
+
+test("regions resolve by slug; regions with fewer than two known states are dropped", () => {
+  const { resolve, regions } = createStateResolver(registry);
+
+  assert.deepEqual(regions.map(r => r.slug), ["indiana-neighbors"]);
+  assert.deepEqual(resolve("Indiana-Neighbors").states.map(st => st.code), ["IN", "OH"]);
+  assert.equal(resolve("lonely").slug, "indiana");
+});
+
+test("states come back sorted by name", () => {
+  assert.deepEqual(createStateResolver(registry).states.map(st => st.slug), ["indiana", "kentucky", "ohio"]);
+});
+
+test("an empty registry is an error", () => {
+  assert.throws(() => createStateResolver({ states: [] }), /No states found/);
+  assert.throws(() => createStateResolver(null), /No states found/);
+});
+
+// ---------- Real registry ----------
+test("merchant-states.json: every state resolves by slug and by code", () => {
+  const url = new URL("../assets/data/merchant-states.json", import.meta.url);
+  const real = JSON.parse(readFileSync(url, "utf8"));
+  const { resolve } = createStateResolver(real);
+
+  for (const st of real.states) {
+    assert.equal(resolve(st.slug).slug, norm(st.slug));
+    assert.equal(resolve(st.code).slug, norm(st.slug));
+  }
+});
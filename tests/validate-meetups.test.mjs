@@ -0,0 +1,234 @@
+// tests/validate-meetups.test.mjs
+//
+// Tests for scripts/lib/json-schema-lite.mjs and scripts/validate-meetups.mjs (run on small v1 trees
+// in a temp folder, built from assets/data/us-meetups/us-example.json).
+//
+// Usage:
+//   node --test tests/
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { copyFile, mkdir, mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+
+import { validate } from "../scripts/lib/json-schema-lite.mjs";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+const SCRIPT = path.join(ROOT, "scripts/validate-meetups.mjs");
+const SCHEMA_FILE = path.join(ROOT, "assets/data/us-meetups.schema.json");
+const EXAMPLE_FILE = path.join(ROOT, "assets/data/us-meetups/us-example.json");
+
+const readJson = async (file) => JSON.parse(await readFile(file, "utf8"));
+const example = async () => readJson(EXAMPLE_FILE);
+const paths = (errors) => errors.map(e => e.path);
+
+// ---------- json-schema-lite ----------
+const SCHEMA = {
+  $defs: {
+    slug: { type: "string", pattern: "^[a-z0-9-]+$" }
+  },
+  type: "object",
+  required: ["meetups"],
+  additionalProperties: false,
+  properties: {
+    meetups: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["slug", "status"],
+        properties: {
+          slug: { $ref: "#/$defs/slug" },
+          status: { enum: ["active", "inactive"] },
+          tags: { type: "array", uniqueItems: true, items: { type: "string", minLength: 1 } },
+          geo: { type: "object", properties: { lat: { type: "number", minimum: -90, maximum: 90 } } }
+        },
+        if: { properties: { status: { const: "active" } } },
+        then: { required: ["geo"] }
+      }
+    }
+  }
+};
+
+test("json-schema-lite: a valid document has no errors", () => {
+  assert.deepEqual(validate(SCHEMA, { meetups: [{ slug: "a-1", status: "inactive" }] }), []);
+});
+
+test("json-schema-lite: every failure comes with the JSON path of the offending value", () => {
+  const errors = validate(SCHEMA, {
+    meetups: [
+      { slug: "Bad Slug", status: "gone", tags: ["x", "x", ""] },
+      { slug: "ok", status: "active" },
+      "nope",
+      { slug: "geo", status: "active", geo: { lat: 91 } }
+    ],
+    "odd key": 1
+  });
+
+  assert.deepEqual(paths(errors), [
+    "$.meetups[0].slug",
+    "$.meetups[0].status",
+    "$.meetups[0].tags[1]",
+    "$.meetups[0].tags[2]",
+    "$.meetups[1]",
+    "$.meetups[2]",
+    "$.meetups[3].geo.lat",
+    '$["odd key"]'
+  ]);
+  assert.match(errors[0].message, /must match/);
+  assert.match(errors[1].message, /must be one of "active", "inactive" \(got "gone"\)/);
+  assert.match(errors[2].message, /duplicates an earlier item/);
+  assert.equal(errors[3].message, "must not be empty");
+  assert.equal(errors[4].message, 'is missing required property "geo"'); // if/then
+  assert.equal(errors[5].message, "must be object (got string)");
+  assert.equal(errors[6].message, "must be <= 90 (got 91)");
+  assert.equal(errors[7].message, "is not an allowed property");
+});
+
+test("json-schema-lite: oneOf, anyOf, not and boolean schemas", () => {
+  const schema = {
+    properties: {
+      one: { oneOf: [{ type: "integer" }, { type: "number" }] },
+      any: { anyOf: [{ type: "string" }, { type: "null" }] },
+      not: { not: { const: 0 } },
+      never: false
+    }
+  };
+  assert.deepEqual(validate(schema, { one: 1.5, any: null, not: 1 }), []);
+  assert.deepEqual(validate(schema, { one: 1, any: 2, not: 0, never: "x" }), [
+    { path: "$.one", message: "matches more than one allowed form" },
+    { path: "$.any", message: "does not match any allowed form (got 2)" },
+    { path: "$.not", message: "matches a disallowed form" },
+    { path: "$.never", message: "is not allowed here" }
+  ]);
+  assert.throws(() => validate({ $ref: "other.json#/x" }, 1), /Unsupported \$ref/);
+});
+
+test("json-schema-lite: us-example.json passes us-meetups.schema.json; broken copies report where", async () => {
+  const schema = await readJson(SCHEMA_FILE);
+  const doc = await example();
+  assert.deepEqual(validate(schema, doc), []);
+
+  doc.meetups[0].status = "paused";
+  delete doc.meetups[0].series[0].timeZone;
+  doc.meetups[0].venues[1].geo.lat = "39.7";
+  const found = paths(validate(schema, doc));
+  for (const p of ["$.meetups[0].status", "$.meetups[0].series[0]", "$.meetups[0].venues[1].geo.lat"]) {
+    assert.ok(found.includes(p), `expected an error at ${p}, got ${found.join(", ")}`);
+  }
+});
+
+// ---------- validate-meetups.mjs ----------
+const FILES_DIR = "assets/data/us-meetups";
+
+// Lays out a v1 tree in a temp folder: the real schema, an index listing `listed`, and `files` ({name: doc})
+async function withV1Tree(files, fn, listed = Object.keys(files)) {
+  const dir = await mkdtemp(path.join(os.tmpdir(), "validate-meetups-"));
+  try {
+    await mkdir(path.join(dir, FILES_DIR), { recursive: true });
+    await copyFile(SCHEMA_FILE, path.join(dir, "assets/data/us-meetups.schema.json"));
+    await writeFile(path.join(dir, FILES_DIR, "index.json"), JSON.stringify({ schemaVersion: "1.0.0", files: listed }));
+    for (const [name, doc] of Object.entries(files)) {
+      await writeFile(path.join(dir, FILES_DIR, name), JSON.stringify(doc, null, 2));
+    }
+    return await fn(dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+// Runs the validator on the tree; resolves to { code, problems: ["<file> <path>: <message>", ...], stdout, stderr }
+async function runValidator(cwd) {
+  try {
+    const { stdout, stderr } = await promisify(execFile)(process.execPath, [SCRIPT, "--v1"], { cwd, timeout: 30000 });
+    return { code: 0, problems: [], stdout, stderr };
+  } catch (err) {
+    if (typeof err.code !== "number") throw err;
+    const problems = err.stderr.split("\n").filter(l => l.startsWith("  - ")).map(l => l.slice(4));
+    return { code: err.code, problems, stdout: err.stdout, stderr: err.stderr };
+  }
+}
+
+const at = (name, p) => `${FILES_DIR}/${name} ${p}`;
+
+test("validator: the example data passes", async () => {
+  await withV1Tree({ "us-in.json": await example() }, async (dir) => {
+    const r = await runValidator(dir);
+    assert.equal(r.code, 0);
+    assert.match(r.stdout, /Meetup data OK \(us-meetups: 1 meetups in 1 file\(s\)\)/);
+  });
+});
+
+test("validator: schema errors are reported with their file and JSON path", async () => {
+  const doc = await example();
+  doc.meetups[0].slug = "Not A Slug";
+  await withV1Tree({ "us-in.json": doc }, async (dir) => {
+    const r = await runValidator(dir);
+    assert.equal(r.code, 1);
+    assert.ok(r.problems.some(p => p.startsWith(at("us-in.json", "$.meetups[0].slug: must match"))), r.stderr);
+  });
+});
+
+test("validator: series and override venueSlugs must name a venue of the same meetup", async () => {
+  const doc = await example();
+  const [first, second] = doc.meetups[0].series;
+  first.venueSlug = "us-in-example-nowhere";
+  second.exceptions = [{ date: "2025-01-15", action: "override", override: { venueSlug: "us-in-example-elsewhere" } }];
+  await withV1Tree({ "us-in.json": doc }, async (dir) => {
+    const r = await runValidator(dir);
+    assert.deepEqual(r.problems, [
+      `${at("us-in.json", "$.meetups[0].series[0].venueSlug")}: venue "us-in-example-nowhere" does not exist in $.meetups[0].venues.`,
+      `${at("us-in.json", "$.meetups[0].series[1].exceptions[0].override.venueSlug")}: venue "us-in-example-elsewhere" does not exist in $.meetups[0].venues.`
+    ]);
+  });
+});
+
+test("validator: slugs must be unique across files", async () => {
+  const a = await example();
+  const b = await example();
+  b.scope.region = { name: "Ohio", abbr: "OH", code: "US-OH" };
+  b.meetups[0].venues = [];
+  b.meetups[0].series = [];
+  await withV1Tree({ "us-in.json": a, "us-oh.json": b }, async (dir) => {
+    const r = await runValidator(dir);
+    const slug = a.meetups[0].slug;
+    assert.deepEqual(r.problems, [
+      `${at("us-oh.json", "$.meetups[0].slug")}: slug "${slug}" is already used at ${at("us-in.json", "$.meetups[0].slug")}.`
+    ]);
+  });
+});
+
+test("validator: index.json must list every file and only existing ones", async () => {
+  const doc = await example();
+  await withV1Tree({ "us-in.json": doc, "us-oh.json": { schemaVersion: "1.0.0" } }, async (dir) => {
+    const r = await runValidator(dir);
+    assert.deepEqual(r.problems, [
+      `${FILES_DIR}/index.json $.files: does not list us-oh.json (the map would never load it).`,
+      `${FILES_DIR}/index.json $.files[1]: "us-ky.json" does not exist.`
+    ]);
+  }, ["us-in.json", "us-ky.json"]);
+});
+
+test("validator: private venues and the pins that use them must not expose exact locations", async () => {
+  const doc = await example();
+  const m = doc.meetups[0];
+  const home = m.venues[2]; // us-in-example-private-home-rsvp
+  home.privacy.showExactAddressOnMap = true;
+  home.geo = { lat: 39.771234, lon: -86.16 };
+  m.series[0].venueSlug = home.slug;
+  m.map.geoPrecision = "exact";
+  m.map.geo = { lat: 39.77, lon: -86.15678 };
+  await withV1Tree({ "us-in.json": doc }, async (dir) => {
+    const r = await runValidator(dir);
+    assert.deepEqual(r.problems.map(p => p.slice(0, p.indexOf(":"))), [
+      at("us-in.json", "$.meetups[0].venues[2].privacy.showExactAddressOnMap"),
+      at("us-in.json", "$.meetups[0].venues[2].geo.lat"),
+      at("us-in.json", "$.meetups[0].map.geoPrecision"),
+      at("us-in.json", "$.meetups[0].map.geo.lon")
+    ]);
+    assert.match(r.problems[1], /exposes exact coordinates of a private venue \(got 39\.771234\); round to 2 decimal places for city_level/);
+  });
+});